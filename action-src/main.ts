@@ -53,6 +53,16 @@ const getBuildInfo = (event: typeof context) => {
         slug: repository.full_name,
       };
     }
+    case 'merge_group': {
+      // The merge queue builds a temporary branch with the pull request merged into the base branch
+      // eslint-disable-next-line @typescript-eslint/naming-convention
+      const { head_sha, head_ref } = event.payload.merge_group;
+      return {
+        sha: head_sha,
+        branch: head_ref.replace('refs/heads/', ''),
+        slug: event.payload.repository.full_name,
+      };
+    }
     case 'workflow_dispatch': {
       const { ref, sha } = event.payload.inputs;
 
@@ -131,11 +141,13 @@ async function run() {
     const onlyChanged = getInput('onlyChanged');
     const externals = getInput('externals');
     const untraced = getInput('untraced');
+    const skipUnchanged = getInput('skipUnchanged');
     const doNotStart = getInput('doNotStart');
     const diagnostics = getInput('diagnostics');
     const storybookPort = getInput('storybookPort');
     const storybookUrl = getInput('storybookUrl');
     const storybookBuildDir = getInput('storybookBuildDir');
+    const buildCacheDir = getInput('buildCacheDir');
     const storybookHttps = getInput('storybookHttps');
     const storybookCert = getInput('storybookCert');
     const storybookKey = getInput('storybookKey');
@@ -147,6 +159,8 @@ async function run() {
     const exitOnceUploaded = getInput('exitOnceUploaded');
     const ignoreLastBuildOnBranch = getInput('ignoreLastBuildOnBranch');
     const zip = getInput('zip');
+    const uploadExclude = getInput('uploadExclude');
+    const configFile = getInput('configFile');
 
     process.env.CHROMATIC_SHA = sha;
     process.env.CHROMATIC_BRANCH = branch;
@@ -167,10 +181,12 @@ async function run() {
       onlyChanged: maybe(onlyChanged),
       externals: maybe(externals),
       untraced: maybe(untraced),
+      skipUnchanged: maybe(skipUnchanged),
       doNotStart: maybe(doNotStart),
       storybookPort: maybe(storybookPort),
       storybookUrl: maybe(storybookUrl),
       storybookBuildDir: maybe(storybookBuildDir),
+      buildCacheDir: maybe(buildCacheDir),
       storybookHttps: maybe(storybookHttps),
       storybookCert: maybe(storybookCert),
       storybookKey: maybe(storybookKey),
@@ -184,6 +200,8 @@ async function run() {
       allowConsoleErrors: maybe(allowConsoleErrors, false),
       ignoreLastBuildOnBranch: maybe(ignoreLastBuildOnBranch),
       zip: maybe(zip, false),
+      uploadExclude: maybe(uploadExclude),
+      configFile: maybe(configFile),
     });
 
     setOutput('url', output.url);
@@ -0,0 +1,184 @@
+import envCi from 'env-ci';
+import jsonfile from 'jsonfile';
+import pkgUp from 'pkg-up';
+import stripAnsi from 'strip-ansi';
+import { v4 as uuid } from 'uuid';
+
+import { getCommitAndBranch } from '../git/getCommitAndBranch';
+import { getSlug, getVersion, hasPreviousCommit } from '../git/git';
+import getProxyAgent from '../io/getProxyAgent';
+import getEnv from '../lib/getEnv';
+import getOptions from '../lib/getOptions';
+import getStorybookInfo from '../lib/getStorybookInfo';
+import { createLogger } from '../lib/log';
+import parseArgs, { supportedFlags } from '../lib/parseArgs';
+import missingProjectToken from '../ui/messages/errors/missingProjectToken';
+import doctorReport from '../ui/messages/info/doctorReport';
+
+const { readFile } = jsonfile;
+
+/**
+ * Utility to diagnose common setup issues. Runs the same environment checks as a regular build
+ * (git, CI detection, branch and slug, options, Storybook and proxy configuration) but reports the
+ * outcome of each as a checklist instead of failing on the first problem. It does not create a
+ * build, and it does not require a project token.
+ *
+ * Command:
+ *   chromatic doctor [...flags]
+ *
+ * Usage examples:
+ *   yarn chromatic doctor
+ *   yarn chromatic doctor --build-script-name build:storybook
+ */
+
+export const description = 'Check your environment for common problems, without running a build.';
+
+export const help = `
+    Usage
+      $ chromatic doctor [options]
+
+    Accepts the same options as a regular build, see 'chromatic --help'. Exits with code 1 if any of the checks failed.
+`;
+
+const pass = (message) => ({ status: 'pass', message });
+const warn = (message) => ({ status: 'warn', message });
+const fail = (message) => ({ status: 'fail', message });
+
+// Error messages are often elaborate, so we only show their first line
+const summarize = (err) =>
+  stripAnsi(err.message || String(err))
+    .trim()
+    .split('\n')[0];
+
+// Omits any credentials from a proxy URL
+const maskProxy = (proxy) => proxy.replace(/\/\/[^@/]*@/, '//****@');
+
+// Options are validated as for a regular build, but a missing project token is reported separately
+const getDoctorOptions = async (ctx) => {
+  try {
+    const options = await getOptions(ctx);
+    ctx.hasProjectToken = true;
+    return options;
+  } catch (err) {
+    if (err.message !== missingProjectToken()) throw err;
+    ctx.hasProjectToken = false;
+    return getOptions({ ...ctx, env: { ...ctx.env, CHROMATIC_PROJECT_TOKEN: 'doctor' } });
+  }
+};
+
+// Checks are run in order and may use the results of earlier checks (e.g. `ctx.options`)
+export const checks = [
+  {
+    title: 'Options',
+    run: async (ctx) => {
+      ctx.options = await getDoctorOptions(ctx);
+      const { buildScriptName, storybookBuildDir, storybookUrl, url } = ctx.options;
+      if (storybookBuildDir) return pass(`Using the Storybook built to ${storybookBuildDir}`);
+      if (buildScriptName) return pass(`Building Storybook with the '${buildScriptName}' script`);
+      return pass(`Using the Storybook running at ${storybookUrl || url}`);
+    },
+  },
+  {
+    title: 'Project token',
+    run: async (ctx) => {
+      if (ctx.hasProjectToken === undefined) return warn('Skipped due to invalid options');
+      return ctx.hasProjectToken ? pass('Found a project token') : fail('Missing project token');
+    },
+  },
+  {
+    title: 'Git',
+    run: async () => pass(`Using git ${await getVersion()}`),
+  },
+  {
+    title: 'Git history',
+    run: async () =>
+      (await hasPreviousCommit())
+        ? pass('Found more than one commit')
+        : fail('Found only one commit, but Chromatic needs at least two to establish baselines'),
+  },
+  {
+    title: 'CI',
+    run: async () => {
+      const { isCi, name } = envCi();
+      if (isCi && name) return pass(`Running on ${name}`);
+      if (isCi || process.env.CI) return warn('Running on CI, but could not identify the service');
+      return pass('Not running on CI');
+    },
+  },
+  {
+    title: 'Branch',
+    run: async (ctx) => {
+      const { branchName, patchBaseRef } = ctx.options || {};
+      const git = await getCommitAndBranch(ctx, { branchName, patchBaseRef });
+      const slug = git.slug || (await getSlug().catch(() => undefined));
+      const where = `branch '${git.branch}' at commit ${git.commit.slice(0, 7)}`;
+      if (git.branch === 'HEAD') return warn(`Detached HEAD, using ${where}`);
+      if (!slug) return warn(`Using ${where}, but the repository slug is unknown`);
+      return pass(`Using ${where} of ${slug}`);
+    },
+  },
+  {
+    title: 'Storybook',
+    run: async (ctx) => {
+      const {
+        viewLayer,
+        version,
+        addons = [],
+      } = await getStorybookInfo({
+        ...ctx,
+        options: ctx.options || {},
+      });
+      if (!viewLayer) return warn('Could not determine the Storybook view layer and version');
+      const addonNames = addons.length ? addons.map(({ name }) => name).join(', ') : 'none';
+      return pass(`Found ${viewLayer} ${version}, supported addons: ${addonNames}`);
+    },
+  },
+  {
+    title: 'Proxy',
+    run: async (ctx) => {
+      const url = ctx.env.CHROMATIC_INDEX_URL;
+      const proxy = ctx.env.HTTPS_PROXY || ctx.env.HTTP_PROXY;
+      if (!proxy) return pass('No proxy configured');
+      if (!getProxyAgent(ctx, url)) return warn(`Not using proxy for ${url} due to NO_PROXY`);
+      return pass(`Using proxy ${maskProxy(proxy)} for ${url}`);
+    },
+  },
+];
+
+export async function runChecks(ctx) {
+  const results = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const { title, run } of checks) {
+    // eslint-disable-next-line no-await-in-loop
+    const result = await run(ctx).catch((err) => fail(summarize(err)));
+    results.push({ title, ...result });
+  }
+  return results;
+}
+
+export async function main(argv) {
+  const sessionId = uuid();
+  const env = getEnv();
+  const log = createLogger(sessionId, env);
+  const packagePath = await pkgUp();
+  const packageJson = packagePath ? await readFile(packagePath).catch(() => ({})) : {};
+  const ctx = {
+    env,
+    log,
+    sessionId,
+    packagePath,
+    packageJson: { scripts: {}, ...packageJson },
+    ...parseArgs(argv, { description, help, flags: supportedFlags }),
+  };
+
+  // Only report the outcome of the checks, unless debugging
+  if (!ctx.flags.debug) log.setLevel('error');
+  const results = await runChecks(ctx);
+  if (!ctx.flags.debug) log.setLevel('info');
+
+  log.info('');
+  log.info(doctorReport(results));
+  log.info('');
+  log.event('doctor', { checks: results });
+  process.exit(results.some(({ status }) => status === 'fail') ? 1 : 0);
+}
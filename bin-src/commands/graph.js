@@ -0,0 +1,87 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+import { getDependencyGraph, graphFormats } from '../lib/dependencyGraph';
+import parseArgs from '../lib/parseArgs';
+
+/**
+ * Utility to export the dependency graph of the user modules in a Storybook build, as seen by
+ * TurboSnap. Given a path to `preview-stats.json` and optionally a list of file paths, it renders the
+ * (sub)graph of modules which depend on these files, in DOT (Graphviz) or JSON format. Each module
+ * is annotated with the number of story files depending on it, which helps to find shared modules
+ * that cause many stories to be retested when they change.
+ *
+ * Command:
+ *   chromatic graph [path to preview-stats.json] [...file paths]
+ *
+ * Usage examples:
+ *   yarn chromatic graph ./storybook-static/preview-stats.json | dot -Tsvg > graph.svg
+ *   yarn chromatic graph ./storybook-static/preview-stats.json ./src/theme.js --format json
+ *
+ * This script assumes your config directory is `./.storybook`, you can use `--config-dir` or
+ * `STORYBOOK_CONFIG_DIR` to change that.
+ */
+
+export const description = 'Export the TurboSnap dependency graph using a Webpack stats file.';
+
+export const help = `
+    Usage
+      $ chromatic graph <statsfile> [...files]
+
+    Arguments
+      statsfile  Path to the preview-stats.json file, generated with 'build-storybook --webpack-stats-json'.
+      files  Only include modules which depend on these files, relative to the repository root. [all modules]
+
+    Options
+      --config-dir, -c <dirname>  Path to the Storybook config directory. Alternatively, set STORYBOOK_CONFIG_DIR. [.storybook]
+      --format <format>  Output format, either ${Object.keys(graphFormats).join(' or ')}. [dot]
+      --output, -o <filepath>  Write the graph to this file instead of stdout.
+      --storybook-base-dir <dirname>  Relative path from repository root to Storybook project root.
+`;
+
+export const flags = {
+  configDir: { type: 'string', alias: 'c' },
+  format: { type: 'string', default: 'dot' },
+  output: { type: 'string', alias: 'o' },
+  storybookBaseDir: { type: 'string' },
+};
+
+export async function main(argv) {
+  const {
+    input: [statsFile, ...files],
+    flags: { configDir, format, output, storybookBaseDir },
+    help: helpText,
+  } = parseArgs(argv, { description, help, flags });
+
+  if (!statsFile) {
+    // eslint-disable-next-line no-console
+    console.error(helpText);
+    process.exit(254);
+  }
+  if (!graphFormats[format]) {
+    // eslint-disable-next-line no-console
+    console.error(
+      `Invalid --format '${format}', expected one of: ${Object.keys(graphFormats).join(', ')}`
+    );
+    process.exit(254);
+  }
+
+  const stats = await fs.readJson(statsFile);
+  const ctx = {
+    log: console,
+    options: { storybookBaseDir },
+    storybook: {
+      configDir: configDir || process.env.STORYBOOK_CONFIG_DIR || '.storybook',
+      staticDir: ['static'],
+    },
+  };
+  const graph = graphFormats[format].render(await getDependencyGraph(ctx, stats, files));
+
+  if (output) {
+    await fs.outputFile(path.resolve(output), graph);
+    // eslint-disable-next-line no-console
+    console.log(`Wrote ${graphFormats[format].label} graph to ${output}`);
+  } else {
+    process.stdout.write(graph);
+  }
+}
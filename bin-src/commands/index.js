@@ -0,0 +1,77 @@
+import { main as runMain } from '../main';
+import parseArgs from '../lib/parseArgs';
+import unknownCommand from '../ui/messages/errors/unknownCommand';
+import * as doctor from './doctor';
+import * as graph from './graph';
+import * as init from './init';
+import * as stories from './stories';
+import * as trace from './trace';
+import * as trimStatsFile from './trim-stats-file';
+
+// Each command module exports its `description`, `help` text, optional `flags` and a `main` function
+export const commands = {
+  doctor,
+  graph,
+  init,
+  stories,
+  trace,
+  'trim-stats-file': trimStatsFile,
+};
+
+// Old command names which are still supported
+export const aliases = {
+  'stats-to-story-files': 'trace',
+};
+
+export const getCommand = (name) => commands[aliases[name] || name];
+
+const commandsHelp = () => {
+  const names = Object.keys(commands);
+  const width = Math.max(...names.map((name) => name.length));
+  const rows = names.map((name) => `    ${name.padEnd(width)}  ${commands[name].description}`);
+  return `
+  Usage
+    $ chromatic [options]
+    $ chromatic <command> [options]
+
+  Commands
+${rows.join('\n')}
+
+  Run 'chromatic --help' for build options, or 'chromatic <command> --help' for help on a command.
+`;
+};
+
+const exitWithUnknownCommand = (name) => {
+  // eslint-disable-next-line no-console
+  console.error(unknownCommand(name, Object.keys(commands)));
+  process.exit(254);
+};
+
+/**
+ * Runs the subcommand named by the first argument, passing it the remaining arguments. Without a
+ * subcommand (i.e. the first argument is a flag, or there are no arguments) we run a build.
+ * `chromatic help` lists the available commands, `chromatic help <command>` shows its help text.
+ */
+export async function run(argv) {
+  const [name, ...args] = argv;
+  if (!name || name.startsWith('-')) {
+    await runMain(argv);
+    return;
+  }
+
+  if (name === 'help') {
+    if (!args.length) {
+      // eslint-disable-next-line no-console
+      console.log(commandsHelp());
+      return;
+    }
+    const command = getCommand(args[0]);
+    if (!command) exitWithUnknownCommand(args[0]);
+    parseArgs(['--help'], command); // prints the help text and exits
+    return;
+  }
+
+  const command = getCommand(name);
+  if (!command) exitWithUnknownCommand(name);
+  await command.main(args);
+}
@@ -0,0 +1,69 @@
+import chalk from 'chalk';
+
+import { main } from '../main';
+import { run } from '.';
+import * as trace from './trace';
+
+// Make sure we don't print any colors so we can match against plain strings
+chalk.enabled = false;
+chalk.level = 0;
+
+jest.mock('../main', () => ({ main: jest.fn() }));
+jest.mock('./trace', () => ({
+  description: 'Trace changed files',
+  help: 'Usage: chromatic trace',
+  main: jest.fn(),
+}));
+
+let consoleLog;
+let consoleError;
+let exit;
+beforeEach(() => {
+  consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+  consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+    throw new Error('exit');
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('run', () => {
+  it('runs a build without a command', async () => {
+    await run([]);
+    expect(main).toHaveBeenCalledWith([]);
+    await run(['--project-token', 'abc', 'whatever']);
+    expect(main).toHaveBeenCalledWith(['--project-token', 'abc', 'whatever']);
+  });
+
+  it('runs the command with the remaining arguments', async () => {
+    await run(['trace', 'preview-stats.json', './src/button.js']);
+    expect(trace.main).toHaveBeenCalledWith(['preview-stats.json', './src/button.js']);
+    expect(main).not.toHaveBeenCalled();
+  });
+
+  it('supports command aliases', async () => {
+    await run(['stats-to-story-files', 'preview-stats.json']);
+    expect(trace.main).toHaveBeenCalledWith(['preview-stats.json']);
+  });
+
+  it('exits with an error on unknown commands', async () => {
+    await expect(run(['trcae', '--debug'])).rejects.toThrow('exit');
+    expect(exit).toHaveBeenCalledWith(254);
+    expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('Unknown command trcae'));
+    expect(main).not.toHaveBeenCalled();
+  });
+
+  it('lists the available commands', async () => {
+    await run(['help']);
+    expect(consoleLog).toHaveBeenCalledWith(expect.stringMatching(/trace\s+Trace changed files/));
+  });
+
+  it('exits with an error when asking help for an unknown command', async () => {
+    await expect(run(['help', 'trcae'])).rejects.toThrow('exit');
+    expect(exit).toHaveBeenCalledWith(254);
+  });
+});
@@ -0,0 +1,204 @@
+import fs from 'fs-extra';
+import jsonfile from 'jsonfile';
+import { prompt } from 'node-ask';
+import path from 'path';
+import pkgUp from 'pkg-up';
+import { v4 as uuid } from 'uuid';
+
+import { getRepositoryRoot } from '../git/git';
+import { ciProviders, getChromaticCommand, getCiWorkflow } from '../lib/ciWorkflows';
+import getEnv from '../lib/getEnv';
+import { findBuildScriptName } from '../lib/getOptions';
+import { getPackageManager } from '../lib/getPackageManager';
+import getStorybookInfo from '../lib/getStorybookInfo';
+import { createLogger } from '../lib/log';
+import parseArgs from '../lib/parseArgs';
+import invalidCiProvider from '../ui/messages/errors/invalidCiProvider';
+import missingBuildScriptName from '../ui/messages/errors/missingBuildScriptName';
+import noPackageJson from '../ui/messages/errors/noPackageJson';
+import initCiWorkflow from '../ui/messages/info/initCiWorkflow';
+import initDetected from '../ui/messages/info/initDetected';
+import initWroteFile from '../ui/messages/info/initWroteFile';
+import notAddedScript from '../ui/messages/info/notAddedScript';
+import turboSnapPrerequisites from '../ui/messages/info/turboSnapPrerequisites';
+import initCiWorkflowExists from '../ui/messages/warnings/initCiWorkflowExists';
+
+const { writeFile } = jsonfile;
+
+/**
+ * Utility to set up Chromatic in a project. It detects the Storybook build script and view layer,
+ * asks for the project token, then writes the options to a configuration file (or a package.json
+ * script) and optionally adds a workflow file for the detected CI provider. Finally it explains
+ * the prerequisites for TurboSnap.
+ *
+ * Command:
+ *   chromatic init [...flags]
+ *
+ * Usage examples:
+ *   yarn chromatic init
+ *   yarn chromatic init --project-token <token> --yes
+ */
+
+export const description = 'Set up Chromatic in your project.';
+
+export const help = `
+    Usage
+      $ chromatic init [options]
+
+    Options
+      --project-token <token>, -t  The unique code for your project. Alternatively, set CHROMATIC_PROJECT_TOKEN.
+      --build-script-name, -b <name>  The npm script that builds your Storybook. [build-storybook or the first script running build-storybook]
+      --ci-provider <provider>  Add a workflow file for this CI provider (github, gitlab, circleci or azure). [detected from your repository]
+      --yes, -y  Don't ask any questions, but accept the defaults: write chromatic.config.json and a workflow file for the detected CI provider.
+`;
+
+export const flags = {
+  projectToken: { type: 'string', alias: 't' },
+  buildScriptName: { type: 'string', alias: 'b' },
+  ciProvider: { type: 'string' },
+  yes: { type: 'boolean', alias: 'y' },
+};
+
+const SCRIPT_NAME = 'chromatic';
+const CONFIG_FILE = 'chromatic.config.json';
+
+export const detectCiProvider = async (rootDir) => {
+  const found = await Promise.all(
+    Object.values(ciProviders).map(({ detect }) => fs.pathExists(path.join(rootDir, detect)))
+  );
+  return Object.keys(ciProviders).find((key, index) => found[index]);
+};
+
+// Either asks the question or, when not interactive, goes with the default answer
+const ask = async ({ interactive }, question, defaultAnswer) => {
+  if (!interactive) return defaultAnswer;
+  const answer = (await prompt(question)).trim();
+  if (typeof defaultAnswer !== 'boolean') return answer || defaultAnswer;
+  return answer ? /^y(es)?$/i.test(answer) : defaultAnswer;
+};
+
+const writeOptions = async (ctx, { projectToken, buildScriptName, useConfigFile }) => {
+  const { log, packageJson, packageManager, packagePath, rootDir } = ctx;
+  const options = {
+    ...(projectToken && { projectToken }),
+    ...(buildScriptName !== 'build-storybook' && { buildScriptName }),
+  };
+
+  let scriptCommand = getChromaticCommand(packageManager);
+  if (useConfigFile) {
+    const configFile = path.join(rootDir, CONFIG_FILE);
+    await writeFile(configFile, options, { spaces: 2 });
+    log.info(initWroteFile(configFile, 'options'));
+  } else {
+    scriptCommand = [
+      scriptCommand,
+      options.projectToken && `--project-token ${options.projectToken}`,
+      options.buildScriptName && `--build-script-name ${options.buildScriptName}`,
+    ]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  const existingScript = packageJson.scripts[SCRIPT_NAME];
+  if (existingScript === scriptCommand) return;
+  if (existingScript && !(await ask(ctx, `Replace your '${SCRIPT_NAME}' script? [y/N] `, false))) {
+    log.info(notAddedScript(SCRIPT_NAME, scriptCommand));
+    return;
+  }
+
+  const json = {
+    ...packageJson,
+    scripts: { ...packageJson.scripts, [SCRIPT_NAME]: scriptCommand },
+  };
+  await writeFile(packagePath, json, { spaces: 2 });
+  log.info(initWroteFile(packagePath, `'${SCRIPT_NAME}' script`));
+};
+
+const writeCiWorkflow = async (ctx, provider, { buildScriptName, useConfigFile }) => {
+  const { log, packageManager, rootDir } = ctx;
+  const workflow = getCiWorkflow(provider, {
+    packageManager,
+    buildScriptName: !useConfigFile && buildScriptName !== 'build-storybook' && buildScriptName,
+  });
+
+  const repositoryRoot = await getRepositoryRoot().catch(() => rootDir);
+  const filepath = path.join(repositoryRoot, ciProviders[provider].filepath);
+  if (await fs.pathExists(filepath)) {
+    log.warn(initCiWorkflowExists(ciProviders[provider], filepath, workflow));
+    return;
+  }
+  await fs.outputFile(filepath, workflow);
+  log.info(initCiWorkflow(ciProviders[provider], filepath));
+};
+
+export async function runInit(ctx) {
+  const { env, flags: initFlags, log, packageJson } = ctx;
+  ctx.rootDir = path.dirname(ctx.packagePath);
+  ctx.interactive = !initFlags.yes && !!process.stdin.isTTY && !!process.stdout.isTTY;
+
+  const buildScriptName = initFlags.buildScriptName || findBuildScriptName(packageJson.scripts);
+  if (!buildScriptName || !packageJson.scripts[buildScriptName]) {
+    throw new Error(missingBuildScriptName(buildScriptName || 'build-storybook'));
+  }
+  if (initFlags.ciProvider && !ciProviders[initFlags.ciProvider]) {
+    throw new Error(invalidCiProvider(initFlags.ciProvider, Object.keys(ciProviders)));
+  }
+
+  ctx.packageManager = await getPackageManager({ cwd: ctx.rootDir });
+  const storybook = await getStorybookInfo({ ...ctx, options: { buildScriptName } });
+  const detectedProvider = initFlags.ciProvider || (await detectCiProvider(ctx.rootDir));
+  log.info(initDetected({ buildScriptName, storybook, ciProvider: ciProviders[detectedProvider] }));
+
+  const projectToken =
+    initFlags.projectToken ||
+    env.CHROMATIC_PROJECT_TOKEN ||
+    (await ask(ctx, 'What is your project token? (find it at https://www.chromatic.com/start) '));
+
+  const useConfigFile = await ask(ctx, `Save your options to ${CONFIG_FILE}? [Y/n] `, true);
+  await writeOptions(ctx, { projectToken, buildScriptName, useConfigFile });
+
+  const provider =
+    ciProviders[detectedProvider] &&
+    (await ask(ctx, `Add a ${ciProviders[detectedProvider].name} workflow? [Y/n] `, true)) &&
+    detectedProvider;
+  if (provider) await writeCiWorkflow(ctx, provider, { buildScriptName, useConfigFile });
+
+  log.info(
+    turboSnapPrerequisites({
+      buildScriptName,
+      buildScript: packageJson.scripts[buildScriptName],
+      storybookVersion: storybook.version,
+    })
+  );
+}
+
+export async function main(argv) {
+  const sessionId = uuid();
+  const env = getEnv();
+  const log = createLogger(sessionId, env);
+
+  const packagePath = await pkgUp();
+  if (!packagePath) {
+    log.error(noPackageJson());
+    process.exit(253);
+  }
+
+  const packageJson = await jsonfile.readFile(packagePath);
+  const ctx = {
+    env,
+    log,
+    sessionId,
+    packagePath,
+    packageJson: { ...packageJson, scripts: packageJson.scripts || {} },
+    ...parseArgs(argv, { description, help, flags }),
+  };
+
+  try {
+    log.info('');
+    await runInit(ctx);
+    log.info('');
+  } catch (e) {
+    log.error(e.message);
+    process.exit(254);
+  }
+}
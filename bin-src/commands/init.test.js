@@ -0,0 +1,149 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { prompt } from 'node-ask';
+import path from 'path';
+import tmp from 'tmp-promise';
+
+import { getRepositoryRoot } from '../git/git';
+import getStorybookInfo from '../lib/getStorybookInfo';
+import parseArgs from '../lib/parseArgs';
+import TestLogger from '../lib/testLogger';
+import { description, detectCiProvider, flags, help, runInit } from './init';
+
+// Make sure we don't print any colors so we can match against plain strings
+chalk.enabled = false;
+chalk.level = 0;
+
+jest.mock('node-ask');
+jest.mock('../git/git');
+jest.mock('../lib/getStorybookInfo');
+
+let rootDir;
+beforeEach(async () => {
+  rootDir = (await tmp.dir({ unsafeCleanup: true, prefix: `chromatictest-` })).path;
+  getRepositoryRoot.mockResolvedValue(rootDir);
+  getStorybookInfo.mockResolvedValue({ viewLayer: 'react', version: '6.4.9', addons: [] });
+  process.stdin.isTTY = false;
+  process.stdout.isTTY = false;
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+const getContext = (argv, scripts = { 'build-storybook': 'build-storybook -s public' }) => {
+  const packageJson = { name: 'app', scripts };
+  const packagePath = path.join(rootDir, 'package.json');
+  fs.writeJsonSync(packagePath, packageJson);
+  return {
+    env: {},
+    log: new TestLogger(),
+    packageJson,
+    packagePath,
+    ...parseArgs(argv, { description, help, flags }),
+  };
+};
+
+describe('detectCiProvider', () => {
+  it('detects the CI provider from its configuration', async () => {
+    expect(await detectCiProvider(rootDir)).toBeUndefined();
+    await fs.outputFile(path.join(rootDir, '.gitlab-ci.yml'), 'test:\n');
+    expect(await detectCiProvider(rootDir)).toBe('gitlab');
+  });
+});
+
+describe('runInit', () => {
+  it('writes the configuration file, package.json script and CI workflow with --yes', async () => {
+    await fs.ensureDir(path.join(rootDir, '.github'));
+    await runInit(getContext(['--yes', '--project-token', 'abc123']));
+
+    expect(await fs.readJson(path.join(rootDir, 'chromatic.config.json'))).toEqual({
+      projectToken: 'abc123',
+    });
+    expect(await fs.readJson(path.join(rootDir, 'package.json'))).toMatchObject({
+      scripts: { chromatic: 'npx chromatic' },
+    });
+    const workflow = await fs.readFile(path.join(rootDir, '.github/workflows/chromatic.yml'));
+    expect(workflow.toString()).toMatch(
+      /projectToken: \$\{\{ secrets.CHROMATIC_PROJECT_TOKEN \}\}/
+    );
+    expect(prompt).not.toHaveBeenCalled();
+  });
+
+  it('asks for the project token and where to save the options', async () => {
+    process.stdin.isTTY = true;
+    process.stdout.isTTY = true;
+    prompt.mockResolvedValueOnce('abc123').mockResolvedValueOnce('n');
+
+    const ctx = getContext([], { 'build:storybook': 'build-storybook' });
+    await runInit(ctx);
+
+    expect(prompt).toHaveBeenCalledTimes(2);
+    expect(await fs.pathExists(path.join(rootDir, 'chromatic.config.json'))).toBe(false);
+    expect(await fs.readJson(path.join(rootDir, 'package.json'))).toMatchObject({
+      scripts: {
+        chromatic: 'npx chromatic --project-token abc123 --build-script-name build:storybook',
+      },
+    });
+  });
+
+  it('does not overwrite an existing CI configuration', async () => {
+    const gitlabCi = path.join(rootDir, '.gitlab-ci.yml');
+    await fs.outputFile(gitlabCi, 'test:\n');
+    const ctx = getContext(['--yes']);
+    await runInit(ctx);
+
+    expect((await fs.readFile(gitlabCi)).toString()).toBe('test:\n');
+    expect(ctx.log.warnings).toContainEqual(expect.stringContaining(`Not overwriting ${gitlabCi}`));
+  });
+
+  it('keeps an existing chromatic script unless confirmed', async () => {
+    const ctx = getContext(['--yes'], {
+      'build-storybook': 'build-storybook',
+      chromatic: 'chromatic --exit-zero-on-changes',
+    });
+    await runInit(ctx);
+
+    expect(await fs.readJson(path.join(rootDir, 'package.json'))).toMatchObject({
+      scripts: { chromatic: 'chromatic --exit-zero-on-changes' },
+    });
+  });
+
+  it('uses pnpm in the script and CI workflow when there is a pnpm lockfile', async () => {
+    await fs.outputFile(path.join(rootDir, 'pnpm-lock.yaml'), "lockfileVersion: '6.0'\n");
+    await fs.ensureDir(path.join(rootDir, '.circleci'));
+    await runInit(getContext(['--yes']));
+
+    expect(await fs.readJson(path.join(rootDir, 'package.json'))).toMatchObject({
+      scripts: { chromatic: 'pnpm dlx chromatic' },
+    });
+    const workflow = (await fs.readFile(path.join(rootDir, '.circleci/config.yml'))).toString();
+    expect(workflow).toContain('pnpm install --frozen-lockfile');
+    expect(workflow).toContain('run: pnpm dlx chromatic');
+  });
+
+  it('uses Yarn Berry in the script and CI workflow when declared in package.json', async () => {
+    const ctx = getContext(['--yes', '--ci-provider', 'azure']);
+    fs.writeJsonSync(ctx.packagePath, { ...ctx.packageJson, packageManager: 'yarn@3.2.0' });
+    await runInit(ctx);
+
+    expect(await fs.readJson(path.join(rootDir, 'package.json'))).toMatchObject({
+      scripts: { chromatic: 'yarn dlx chromatic' },
+    });
+    const workflow = (await fs.readFile(path.join(rootDir, 'azure-pipelines.yml'))).toString();
+    expect(workflow).toContain('yarn install --immutable');
+    expect(workflow).toContain('script: yarn dlx chromatic');
+  });
+
+  it('throws if there is no Storybook build script', async () => {
+    await expect(runInit(getContext(['--yes'], { build: 'webpack' }))).rejects.toThrow(
+      'Build script not found'
+    );
+  });
+
+  it('throws on an unsupported CI provider', async () => {
+    await expect(runInit(getContext(['--yes', '--ci-provider', 'travis']))).rejects.toThrow(
+      'Invalid value for --ci-provider: travis'
+    );
+  });
+});
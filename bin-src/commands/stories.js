@@ -0,0 +1,47 @@
+import { main as runMain } from '../main';
+import parseArgs, { supportedFlags } from '../lib/parseArgs';
+import unknownCommand from '../ui/messages/errors/unknownCommand';
+
+/**
+ * Utility to keep track of the stories in your Storybook across builds. The `diff` command runs a
+ * build with `--list` and compares the stories in the build against a manifest saved by a previous
+ * run, listing the stories which were added, removed or renamed. The manifest is then updated to
+ * reflect the current build. Note this is a full build, so it does take snapshots, which count
+ * towards your snapshot quota. Any other flags are passed on as usual, including
+ * `--stories-manifest <filepath>` to use a different manifest file.
+ *
+ * Command:
+ *   chromatic stories diff [...flags]
+ *
+ * Usage examples:
+ *   yarn chromatic stories diff --project-token <token>
+ *   yarn chromatic stories diff --project-token <token> --stories-manifest ./stories.json
+ */
+
+export const description = 'List the stories added, removed or renamed since a previous run.';
+
+export const help = `
+    Usage
+      $ chromatic stories diff --project-token <token> [options]
+
+    Commands
+      diff  Run a build and compare its stories against the stories manifest saved by a previous run. The manifest is then updated to reflect the current build. This is a full build, so its snapshots count towards your snapshot quota.
+
+    Accepts the same options as a regular build, see 'chromatic --help'. Use --stories-manifest <filepath> to use a different manifest file. [chromatic-stories.json]
+`;
+
+export async function main(argv) {
+  const {
+    input: [command],
+  } = parseArgs(argv, { description, help, flags: supportedFlags });
+
+  if (command !== 'diff') {
+    // eslint-disable-next-line no-console
+    console.error(unknownCommand(`stories ${command || ''}`.trim(), ['stories diff']));
+    process.exit(254);
+  }
+
+  const args = argv.filter((arg, index) => index !== argv.indexOf(command));
+  const hasManifestFlag = args.some((arg) => arg.startsWith('--stories-manifest'));
+  await runMain([...args, '--list', ...(hasManifestFlag ? [] : ['--stories-manifest'])]);
+}
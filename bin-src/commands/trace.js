@@ -0,0 +1,83 @@
+import fs from 'fs-extra';
+
+import { getDependentStoryFiles } from '../lib/getDependentStoryFiles';
+import parseArgs from '../lib/parseArgs';
+
+/**
+ * Utility to trace a set of changed file paths to dependent story files using a Webpack stats file.
+ * Given a path to `preview-stats.json` and a list of "changed" file paths, it returns a set of
+ * story files that depend on any of the changed files.
+ *
+ * Command:
+ *   chromatic trace [path to preview-stats.json] [...changed file paths]
+ *
+ * Usage examples:
+ *   yarn chromatic trace ./path/to/preview-stats.json ./src/button.js ./src/header.js
+ *   yarn chromatic trace ./storybook-static/preview-stats.json ./bin/ui/components/link.js
+ *
+ * This prints the number of detected CSF globs, the total number of modules, and a map of
+ *   `Webpack module ID -> file path` for each of the found story files (typically `*.stories.js`)
+ *
+ * Example output:
+ *   Found 2 CSF globs
+ *   Found 218 user modules
+ *   {
+ *     '114': './bin/ui/messages/info/buildPassed.stories.js',
+ *     '228': './bin/ui/messages/errors/buildHasChanges.stories.js',
+ *     '229': './bin/ui/messages/info/storybookPublished.stories.js',
+ *     ...
+ *   }
+ *
+ * You can generate a preview-stats.json like so (requires Storybook >=6.3):
+ *   yarn build-storybook --webpack-stats-json
+ *
+ * This script assumes your config directory is `./.storybook`, you can use `--config-dir` or
+ * `STORYBOOK_CONFIG_DIR` to change that. This command used to be called `stats-to-story-files`,
+ * which still works as an alias.
+ */
+
+export const description =
+  'Trace changed files to dependent story files using a Webpack stats file.';
+
+export const help = `
+    Usage
+      $ chromatic trace <statsfile> [...changed files]
+
+    Arguments
+      statsfile  Path to the preview-stats.json file, generated with 'build-storybook --webpack-stats-json'.
+      changed files  Paths of the changed files to trace, relative to the repository root.
+
+    Options
+      --config-dir, -c <dirname>  Path to the Storybook config directory. Alternatively, set STORYBOOK_CONFIG_DIR. [.storybook]
+`;
+
+export const flags = {
+  configDir: { type: 'string', alias: 'c' },
+};
+
+export async function main(argv) {
+  const {
+    input: [statsFile, ...changedFiles],
+    flags: { configDir },
+    help: helpText,
+  } = parseArgs(argv, { description, help, flags });
+
+  if (!statsFile) {
+    // eslint-disable-next-line no-console
+    console.error(helpText);
+    process.exit(254);
+  }
+
+  const stats = await fs.readJson(statsFile);
+  const ctx = {
+    log: console,
+    options: {},
+    turboSnap: {},
+    storybook: {
+      configDir: configDir || process.env.STORYBOOK_CONFIG_DIR || '.storybook',
+      staticDir: ['static'],
+    },
+  };
+  // eslint-disable-next-line no-console
+  console.log(await getDependentStoryFiles(ctx, stats, statsFile, changedFiles));
+}
@@ -0,0 +1,43 @@
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { getRepositoryRoot } from '../git/git';
+import { main } from './trace';
+
+jest.mock('../git/git');
+
+const CSF_GLOB = './src sync ^\\.\\/(?:(?!\\.)(?=.)[^/]*?\\.stories\\.js)$';
+
+describe('trace', () => {
+  const statsFile = join(mkdtempSync(join(tmpdir(), 'chromatictest-')), 'preview-stats.json');
+  writeFileSync(
+    statsFile,
+    JSON.stringify({
+      modules: [
+        { id: 1, name: './src/foo.js', reasons: [{ moduleName: './src/foo.stories.js' }] },
+        { id: 2, name: './src/foo.stories.js', reasons: [{ moduleName: CSF_GLOB }] },
+        {
+          id: 3,
+          name: CSF_GLOB,
+          reasons: [{ moduleName: './.storybook/generated-stories-entry.js' }],
+        },
+      ],
+    })
+  );
+
+  beforeEach(() => {
+    getRepositoryRoot.mockResolvedValue(process.cwd());
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('prints the story files which depend on the changed files', async () => {
+    await main([statsFile, 'src/foo.js']);
+    // eslint-disable-next-line no-console
+    expect(console.log).toHaveBeenCalledWith({ 2: 'src/foo.stories.js' });
+  });
+});
@@ -1,5 +1,7 @@
 import { readJson, outputFile } from 'fs-extra';
 
+import parseArgs from '../lib/parseArgs';
+
 const dedupe = (arr) => [...new Set(arr)];
 const isUserCode = ({ name, moduleName = name }) =>
   moduleName &&
@@ -17,7 +19,23 @@ const isUserCode = ({ name, moduleName = name }) =>
  *   yarn chromatic trim-stats-file ./path/to/preview-stats.json
  */
 
-export async function main([statsFile = './storybook-static/preview-stats.json']) {
+export const description = 'Trim down a preview-stats.json file to the bare minimum.';
+
+export const help = `
+    Usage
+      $ chromatic trim-stats-file [statsfile]
+
+    Arguments
+      statsfile  Path to the preview-stats.json file to trim. [./storybook-static/preview-stats.json]
+
+    The trimmed stats are written alongside the original stats file, with .trimmed.json as file extension.
+`;
+
+export async function main(argv) {
+  const {
+    input: [statsFile = './storybook-static/preview-stats.json'],
+  } = parseArgs(argv, { description, help });
+
   const stats = await readJson(statsFile);
   const trimmedModules = stats.modules
     .filter(isUserCode)
@@ -1,15 +1,16 @@
 import envCi from 'env-ci';
 
-import forksUnsupported from '../ui/messages/errors/forksUnsupported';
 import gitOneCommit from '../ui/messages/errors/gitOneCommit';
-import missingGitHubInfo from '../ui/messages/errors/missingGitHubInfo';
-import missingTravisInfo from '../ui/messages/errors/missingTravisInfo';
-import customGitHubAction from '../ui/messages/info/customGitHubAction';
-import travisInternalBuild from '../ui/messages/warnings/travisInternalBuild';
 import noCommitDetails from '../ui/messages/warnings/noCommitDetails';
+import pullRequestHeadNotFound from '../ui/messages/warnings/pullRequestHeadNotFound';
 import { getBranch, getCommit, hasPreviousCommit } from './git';
+import { findProvider } from './providers';
 
 const ORIGIN_PREFIX_REGEXP = /^origin\//;
+
+// Retrieves the first of the given refs which exists in the local history
+const getFirstCommit = ([ref, ...refs]) =>
+  getCommit(ref).catch((err) => (refs.length ? getFirstCommit(refs) : Promise.reject(err)));
 const notHead = (branch) => (branch && branch !== 'HEAD' ? branch : false);
 
 export async function getCommitAndBranch({ log }, { branchName, patchBaseRef, ci } = {}) {
@@ -17,27 +18,14 @@ export async function getCommitAndBranch({ log }, { branchName, patchBaseRef, ci
   let branch = notHead(branchName) || notHead(patchBaseRef) || (await getBranch());
   let slug;
 
-  const {
-    TRAVIS_EVENT_TYPE,
-    TRAVIS_PULL_REQUEST_SLUG,
-    TRAVIS_REPO_SLUG,
-    TRAVIS_PULL_REQUEST_SHA,
-    TRAVIS_PULL_REQUEST_BRANCH,
-    GITHUB_ACTIONS,
-    GITHUB_EVENT_NAME,
-    GITHUB_REPOSITORY,
-    GITHUB_BASE_REF,
-    GITHUB_HEAD_REF,
-    GITHUB_SHA,
-    CHROMATIC_SHA,
-    CHROMATIC_BRANCH,
-    CHROMATIC_SLUG,
-  } = process.env;
+  const { TRAVIS_EVENT_TYPE, GITHUB_ACTIONS, CHROMATIC_SHA, CHROMATIC_BRANCH, CHROMATIC_SLUG } =
+    process.env;
 
   const isFromEnvVariable = CHROMATIC_SHA && CHROMATIC_BRANCH; // Our GitHub Action also sets these
   const isTravisPrBuild = TRAVIS_EVENT_TYPE === 'pull_request';
   const isGitHubAction = GITHUB_ACTIONS === 'true';
-  const isGitHubPrBuild = GITHUB_EVENT_NAME === 'pull_request';
+  const provider = findProvider(process.env);
+  const isMergeQueue = !!provider && !!provider.isMergeQueue && provider.isMergeQueue(process.env);
 
   if (!(await hasPreviousCommit())) {
     throw new Error(gitOneCommit(isGitHubAction));
@@ -51,46 +39,24 @@ export async function getCommitAndBranch({ log }, { branchName, patchBaseRef, ci
     });
     branch = CHROMATIC_BRANCH;
     slug = CHROMATIC_SLUG;
-  } else if (isTravisPrBuild) {
-    if (TRAVIS_PULL_REQUEST_SLUG === TRAVIS_REPO_SLUG) {
-      log.warn(travisInternalBuild());
-    }
-    if (!TRAVIS_PULL_REQUEST_SHA || !TRAVIS_PULL_REQUEST_BRANCH) {
-      throw new Error(missingTravisInfo({ TRAVIS_EVENT_TYPE }));
-    }
-
-    // Travis PR builds are weird, we want to ensure we mark build against the commit that was
-    // merged from, rather than the resulting "psuedo" merge commit that doesn't stick around in the
-    // history of the project (so approvals will get lost). We also have to ensure we use the right branch.
-    commit = await getCommit(TRAVIS_PULL_REQUEST_SHA).catch((err) => {
-      log.warn(noCommitDetails(TRAVIS_PULL_REQUEST_SHA, 'TRAVIS_PULL_REQUEST_SHA'));
-      log.debug(err);
-      return { sha: TRAVIS_PULL_REQUEST_SHA };
-    });
-    branch = TRAVIS_PULL_REQUEST_BRANCH;
-    slug = TRAVIS_PULL_REQUEST_SLUG;
-  } else if (isGitHubPrBuild) {
-    log.info(customGitHubAction());
-
-    if (!GITHUB_HEAD_REF || !GITHUB_SHA) {
-      throw new Error(missingGitHubInfo({ GITHUB_EVENT_NAME }));
-    }
-    if (GITHUB_BASE_REF === GITHUB_HEAD_REF) {
-      throw new Error(forksUnsupported({ GITHUB_HEAD_REF }));
-    }
-
-    // GitHub PR builds run against a "virtual merge commit" with a SHA unknown to Chromatic and an
-    // invalid branch name, so we override these using environment variables available in the action.
-    // This does not apply to our GitHub Action, because it'll set CHROMATIC_SHA, -BRANCH and -SLUG.
-    // We intentionally use the GITHUB_HEAD_REF (branch name) here, to retrieve the last commit on
-    // the head branch rather than the merge commit (GITHUB_SHA).
-    commit = await getCommit(GITHUB_HEAD_REF).catch((err) => {
-      log.warn(noCommitDetails(GITHUB_HEAD_REF, 'GITHUB_HEAD_REF'));
+  } else if (provider) {
+    // Pull request builds typically run against a merge commit which doesn't stick around in the
+    // history of the project, so we use the head commit and branch provided by the CI service.
+    log.debug(`Resolving pull request info for ${provider.name}`);
+    const info = provider.getInfo({ log }, process.env);
+    const refs = [].concat(info.commit);
+    commit = await getFirstCommit(refs).catch((err) => {
+      // Some providers only offer a branch name, in which case we fall back to the merge commit
+      if (Array.isArray(info.commit) && info.fallbackCommit) {
+        log.warn(pullRequestHeadNotFound(refs, info.fallbackCommit));
+      } else {
+        log.warn(noCommitDetails(refs[0], info.commitVariable));
+      }
       log.debug(err);
-      return { sha: GITHUB_SHA };
+      return { sha: info.fallbackCommit || refs[0] };
     });
-    branch = GITHUB_HEAD_REF;
-    slug = GITHUB_REPOSITORY;
+    branch = info.branch;
+    slug = info.slug;
   }
 
   const {
@@ -140,6 +106,7 @@ export async function getCommitAndBranch({ log }, { branchName, patchBaseRef, ci
       branch,
       slug,
       isTravisPrBuild,
+      isMergeQueue,
       fromCI,
       ciService,
     })}`
@@ -152,6 +119,7 @@ export async function getCommitAndBranch({ log }, { branchName, patchBaseRef, ci
     branch,
     slug,
     isTravisPrBuild,
+    isMergeQueue,
     fromCI,
     ciService,
   };
@@ -1,5 +1,5 @@
 import envCi from 'env-ci';
-import { getBranch, getCommit, hasPreviousCommit } from './git';
+import { getBranch, getCommit, hasPreviousCommit, parseSlug } from './git';
 
 import { getCommitAndBranch } from './getCommitAndBranch';
 
@@ -207,4 +207,242 @@ describe('getCommitAndBranch', () => {
       );
     });
   });
+
+  describe('GitHub merge queue build', () => {
+    beforeEach(() => {
+      Object.assign(process.env, {
+        GITHUB_ACTIONS: 'true',
+        GITHUB_EVENT_NAME: 'merge_group',
+        GITHUB_REF: 'refs/heads/gh-readonly-queue/main/pr-12-3276c796',
+        GITHUB_REPOSITORY: 'chromaui/github',
+        GITHUB_SHA: 'c11da9a9',
+      });
+    });
+
+    it('sets the expected info', async () => {
+      getCommit.mockImplementation((commit) => Promise.resolve({ commit, ...commitInfo }));
+      const info = await getCommitAndBranch({ log });
+      expect(info).toMatchObject({
+        branch: 'gh-readonly-queue/main/pr-12-3276c796',
+        commit: 'c11da9a9',
+        ...commitInfo,
+        slug: 'chromaui/github',
+        isMergeQueue: true,
+      });
+    });
+
+    it('marks builds from our GitHub Action as merge queue builds', async () => {
+      process.env.CHROMATIC_SHA = 'c11da9a9';
+      process.env.CHROMATIC_BRANCH = 'gh-readonly-queue/main/pr-12-3276c796';
+      const info = await getCommitAndBranch({ log });
+      expect(info).toMatchObject({ isMergeQueue: true });
+    });
+  });
+
+  describe('GitLab merged results pipeline', () => {
+    beforeEach(() => {
+      Object.assign(process.env, {
+        GITLAB_CI: 'true',
+        CI_MERGE_REQUEST_IID: '12',
+        CI_MERGE_REQUEST_EVENT_TYPE: 'merged_result',
+        CI_COMMIT_SHA: '9f8e7d6c',
+        CI_MERGE_REQUEST_SOURCE_BRANCH_SHA: 'a1b2c3d4',
+        CI_MERGE_REQUEST_SOURCE_BRANCH_NAME: 'gitlab',
+        CI_PROJECT_PATH: 'chromaui/gitlab',
+      });
+    });
+
+    it('uses the head of the source branch rather than the merge commit', async () => {
+      getCommit.mockImplementation((commit) => Promise.resolve({ commit, ...commitInfo }));
+      const info = await getCommitAndBranch({ log });
+      expect(getCommit).toHaveBeenCalledWith('a1b2c3d4');
+      expect(info).toMatchObject({
+        branch: 'gitlab',
+        commit: 'a1b2c3d4',
+        ...commitInfo,
+        slug: 'chromaui/gitlab',
+      });
+    });
+
+    it('warns when the source commit is not in the local clone', async () => {
+      getCommit.mockResolvedValueOnce().mockRejectedValueOnce();
+      const info = await getCommitAndBranch({ log });
+      expect(info).toMatchObject({ branch: 'gitlab', commit: 'a1b2c3d4' });
+      expect(log.warn).toHaveBeenCalledWith(expect.stringMatching('Commit a1b2c3d does not exist'));
+      expect(log.warn).toHaveBeenCalledWith(
+        expect.stringMatching('CI_MERGE_REQUEST_SOURCE_BRANCH_SHA')
+      );
+    });
+
+    it('throws on missing variable', async () => {
+      delete process.env.CI_MERGE_REQUEST_SOURCE_BRANCH_SHA;
+      await expect(getCommitAndBranch({ log })).rejects.toThrow(
+        'Missing GitLab environment variable'
+      );
+    });
+  });
+
+  describe('GitLab merge train pipeline', () => {
+    beforeEach(() => {
+      Object.assign(process.env, {
+        GITLAB_CI: 'true',
+        CI_MERGE_REQUEST_IID: '12',
+        CI_MERGE_REQUEST_EVENT_TYPE: 'merge_train',
+        CI_COMMIT_SHA: '9f8e7d6c',
+        CI_MERGE_REQUEST_SOURCE_BRANCH_SHA: 'a1b2c3d4',
+        CI_MERGE_REQUEST_SOURCE_BRANCH_NAME: 'gitlab',
+        CI_PROJECT_PATH: 'chromaui/gitlab',
+      });
+    });
+
+    it('builds the merge train commit, so its merged heads can be found', async () => {
+      getCommit.mockImplementation((commit) => Promise.resolve({ commit, ...commitInfo }));
+      const info = await getCommitAndBranch({ log });
+      expect(getCommit).toHaveBeenCalledWith('9f8e7d6c');
+      expect(info).toMatchObject({
+        branch: 'gitlab',
+        commit: '9f8e7d6c',
+        ...commitInfo,
+        slug: 'chromaui/gitlab',
+        isMergeQueue: true,
+      });
+    });
+  });
+
+  describe.each([
+    [
+      'GitLab merge request pipeline',
+      {
+        GITLAB_CI: 'true',
+        CI_MERGE_REQUEST_IID: '12',
+        CI_COMMIT_SHA: 'a1b2c3d4',
+        CI_MERGE_REQUEST_SOURCE_BRANCH_NAME: 'gitlab',
+        CI_MERGE_REQUEST_SOURCE_PROJECT_PATH: 'fork/gitlab',
+        CI_PROJECT_PATH: 'chromaui/gitlab',
+      },
+      { commit: 'a1b2c3d4', branch: 'gitlab', slug: 'fork/gitlab' },
+    ],
+    [
+      'Bitbucket pull request pipeline',
+      {
+        BITBUCKET_PR_ID: '12',
+        BITBUCKET_COMMIT: 'b2c3d4e5',
+        BITBUCKET_BRANCH: 'bitbucket',
+        BITBUCKET_REPO_FULL_NAME: 'chromaui/bitbucket',
+      },
+      { commit: 'b2c3d4e5', branch: 'bitbucket', slug: 'chromaui/bitbucket' },
+    ],
+    [
+      'Azure Pipelines PR build',
+      {
+        TF_BUILD: 'True',
+        BUILD_REASON: 'PullRequest',
+        BUILD_SOURCEVERSION: 'ffffffff',
+        SYSTEM_PULLREQUEST_SOURCEBRANCH: 'refs/heads/azure',
+        SYSTEM_PULLREQUEST_SOURCECOMMITID: 'c3d4e5f6',
+        SYSTEM_TEAMPROJECT: 'chromaui',
+        BUILD_REPOSITORY_NAME: 'azure',
+      },
+      { commit: 'c3d4e5f6', branch: 'azure', slug: 'chromaui/azure' },
+    ],
+    [
+      'Buildkite PR build',
+      {
+        BUILDKITE: 'true',
+        BUILDKITE_PULL_REQUEST: '12',
+        BUILDKITE_COMMIT: 'd4e5f6a7',
+        BUILDKITE_BRANCH: 'contributor:buildkite',
+        BUILDKITE_PULL_REQUEST_REPO: 'git://github.com/contributor/buildkite.git',
+      },
+      { commit: 'd4e5f6a7', branch: 'buildkite', slug: 'contributor/buildkite' },
+    ],
+    [
+      'CircleCI PR build',
+      {
+        CIRCLECI: 'true',
+        CIRCLE_PULL_REQUEST: 'https://github.com/chromaui/circleci/pull/12',
+        CIRCLE_SHA1: 'e5f6a7b8',
+        CIRCLE_BRANCH: 'circleci',
+        CIRCLE_PROJECT_USERNAME: 'chromaui',
+        CIRCLE_PROJECT_REPONAME: 'circleci',
+      },
+      { commit: 'e5f6a7b8', branch: 'circleci', slug: 'chromaui/circleci' },
+    ],
+  ])('%s', (_, env, expected) => {
+    beforeEach(() => {
+      Object.assign(process.env, env);
+      parseSlug.mockImplementation(jest.requireActual('./git').parseSlug);
+    });
+
+    it('sets the expected info', async () => {
+      getCommit.mockImplementation((commit) => Promise.resolve({ commit, ...commitInfo }));
+      const info = await getCommitAndBranch({ log });
+      expect(getCommit).toHaveBeenCalledWith(expected.commit);
+      expect(info).toMatchObject({ ...expected, ...commitInfo });
+    });
+
+    it('falls back to the provided SHA when commit cannot be retrieved', async () => {
+      getCommit.mockResolvedValueOnce().mockRejectedValueOnce();
+      const info = await getCommitAndBranch({ log });
+      expect(info).toMatchObject({
+        commit: env.BUILD_SOURCEVERSION || expected.commit,
+        branch: expected.branch,
+      });
+      expect(log.warn).toHaveBeenCalledWith(expect.stringMatching('does not exist'));
+    });
+  });
+
+  describe.each([
+    [
+      'Jenkins multibranch change request',
+      {
+        JENKINS_URL: 'https://jenkins.example.com/',
+        CHANGE_ID: '12',
+        CHANGE_BRANCH: 'jenkins',
+        GIT_COMMIT: 'ffffffff',
+      },
+      'jenkins',
+    ],
+    [
+      'Azure Pipelines PR build without source commit',
+      {
+        TF_BUILD: 'True',
+        BUILD_REASON: 'PullRequest',
+        BUILD_SOURCEVERSION: 'ffffffff',
+        SYSTEM_PULLREQUEST_SOURCEBRANCH: 'refs/heads/azure',
+      },
+      'azure',
+    ],
+  ])('%s without a local source branch', (_, env, branch) => {
+    beforeEach(() => {
+      Object.assign(process.env, env);
+    });
+
+    it('uses the remote tracking branch of the source branch', async () => {
+      getCommit.mockImplementation((commit) => Promise.resolve({ commit, ...commitInfo }));
+      const info = await getCommitAndBranch({ log });
+      expect(getCommit).toHaveBeenCalledWith(`origin/${branch}`);
+      expect(info).toMatchObject({ commit: `origin/${branch}`, branch });
+    });
+
+    it('falls back to the second parent of the merge commit', async () => {
+      getCommit.mockImplementation((commit) =>
+        commit && commit.startsWith('origin/')
+          ? Promise.reject(new Error('unknown revision'))
+          : Promise.resolve({ commit, ...commitInfo })
+      );
+      const info = await getCommitAndBranch({ log });
+      expect(getCommit).toHaveBeenCalledWith('ffffffff^2');
+      expect(info).toMatchObject({ commit: 'ffffffff^2', branch });
+    });
+
+    it('warns when using the merge commit because the head commit cannot be found', async () => {
+      getCommit.mockResolvedValueOnce().mockRejectedValue(new Error('unknown revision'));
+      const info = await getCommitAndBranch({ log });
+      expect(info).toMatchObject({ commit: 'ffffffff', branch });
+      expect(log.warn).toHaveBeenCalledWith(
+        expect.stringMatching('Could not find the head commit of this pull request')
+      );
+    });
+  });
 });
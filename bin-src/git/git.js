@@ -3,27 +3,37 @@ import execa from 'execa';
 import gql from 'fake-tag';
 import { EOL } from 'os';
 
+import getEnv from '../lib/getEnv';
 import gitNoCommits from '../ui/messages/errors/gitNoCommits';
 import gitNotInitialized from '../ui/messages/errors/gitNotInitialized';
 import gitNotInstalled from '../ui/messages/errors/gitNotInstalled';
+import gitShallowRepository from '../ui/messages/errors/gitShallowRepository';
 
-async function execGitCommand(command) {
+/**
+ * Runs git with the given arguments. These are passed to git as-is, without going through a shell,
+ * so refs and paths don't need to be escaped.
+ *
+ * @param {string[]} args Arguments to git, e.g. `['rev-parse', 'HEAD']`
+ * @param {object} [options]
+ * @param {number} [options.timeout] Timeout in milliseconds [CHROMATIC_GIT_TIMEOUT]
+ */
+async function execGitCommand(args, { timeout = getEnv().CHROMATIC_GIT_TIMEOUT } = {}) {
+  const command = ['git', ...args].join(' ');
   try {
-    const { all } = await execa.command(command, {
+    const { all } = await execa('git', args, {
       env: { LANG: 'C', LC_ALL: 'C' }, // make sure we're speaking English
-      timeout: 10000, // 10 seconds
+      timeout,
       all: true, // interleave stdout and stderr
-      shell: true, // we'll deal with escaping ourselves (for now)
     });
     return all;
   } catch (error) {
-    const { message } = error;
+    const { code, message } = error;
 
     if (message.includes('not a git repository')) {
       throw new Error(gitNotInitialized({ command }));
     }
 
-    if (message.includes('git not found')) {
+    if (code === 'ENOENT' || message.includes('git not found')) {
       throw new Error(gitNotInstalled({ command }));
     }
 
@@ -35,8 +45,20 @@ async function execGitCommand(command) {
   }
 }
 
+// Refs are passed as separate arguments, but one starting with a dash would still be taken for an
+// option. Git doesn't allow such branch names, so we refuse them rather than pass them along.
+function assertRef(ref) {
+  if (ref.startsWith('-')) throw new Error(`Invalid git ref: ${ref}`);
+  return ref;
+}
+
 export const FETCH_N_INITIAL_BUILD_COMMITS = 20;
 
+// When running in a shallow clone, we fetch this many more commits at a time (doubling each time)
+// while looking for ancestor builds, up to MAX_DEEPEN_ATTEMPTS times.
+export const DEEPEN_HISTORY_BY_N_COMMITS = 100;
+export const MAX_DEEPEN_ATTEMPTS = 5;
+
 const TesterFirstCommittedAtQuery = gql`
   query TesterFirstCommittedAtQuery($commit: String!, $branch: String!) {
     app {
@@ -80,28 +102,37 @@ const TesterBaselineCommitsQuery = gql`
 `;
 
 export async function getVersion() {
-  const result = await execGitCommand(`git --version`);
+  const result = await execGitCommand(['--version']);
   return result.replace('git version ', '');
 }
 
 // The slug consists of the last two parts of the URL, at least for GitHub, GitLab and Bitbucket,
 // and is typically followed by `.git`. The regex matches the last two parts between slashes, and
 // ignores the `.git` suffix if it exists, so it matches something like `ownername/reponame`.
-export async function getSlug() {
-  const result = await execGitCommand(`git config --get remote.origin.url`);
-  const [, slug] = result.match(/([^/:]+\/[^/]+?)(\.git)?$/) || [];
+export function parseSlug(url = '') {
+  const [, slug] = url.match(/([^/:]+\/[^/]+?)(\.git)?$/) || [];
   return slug;
 }
 
+export async function getSlug() {
+  const result = await execGitCommand(['config', '--get', 'remote.origin.url']);
+  return parseSlug(result);
+}
+
 // NOTE: At some point we should check that the commit has been pushed to the
 // remote and the branch matches with origin/REF, but for now we are naive about
 // adhoc builds.
 
 // We could cache this, but it's probably pretty quick
 export async function getCommit(revision = '') {
-  const result = await execGitCommand(
-    `git --no-pager log -n 1 --format="%H ## %ct ## %ce ## %cn" ${revision}`
-  );
+  const result = await execGitCommand([
+    '--no-pager',
+    'log',
+    '-n',
+    '1',
+    '--format=%H ## %ct ## %ce ## %cn',
+    ...(revision ? [assertRef(revision)] : []),
+  ]);
   const [commit, committedAtSeconds, committerEmail, committerName] = result.split(' ## ');
   return { commit, committedAt: committedAtSeconds * 1000, committerEmail, committerName };
 }
@@ -110,32 +141,69 @@ export async function getBranch() {
   try {
     // Git v2.22 and above
     // Yields an empty string when in detached HEAD state
-    const branch = await execGitCommand('git branch --show-current');
+    const branch = await execGitCommand(['branch', '--show-current']);
     return branch || 'HEAD';
   } catch (e) {
     try {
       // Git v1.8 and above
       // Throws when in detached HEAD state
-      const ref = await execGitCommand('git symbolic-ref HEAD');
+      const ref = await execGitCommand(['symbolic-ref', 'HEAD']);
       return ref.replace(/^refs\/heads\//, ''); // strip the "refs/heads/" prefix
     } catch (ex) {
       // Git v1.7 and above
       // Yields 'HEAD' when in detached HEAD state
-      const ref = await execGitCommand('git rev-parse --abbrev-ref HEAD');
+      const ref = await execGitCommand(['rev-parse', '--abbrev-ref', 'HEAD']);
       return ref.replace(/^heads\//, ''); // strip the "heads/" prefix that's sometimes present
     }
   }
 }
 
+// Returns the commits merged by a merge commit, i.e. all of its parents except the first one
+export async function getMergedHeads(commit) {
+  const result = await execGitCommand(['rev-list', '--parents', '-n', '1', assertRef(commit)]);
+  return result.split(' ').slice(2);
+}
+
 export async function hasPreviousCommit() {
-  const result = await execGitCommand(`git --no-pager log -n 1 --skip=1 --format="%H"`);
+  const result = await execGitCommand(['--no-pager', 'log', '-n', '1', '--skip=1', '--format=%H']);
   return !!result.trim();
 }
 
+export async function isShallowRepository() {
+  // Git v2.15 and above
+  // Older versions echo the unknown flag, which is fine because it isn't 'true'
+  const result = await execGitCommand(['rev-parse', '--is-shallow-repository']);
+  return result === 'true';
+}
+
+// Fetch `depth` more commits of history, from the tip of the shallow history
+export async function deepenHistory(depth) {
+  const { CHROMATIC_GIT_TIMEOUT } = getEnv();
+  return execGitCommand(['fetch', `--deepen=${depth}`], {
+    timeout: Math.max(CHROMATIC_GIT_TIMEOUT, 60000), // fetching takes a while
+  });
+}
+
+// Check if the local history reaches back to (or beyond) a point in time. In a shallow clone, the
+// commits at the shallow boundary have no parents, just like the actual root commit(s).
+async function hasHistorySince(committedAtSeconds) {
+  const result = await execGitCommand([
+    '--no-pager',
+    'log',
+    '--max-parents=0',
+    '--format=%ct',
+    'HEAD',
+  ]);
+  return result
+    .split('\n')
+    .filter(Boolean)
+    .every((timestamp) => parseInt(timestamp, 10) <= committedAtSeconds);
+}
+
 // Check if a commit exists in the repository
 async function commitExists(commit) {
   try {
-    await execGitCommand(`git cat-file -e "${commit}^{commit}"`);
+    await execGitCommand(['cat-file', '-e', `${assertRef(commit)}^{commit}`]);
     return true;
   } catch (error) {
     return false;
@@ -143,7 +211,7 @@ async function commitExists(commit) {
 }
 
 function commitsForCLI(commits) {
-  return commits.map((c) => c.trim()).join(' ');
+  return commits.map((c) => assertRef(c.trim()));
 }
 
 // git rev-list in a basic form gives us a list of commits reaching back to
@@ -170,11 +238,17 @@ async function nextCommits(
   // We want the next limit commits that aren't "covered" by `commitsWithBuilds`
   // This will print out all commits in `commitsWithoutBuilds` (except if they are covered),
   // so we ask enough that we'll definitely get `limit` unknown commits
-  const command = `git rev-list HEAD \
-      ${firstCommittedAtSeconds ? `--since ${firstCommittedAtSeconds}` : ''} \
-      -n ${limit + commitsWithoutBuilds.length} --not ${commitsForCLI(commitsWithBuilds)}`;
-  log.debug(`running ${command}`);
-  const commits = (await execGitCommand(command)).split('\n').filter((c) => !!c);
+  const args = [
+    'rev-list',
+    'HEAD',
+    ...(firstCommittedAtSeconds ? ['--since', `${firstCommittedAtSeconds}`] : []),
+    '-n',
+    `${limit + commitsWithoutBuilds.length}`,
+    '--not',
+    ...commitsForCLI(commitsWithBuilds),
+  ];
+  log.debug(`running git ${args.join(' ')}`);
+  const commits = (await execGitCommand(args)).split('\n').filter((c) => !!c);
   log.debug(`command output: ${commits}`);
 
   return (
@@ -194,12 +268,12 @@ async function maximallyDescendentCommits({ log }, commits) {
   }
 
   // <commit>^@ expands to all parents of commit
-  const parentCommits = commits.map((c) => `"${c}^@"`);
+  const parentCommits = commits.map((c) => `${c}^@`);
   // List the tree from <commits> not including the tree from <parentCommits>
   // This just filters any commits that are ancestors of other commits
-  const command = `git rev-list ${commitsForCLI(commits)} --not ${commitsForCLI(parentCommits)}`;
-  log.debug(`running ${command}`);
-  const maxCommits = (await execGitCommand(command)).split('\n').filter((c) => !!c);
+  const args = ['rev-list', ...commitsForCLI(commits), '--not', ...commitsForCLI(parentCommits)];
+  log.debug(`running git ${args.join(' ')}`);
+  const maxCommits = (await execGitCommand(args)).split('\n').filter((c) => !!c);
   log.debug(`command output: ${maxCommits}`);
 
   return maxCommits;
@@ -249,7 +323,7 @@ async function step(
 
 export async function getParentCommits(
   { client, git, log },
-  { ignoreLastBuildOnBranch = false } = {}
+  { ignoreLastBuildOnBranch = false, mergedHeads = [] } = {}
 ) {
   const { branch, commit, committedAt } = git;
 
@@ -312,16 +386,60 @@ export async function getParentCommits(
     }
   }
 
+  // Add the heads of the pull requests being merged by a merge queue build, if they have a build.
+  // They're ancestors of the current commit, but may be far down the list of candidate commits.
+  // Note that merge queues which squash or rebase don't retain these heads, so we can't find them.
+  if (mergedHeads.length) {
+    const {
+      app: { hasBuildsWithCommits: mergedHeadsWithBuilds },
+    } = await client.runQuery(TesterHasBuildsWithCommitsQuery, { commits: mergedHeads });
+    log.debug(`Adding merged heads ${mergedHeadsWithBuilds} to commits with builds`);
+    initialCommitsWithBuilds.push(...mergedHeadsWithBuilds);
+  }
+
   // Get a "covering" set of commits that have builds. This is a set of commits
   // such that any ancestor of HEAD is either:
   //   - in commitsWithBuilds
   //   - an ancestor of a commit in commitsWithBuilds
   //   - has no build
-  const commitsWithBuilds = await step({ client, log }, FETCH_N_INITIAL_BUILD_COMMITS, {
-    firstCommittedAtSeconds: firstBuild.committedAt && firstBuild.committedAt / 1000,
-    commitsWithBuilds: initialCommitsWithBuilds,
-    commitsWithoutBuilds: [],
-  });
+  const firstCommittedAtSeconds = firstBuild.committedAt && firstBuild.committedAt / 1000;
+  const findCommitsWithBuilds = () =>
+    step({ client, log }, FETCH_N_INITIAL_BUILD_COMMITS, {
+      firstCommittedAtSeconds,
+      commitsWithBuilds: initialCommitsWithBuilds,
+      commitsWithoutBuilds: [],
+    });
+  let commitsWithBuilds = await findCommitsWithBuilds();
+
+  // In a shallow clone, the ancestor builds may be beyond the history we have, in which case we
+  // incrementally fetch more of it, until we find a build or reach back to the app's first build.
+  // There's no need when we blindly appended the commit of a last build, as that'll be a parent.
+  const deepen = async (attempt) => {
+    if (
+      commitsWithBuilds.length ||
+      extraParentCommits.length ||
+      !(await isShallowRepository()) ||
+      (firstCommittedAtSeconds && (await hasHistorySince(firstCommittedAtSeconds)))
+    ) {
+      return;
+    }
+
+    const shallowRepositoryError = new Error(
+      gitShallowRepository(process.env.GITHUB_ACTIONS === 'true')
+    );
+    if (attempt === MAX_DEEPEN_ATTEMPTS) throw shallowRepositoryError;
+
+    const depth = DEEPEN_HISTORY_BY_N_COMMITS * 2 ** attempt;
+    log.debug(`Shallow repository without ancestor builds, fetching ${depth} more commits`);
+    await deepenHistory(depth).catch((err) => {
+      log.debug(`Failed to fetch more commits: ${err.message}`);
+      throw shallowRepositoryError;
+    });
+
+    commitsWithBuilds = await findCommitsWithBuilds();
+    await deepen(attempt + 1);
+  };
+  await deepen(0);
 
   log.debug(`Final commitsWithBuilds: ${commitsWithBuilds}`);
 
@@ -336,20 +454,34 @@ export async function getBaselineBuilds({ client }, { branch, parentCommits }) {
 
 export async function getChangedFiles(baseCommit, headCommit = '') {
   // Note that an empty headCommit will include uncommitted (staged or unstaged) changes.
-  const files = await execGitCommand(`git --no-pager diff --name-only ${baseCommit} ${headCommit}`);
+  const files = await execGitCommand([
+    '--no-pager',
+    'diff',
+    '--name-only',
+    assertRef(baseCommit),
+    ...(headCommit ? [assertRef(headCommit)] : []),
+  ]);
   return files.split(EOL).filter(Boolean);
 }
 
+/**
+ * Returns the contents of a file as of the given commit. The path must be relative to the
+ * repository root. Throws if the file did not exist at that commit.
+ */
+export async function getFileAtRevision(revision, filepath) {
+  return execGitCommand(['--no-pager', 'show', `${assertRef(revision)}:${filepath}`]);
+}
+
 /**
  * Returns a boolean indicating whether the workspace is up-to-date (neither ahead nor behind) with
  * the remote.
  */
 export async function isUpToDate({ log }) {
-  execGitCommand(`git remote update`);
+  execGitCommand(['remote', 'update']);
 
   let localCommit;
   try {
-    localCommit = await execGitCommand('git rev-parse HEAD');
+    localCommit = await execGitCommand(['rev-parse', 'HEAD']);
     if (!localCommit) throw new Error('Failed to retrieve last local commit hash');
   } catch (e) {
     log.warn(e);
@@ -358,7 +490,7 @@ export async function isUpToDate({ log }) {
 
   let remoteCommit;
   try {
-    remoteCommit = await execGitCommand('git rev-parse "@{upstream}"');
+    remoteCommit = await execGitCommand(['rev-parse', '@{upstream}']);
     if (!remoteCommit) throw new Error('Failed to retrieve last remote commit hash');
   } catch (e) {
     log.warn(e);
@@ -372,7 +504,7 @@ export async function isUpToDate({ log }) {
  * Returns a boolean indicating whether the workspace is clean (no changes, no untracked files).
  */
 export async function isClean() {
-  const status = await execGitCommand('git status --porcelain');
+  const status = await execGitCommand(['status', '--porcelain']);
   return status === '';
 }
 
@@ -381,7 +513,7 @@ export async function isClean() {
  * omitting any of the other stuff that may be in there. Note we expect the workspace to be clean.
  */
 export async function getUpdateMessage() {
-  const status = await execGitCommand('git status');
+  const status = await execGitCommand(['status']);
   return status
     .split(EOL + EOL)[0] // drop the 'nothing to commit' part
     .split(EOL)
@@ -421,7 +553,12 @@ export async function getUpdateMessage() {
  * @param {string} baseRef Name of the base branch
  */
 export async function findMergeBase(headRef, baseRef) {
-  const result = await execGitCommand(`git merge-base --all ${headRef} ${baseRef}`);
+  const result = await execGitCommand([
+    'merge-base',
+    '--all',
+    assertRef(headRef),
+    assertRef(baseRef),
+  ]);
   const mergeBases = result.split(EOL).filter((line) => line && !line.startsWith('warning: '));
   if (mergeBases.length === 0) return undefined;
   if (mergeBases.length === 1) return mergeBases[0];
@@ -430,7 +567,7 @@ export async function findMergeBase(headRef, baseRef) {
   // If we don't find a merge base on the base branch, just return the first one.
   const branchNames = await Promise.all(
     mergeBases.map(async (sha) => {
-      const name = await execGitCommand(`git name-rev --name-only --exclude="tags/*" ${sha}`);
+      const name = await execGitCommand(['name-rev', '--name-only', '--exclude=tags/*', sha]);
       return name.replace(/~[0-9]+$/, ''); // Drop the potential suffix
     })
   );
@@ -439,17 +576,17 @@ export async function findMergeBase(headRef, baseRef) {
 }
 
 export async function checkout(ref) {
-  return execGitCommand(`git checkout ${ref}`);
+  return execGitCommand(['checkout', assertRef(ref)]);
 }
 
 export async function checkoutPrevious() {
-  return execGitCommand(`git checkout -`);
+  return execGitCommand(['checkout', '-']);
 }
 
 export async function discardChanges() {
-  return execGitCommand(`git reset --hard`);
+  return execGitCommand(['reset', '--hard']);
 }
 
 export async function getRepositoryRoot() {
-  return execGitCommand(`git rev-parse --show-toplevel`);
+  return execGitCommand(['rev-parse', '--show-toplevel']);
 }
@@ -1,12 +1,23 @@
 /* eslint-disable jest/expect-expect */
 import { exec } from 'child_process';
 import execa from 'execa';
+import fs from 'fs-extra';
+import path from 'path';
 import process from 'process';
 import tmp from 'tmp-promise';
 import { promisify } from 'util';
 
 import generateGitRepository from './generateGitRepository';
-import { getParentCommits, getCommit, getSlug } from './git';
+import {
+  checkout,
+  findMergeBase,
+  getBranch,
+  getChangedFiles,
+  getCommit,
+  getMergedHeads,
+  getParentCommits,
+  getSlug,
+} from './git';
 import longLineDescription from './mocks/long-line';
 import longLoopDescription from './mocks/long-loop';
 import createMockIndex from './mocks/mock-index';
@@ -14,7 +25,8 @@ import simpleLoopDescription from './mocks/simple-loop';
 import threeParentsDescription from './mocks/three-parents';
 import twoRootsDescription from './mocks/two-roots';
 
-const execaCommand = jest.spyOn(execa, 'command');
+jest.mock('execa', () => jest.fn(jest.requireActual('execa')));
+jest.mock('../lib/getEnv', () => () => ({ CHROMATIC_GIT_TIMEOUT: 30000 }));
 
 // Bumping up the Jest timeout for this file because it is timing out sometimes
 // I think this just a bit of a slow file due to git stuff, takes ~2-3s on my computer.
@@ -444,15 +456,178 @@ describe('getParentCommits', () => {
   });
 });
 
+describe('merge queue builds', () => {
+  it('returns the heads merged by a merge commit', async () => {
+    const repository = repositories.simpleLoop;
+    const commit = await checkoutCommit('F', 'gh-readonly-queue/main/pr-1-abc', repository);
+    const mergedHeads = await getMergedHeads(commit);
+    expectCommitsToEqualNames(mergedHeads, ['E'], repository);
+  });
+
+  it('includes the merged heads with a build', async () => {
+    const repository = repositories.simpleLoop;
+    await checkoutCommit('F', 'gh-readonly-queue/main/pr-1-abc', repository);
+    const client = createClient(repository, [
+      ['D', 'main'],
+      ['E', 'feature'],
+    ]);
+    const runQuery = jest.spyOn(client, 'runQuery');
+    const git = { branch: 'gh-readonly-queue/main/pr-1-abc', ...(await getCommit()) };
+    const mergedHeads = [repository.commitMap.E.hash];
+
+    const parentCommits = await getParentCommits({ client, log, git }, { mergedHeads });
+    expectCommitsToEqualNames(parentCommits, ['E', 'D'], repository);
+    expect(runQuery).toHaveBeenCalledWith(
+      expect.stringMatching('TesterHasBuildsWithCommitsQuery'),
+      {
+        commits: mergedHeads,
+      }
+    );
+  });
+
+  it('ignores merged heads without a build', async () => {
+    const repository = repositories.simpleLoop;
+    await checkoutCommit('F', 'gh-readonly-queue/main/pr-1-abc', repository);
+    const client = createClient(repository, [['C', 'main']]);
+    const git = { branch: 'gh-readonly-queue/main/pr-1-abc', ...(await getCommit()) };
+    const mergedHeads = [repository.commitMap.E.hash];
+
+    const parentCommits = await getParentCommits({ client, log, git }, { mergedHeads });
+    expectCommitsToEqualNames(parentCommits, ['C'], repository);
+  });
+});
+
+describe('getParentCommits in a shallow clone', () => {
+  async function cloneShallow(name, depth, { dirname, runGit, commitMap }) {
+    const branch = `shallow-${name}`;
+    await runGit(`git branch -f ${branch} ${commitMap[name].hash}`);
+    const clonePath = (await tmp.dir({ unsafeCleanup: true, prefix: `chromatictest-` })).path;
+    await runGit(`git clone --depth ${depth} --branch ${branch} file://${dirname} ${clonePath}`);
+    process.chdir(clonePath);
+    return makeRunGit(clonePath);
+  }
+
+  it('fetches more history to find ancestor builds', async () => {
+    const repository = repositories.longLine;
+    await cloneShallow('Z', 3, repository);
+    const client = createClient(repository, [['J', 'main']]);
+    const git = { branch: 'feature', ...(await getCommit()) };
+
+    const parentCommits = await getParentCommits({ client, log, git });
+    expectCommitsToEqualNames(parentCommits, ['J'], repository);
+  });
+
+  it('does not fetch more history if it already reaches back to the first build', async () => {
+    const repository = repositories.longLine;
+    const runGit = await cloneShallow('Z', 3, repository);
+    const client = createClient(repository, [['X', 'main']]);
+    const git = { branch: 'main', ...(await getCommit()) };
+
+    const parentCommits = await getParentCommits({ client, log, git });
+    expectCommitsToEqualNames(parentCommits, ['X'], repository);
+    const { stdout } = await runGit('git rev-list --count HEAD');
+    expect(stdout.trim()).toBe('3');
+  });
+
+  it('throws if it fails to fetch more history', async () => {
+    const repository = repositories.longLine;
+    const runGit = await cloneShallow('Z', 3, repository);
+    await runGit('git remote remove origin');
+    const client = createClient(repository, [['J', 'main']]);
+    const git = { branch: 'feature', ...(await getCommit()) };
+
+    await expect(getParentCommits({ client, log, git })).rejects.toThrow(
+      'Could not find ancestor builds in a shallow clone'
+    );
+  });
+
+  it('does not fetch more history if the last branch build is blindly appended', async () => {
+    const repository = repositories.longLine;
+    const runGit = await cloneShallow('Z', 3, repository);
+    await runGit('git remote remove origin');
+    const client = createClient(repository, [['J', 'main']]);
+    const git = { branch: 'main', ...(await getCommit()) };
+
+    const parentCommits = await getParentCommits({ client, log, git });
+    expectCommitsToEqualNames(parentCommits, ['J'], repository);
+    const { stdout } = await runGit('git rev-list --count HEAD');
+    expect(stdout.trim()).toBe('3');
+  });
+});
+
+describe('hostile branch names', () => {
+  // These are all valid branch names, which would break or run commands if passed through a shell
+  /* eslint-disable no-template-curly-in-string */
+  const branchNames = [
+    'feature/$(touch${IFS}pwned)',
+    'feature/`touch${IFS}pwned`',
+    "feature/it's;touch${IFS}pwned",
+    'feature/"quoted"&&touch${IFS}pwned|cat',
+  ];
+  /* eslint-enable no-template-curly-in-string */
+
+  let repository;
+  beforeAll(async () => {
+    const dirname = (await tmp.dir({ unsafeCleanup: true, prefix: `chromatictest-` })).path;
+    const runGit = makeRunGit(dirname);
+    const commitMap = await generateGitRepository(runGit, simpleLoopDescription);
+    repository = { dirname, runGit, commitMap };
+    await checkoutCommit('C', 'main', repository);
+    await Promise.all(
+      branchNames.map((name) => execa('git', ['branch', name, commitMap.E.hash], { cwd: dirname }))
+    );
+  });
+
+  it.each(branchNames)('checks out %s', async (name) => {
+    process.chdir(repository.dirname);
+    await checkout(name);
+    expect(await getBranch()).toBe(name);
+    expect((await getCommit()).commit).toBe(repository.commitMap.E.hash);
+    await checkout('main');
+    expect(await fs.pathExists(path.join(repository.dirname, 'pwned'))).toBe(false);
+  });
+
+  it.each(branchNames)('finds the merge base and changed files for %s', async (name) => {
+    process.chdir(repository.dirname);
+    expect(await findMergeBase(name, 'main')).toBe(repository.commitMap.C.hash);
+    expect(await getChangedFiles(name)).toEqual([]);
+    expect((await getCommit(name)).commit).toBe(repository.commitMap.E.hash);
+    expect(await fs.pathExists(path.join(repository.dirname, 'pwned'))).toBe(false);
+  });
+
+  it('refuses refs which would be taken for an option', async () => {
+    process.chdir(repository.dirname);
+    await expect(checkout('--orphan=pwned')).rejects.toThrow('Invalid git ref: --orphan=pwned');
+    await expect(findMergeBase('main', '--help')).rejects.toThrow('Invalid git ref: --help');
+  });
+});
+
+describe('execGitCommand', () => {
+  it('passes arguments without a shell, using the configured timeout', async () => {
+    process.chdir(repositories.simpleLoop.dirname);
+    await getCommit('main');
+    expect(execa).toHaveBeenCalledWith(
+      'git',
+      ['--no-pager', 'log', '-n', '1', '--format=%H ## %ct ## %ce ## %cn', 'main'],
+      expect.objectContaining({ timeout: 30000 })
+    );
+    expect(execa).not.toHaveBeenCalledWith(
+      'git',
+      expect.anything(),
+      expect.objectContaining({ shell: true })
+    );
+  });
+});
+
 describe('getSlug', () => {
   it('returns the slug portion of the git url', async () => {
-    execaCommand.mockImplementation(() => ({ all: 'git@github.com:chromaui/chromatic-cli.git' }));
+    execa.mockImplementation(() => ({ all: 'git@github.com:chromaui/chromatic-cli.git' }));
     expect(await getSlug()).toBe('chromaui/chromatic-cli');
 
-    execaCommand.mockImplementation(() => ({ all: 'https://github.com/chromaui/chromatic-cli' }));
+    execa.mockImplementation(() => ({ all: 'https://github.com/chromaui/chromatic-cli' }));
     expect(await getSlug()).toBe('chromaui/chromatic-cli');
 
-    execaCommand.mockImplementation(() => ({ all: 'https://gitlab.com/foo/bar.baz.git' }));
+    execa.mockImplementation(() => ({ all: 'https://gitlab.com/foo/bar.baz.git' }));
     expect(await getSlug()).toBe('foo/bar.baz');
   });
 });
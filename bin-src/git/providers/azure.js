@@ -0,0 +1,36 @@
+const stripRefsHeads = (ref) => ref && ref.replace(/^refs\/heads\//, '');
+
+/**
+ * Azure Pipelines builds pull requests against a merge commit (BUILD_SOURCEVERSION). The head
+ * commit is only provided for GitHub repositories. Otherwise we use the head of the source branch,
+ * which usually isn't checked out locally, so we look for its remote tracking branch, or take the
+ * second parent of the merge commit (i.e. the merged head).
+ * @see https://docs.microsoft.com/en-us/azure/devops/pipelines/build/variables
+ */
+export default {
+  name: 'Azure Pipelines',
+  detect: (env) =>
+    env.TF_BUILD === 'True' &&
+    env.BUILD_REASON === 'PullRequest' &&
+    !!env.SYSTEM_PULLREQUEST_SOURCEBRANCH,
+  getInfo: (ctx, env) => {
+    const branch = stripRefsHeads(env.SYSTEM_PULLREQUEST_SOURCEBRANCH);
+    const repository = env.BUILD_REPOSITORY_NAME;
+    const mergeCommit = env.BUILD_SOURCEVERSION;
+    return {
+      commit: env.SYSTEM_PULLREQUEST_SOURCECOMMITID || [
+        `origin/${branch}`,
+        ...(mergeCommit ? [`${mergeCommit}^2`] : []),
+      ],
+      commitVariable: env.SYSTEM_PULLREQUEST_SOURCECOMMITID
+        ? 'SYSTEM_PULLREQUEST_SOURCECOMMITID'
+        : 'SYSTEM_PULLREQUEST_SOURCEBRANCH',
+      fallbackCommit: mergeCommit,
+      branch,
+      slug:
+        repository && !repository.includes('/') && env.SYSTEM_TEAMPROJECT
+          ? `${env.SYSTEM_TEAMPROJECT}/${repository}`
+          : repository,
+    };
+  },
+};
@@ -0,0 +1,15 @@
+/**
+ * Bitbucket Pipelines merges the destination branch into the source branch for pull request
+ * pipelines, but BITBUCKET_COMMIT refers to the last commit on the source branch.
+ * @see https://support.atlassian.com/bitbucket-cloud/docs/variables-and-secrets/
+ */
+export default {
+  name: 'Bitbucket Pipelines',
+  detect: (env) => !!env.BITBUCKET_PR_ID && !!env.BITBUCKET_COMMIT,
+  getInfo: (ctx, env) => ({
+    commit: env.BITBUCKET_COMMIT,
+    commitVariable: 'BITBUCKET_COMMIT',
+    branch: env.BITBUCKET_BRANCH,
+    slug: env.BITBUCKET_REPO_FULL_NAME,
+  }),
+};
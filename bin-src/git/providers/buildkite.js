@@ -0,0 +1,21 @@
+import { parseSlug } from '../git';
+
+/**
+ * Buildkite builds the head commit of a pull request. For pull requests from forks, the branch name
+ * is prefixed with the owner of the fork (e.g. `contributor:feature`).
+ * @see https://buildkite.com/docs/pipelines/environment-variables
+ */
+export default {
+  name: 'Buildkite',
+  detect: (env) =>
+    env.BUILDKITE === 'true' &&
+    !!env.BUILDKITE_PULL_REQUEST &&
+    env.BUILDKITE_PULL_REQUEST !== 'false' &&
+    !!env.BUILDKITE_COMMIT,
+  getInfo: (ctx, env) => ({
+    commit: env.BUILDKITE_COMMIT,
+    commitVariable: 'BUILDKITE_COMMIT',
+    branch: env.BUILDKITE_BRANCH && env.BUILDKITE_BRANCH.replace(/^[^:]+:/, ''),
+    slug: parseSlug(env.BUILDKITE_PULL_REQUEST_REPO || env.BUILDKITE_REPO),
+  }),
+};
@@ -0,0 +1,18 @@
+/**
+ * CircleCI builds the head commit of a pull request. For pull requests from forks, the branch name
+ * is `pull/<number>` and the fork's repository is provided separately.
+ * @see https://circleci.com/docs/2.0/env-vars#built-in-environment-variables
+ */
+export default {
+  name: 'CircleCI',
+  detect: (env) => env.CIRCLECI === 'true' && !!env.CIRCLE_PULL_REQUEST && !!env.CIRCLE_SHA1,
+  getInfo: (ctx, env) => ({
+    commit: env.CIRCLE_SHA1,
+    commitVariable: 'CIRCLE_SHA1',
+    branch: env.CIRCLE_BRANCH,
+    slug: env.CIRCLE_PR_REPONAME
+      ? `${env.CIRCLE_PR_USERNAME}/${env.CIRCLE_PR_REPONAME}`
+      : env.CIRCLE_PROJECT_USERNAME &&
+        `${env.CIRCLE_PROJECT_USERNAME}/${env.CIRCLE_PROJECT_REPONAME}`,
+  }),
+};
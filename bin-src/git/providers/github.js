@@ -0,0 +1,34 @@
+import forksUnsupported from '../../ui/messages/errors/forksUnsupported';
+import missingGitHubInfo from '../../ui/messages/errors/missingGitHubInfo';
+import customGitHubAction from '../../ui/messages/info/customGitHubAction';
+
+/**
+ * GitHub PR builds run against a "virtual merge commit" with a SHA unknown to Chromatic and an
+ * invalid branch name, so we override these using environment variables available in the action.
+ * This does not apply to our GitHub Action, because it'll set CHROMATIC_SHA, -BRANCH and -SLUG.
+ * We intentionally use the GITHUB_HEAD_REF (branch name) here, to retrieve the last commit on the
+ * head branch rather than the merge commit (GITHUB_SHA).
+ */
+export default {
+  name: 'GitHub Actions',
+  detect: (env) => env.GITHUB_EVENT_NAME === 'pull_request',
+  getInfo: ({ log }, env) => {
+    const { GITHUB_EVENT_NAME, GITHUB_REPOSITORY, GITHUB_BASE_REF, GITHUB_HEAD_REF, GITHUB_SHA } =
+      env;
+    log.info(customGitHubAction());
+
+    if (!GITHUB_HEAD_REF || !GITHUB_SHA) {
+      throw new Error(missingGitHubInfo({ GITHUB_EVENT_NAME }));
+    }
+    if (GITHUB_BASE_REF === GITHUB_HEAD_REF) {
+      throw new Error(forksUnsupported({ GITHUB_HEAD_REF }));
+    }
+    return {
+      commit: GITHUB_HEAD_REF,
+      commitVariable: 'GITHUB_HEAD_REF',
+      fallbackCommit: GITHUB_SHA,
+      branch: GITHUB_HEAD_REF,
+      slug: GITHUB_REPOSITORY,
+    };
+  },
+};
@@ -0,0 +1,18 @@
+/**
+ * GitHub merge queues build a temporary `gh-readonly-queue/<base>/pr-<number>-<sha>` branch for
+ * each pull request in the queue, on top of the base branch and any pull requests ahead of it.
+ * Unlike PR builds, the commit being built is a real commit which ends up on the base branch, so
+ * we build it as-is, but name the branch without the `refs/heads/` prefix.
+ * @see https://docs.github.com/en/repositories/configuring-branches-and-merges-in-your-repository/configuring-pull-request-merges/managing-a-merge-queue
+ */
+export default {
+  name: 'GitHub Actions merge queue',
+  detect: (env) => env.GITHUB_EVENT_NAME === 'merge_group' && !!env.GITHUB_SHA,
+  isMergeQueue: () => true,
+  getInfo: (ctx, env) => ({
+    commit: env.GITHUB_SHA,
+    commitVariable: 'GITHUB_SHA',
+    branch: env.GITHUB_REF && env.GITHUB_REF.replace(/^refs\/heads\//, ''),
+    slug: env.GITHUB_REPOSITORY,
+  }),
+};
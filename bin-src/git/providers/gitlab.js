@@ -0,0 +1,42 @@
+import missingGitLabInfo from '../../ui/messages/errors/missingGitLabInfo';
+
+/**
+ * GitLab merge request pipelines run in a detached HEAD state, with the name of the merge request's
+ * source branch available separately. For forks, the source project differs from the target.
+ * Much like GitHub PR builds, "merged results" pipelines run against a temporary merge commit
+ * (CI_COMMIT_SHA) which doesn't stick around in the history of the project, so we use the last
+ * commit on the source branch (CI_MERGE_REQUEST_SOURCE_BRANCH_SHA) instead.
+ * Merge trains are treated like GitHub merge queues: we build the train commit itself, so the heads
+ * it merges (its parents) are considered as baselines too.
+ * @see https://docs.gitlab.com/ee/ci/variables/predefined_variables.html
+ * @see https://docs.gitlab.com/ee/ci/pipelines/merged_results_pipelines.html
+ * @see https://docs.gitlab.com/ee/ci/pipelines/merge_trains.html
+ */
+export default {
+  name: 'GitLab CI',
+  detect: (env) => env.GITLAB_CI === 'true' && !!env.CI_MERGE_REQUEST_IID,
+  isMergeQueue: (env) => env.CI_MERGE_REQUEST_EVENT_TYPE === 'merge_train',
+  getInfo: (ctx, env) => {
+    const {
+      CI_COMMIT_SHA,
+      CI_MERGE_REQUEST_EVENT_TYPE,
+      CI_MERGE_REQUEST_SOURCE_BRANCH_NAME,
+      CI_MERGE_REQUEST_SOURCE_BRANCH_SHA,
+      CI_MERGE_REQUEST_SOURCE_PROJECT_PATH,
+      CI_PROJECT_PATH,
+    } = env;
+    const isMergedResult = CI_MERGE_REQUEST_EVENT_TYPE === 'merged_result';
+    const commitVariable = isMergedResult ? 'CI_MERGE_REQUEST_SOURCE_BRANCH_SHA' : 'CI_COMMIT_SHA';
+    const commit = isMergedResult ? CI_MERGE_REQUEST_SOURCE_BRANCH_SHA : CI_COMMIT_SHA;
+
+    if (!commit || !CI_MERGE_REQUEST_SOURCE_BRANCH_NAME) {
+      throw new Error(missingGitLabInfo({ CI_MERGE_REQUEST_EVENT_TYPE, commitVariable }));
+    }
+    return {
+      commit,
+      commitVariable,
+      branch: CI_MERGE_REQUEST_SOURCE_BRANCH_NAME,
+      slug: CI_MERGE_REQUEST_SOURCE_PROJECT_PATH || CI_PROJECT_PATH,
+    };
+  },
+};
@@ -0,0 +1,38 @@
+import azure from './azure';
+import bitbucket from './bitbucket';
+import buildkite from './buildkite';
+import circleci from './circleci';
+import github from './github';
+import githubMergeQueue from './githubMergeQueue';
+import gitlab from './gitlab';
+import jenkins from './jenkins';
+import travis from './travis';
+
+/**
+ * CI providers which need special treatment for pull request (or merge request) builds, because
+ * they build a merge commit or check out a detached HEAD. Each provider has:
+ *
+ *   - `name`: the name of the CI service
+ *   - `detect(env)`: whether we're running a pull request build on this CI service
+ *   - `getInfo(ctx, env)`: resolves the pull request info, returning the `commit` (a ref to look up
+ *     in the local history, or a list of refs to try in order), `commitVariable` (the environment
+ *     variable it came from), `fallbackCommit` (the SHA to use if the commit isn't found, defaults
+ *     to `commit`), `branch` and `slug`. It may throw if the environment is incomplete.
+ *   - `isMergeQueue(env)` (optional): whether this is a merge queue build, in which case the heads
+ *     of the merged pull requests are considered as baselines too.
+ *
+ * The first provider to match is used, so more specific ones should come first.
+ */
+export const providers = [
+  travis,
+  github,
+  githubMergeQueue,
+  gitlab,
+  bitbucket,
+  azure,
+  buildkite,
+  circleci,
+  jenkins,
+];
+
+export const findProvider = (env) => providers.find(({ detect }) => detect(env));
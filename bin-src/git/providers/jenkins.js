@@ -0,0 +1,17 @@
+/**
+ * Jenkins multibranch pipelines check out change requests as a `PR-<number>` branch, which by
+ * default points to a merge commit (GIT_COMMIT). We use the head of the source branch of the change
+ * instead. The source branch usually isn't checked out locally, so we look for its remote tracking
+ * branch, or otherwise take the second parent of the merge commit (i.e. the merged head).
+ * @see https://www.jenkins.io/doc/book/pipeline/multibranch/#additional-environment-variables
+ */
+export default {
+  name: 'Jenkins',
+  detect: (env) => !!env.JENKINS_URL && !!env.CHANGE_ID && !!env.CHANGE_BRANCH,
+  getInfo: (ctx, env) => ({
+    commit: [`origin/${env.CHANGE_BRANCH}`, ...(env.GIT_COMMIT ? [`${env.GIT_COMMIT}^2`] : [])],
+    commitVariable: 'CHANGE_BRANCH',
+    fallbackCommit: env.GIT_COMMIT,
+    branch: env.CHANGE_BRANCH,
+  }),
+};
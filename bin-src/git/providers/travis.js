@@ -0,0 +1,33 @@
+import missingTravisInfo from '../../ui/messages/errors/missingTravisInfo';
+import travisInternalBuild from '../../ui/messages/warnings/travisInternalBuild';
+
+/**
+ * Travis PR builds are weird, we want to ensure we mark build against the commit that was merged
+ * from, rather than the resulting "psuedo" merge commit that doesn't stick around in the history of
+ * the project (so approvals will get lost). We also have to ensure we use the right branch.
+ */
+export default {
+  name: 'Travis CI',
+  detect: (env) => env.TRAVIS_EVENT_TYPE === 'pull_request',
+  getInfo: ({ log }, env) => {
+    const {
+      TRAVIS_EVENT_TYPE,
+      TRAVIS_PULL_REQUEST_SLUG,
+      TRAVIS_REPO_SLUG,
+      TRAVIS_PULL_REQUEST_SHA,
+      TRAVIS_PULL_REQUEST_BRANCH,
+    } = env;
+    if (TRAVIS_PULL_REQUEST_SLUG === TRAVIS_REPO_SLUG) {
+      log.warn(travisInternalBuild());
+    }
+    if (!TRAVIS_PULL_REQUEST_SHA || !TRAVIS_PULL_REQUEST_BRANCH) {
+      throw new Error(missingTravisInfo({ TRAVIS_EVENT_TYPE }));
+    }
+    return {
+      commit: TRAVIS_PULL_REQUEST_SHA,
+      commitVariable: 'TRAVIS_PULL_REQUEST_SHA',
+      branch: TRAVIS_PULL_REQUEST_BRANCH,
+      slug: TRAVIS_PULL_REQUEST_SLUG,
+    };
+  },
+};
@@ -0,0 +1,64 @@
+import { createHash } from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import slash from 'slash';
+
+import { getCommit, getRepositoryRoot, isClean } from '../git/git';
+import { findLockfile } from './getPackageManager';
+
+const hash = (value) => createHash('sha256').update(value).digest('hex');
+
+/**
+ * Returns the key by which a Storybook build is stored in the build cache, or undefined if the build
+ * should not be cached. The key is derived from the checked out commit, the contents of the lockfile
+ * and the build script (including its arguments). The package directory is taken relative to the
+ * repository root, so a rerun on a runner which checks out the repository elsewhere still hits the
+ * cache. Uncommitted changes aren't part of the key, so we don't cache builds of a workspace which
+ * isn't clean.
+ */
+export async function getBuildCacheKey(ctx) {
+  if (!(await isClean())) {
+    ctx.log.debug('Not using the build cache because the workspace is not clean');
+    return undefined;
+  }
+
+  const packageDir = ctx.packagePath ? path.dirname(ctx.packagePath) : process.cwd();
+  const lockfile = await findLockfile(packageDir);
+  const { commit } = await getCommit();
+  const { buildScriptName } = ctx.options;
+  const { scripts = {} } = ctx.packageJson || {};
+  const { scriptArgs } = ctx.spawnParams;
+  const rootPath = await getRepositoryRoot();
+
+  return hash(
+    JSON.stringify({
+      commit,
+      lockfile: lockfile ? hash(await fs.readFile(lockfile)) : null,
+      packageDir: slash(path.relative(rootPath, packageDir)),
+      buildScript: [buildScriptName, scripts[buildScriptName]],
+      webpackStats: scriptArgs.includes('--webpack-stats-json'),
+    })
+  );
+}
+
+/**
+ * Copies a cached Storybook build to the `sourceDir`. Returns whether the build was found.
+ */
+export async function restoreBuild(cacheDir, key, sourceDir) {
+  const cachedDir = path.join(cacheDir, key);
+  if (!(await fs.pathExists(cachedDir))) return false;
+  await fs.copy(cachedDir, sourceDir);
+  return true;
+}
+
+/**
+ * Stores a Storybook build in the cache. The build is copied to a temporary directory first, so
+ * other processes never see a partially written build. Cached builds are never evicted, so it's up
+ * to the user to clean up the cache directory (e.g. by having their CI system expire it).
+ */
+export async function saveBuild(cacheDir, key, sourceDir) {
+  const cachedDir = path.join(cacheDir, key);
+  const tmpDir = `${cachedDir}.${process.pid}.tmp`;
+  await fs.copy(sourceDir, tmpDir);
+  await fs.move(tmpDir, cachedDir, { overwrite: true });
+}
@@ -0,0 +1,80 @@
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { getBuildCacheKey, restoreBuild, saveBuild } from './buildCache';
+import { getCommit, getRepositoryRoot, isClean } from '../git/git';
+
+jest.mock('../git/git');
+
+const log = { debug: jest.fn() };
+
+describe('getBuildCacheKey', () => {
+  const rootDir = mkdtempSync(join(tmpdir(), 'chromatictest-'));
+  writeFileSync(join(rootDir, 'yarn.lock'), 'lodash@^4.17.21:\n  version "4.17.21"\n');
+  const getContext = (ctx) => ({
+    log,
+    packagePath: join(rootDir, 'package.json'),
+    packageJson: { scripts: { 'build-storybook': 'build-storybook' } },
+    options: { buildScriptName: 'build-storybook' },
+    spawnParams: { scriptArgs: ['build-storybook', '--output-dir', '/tmp/chromatic-abc'] },
+    ...ctx,
+  });
+
+  beforeEach(() => {
+    isClean.mockResolvedValue(true);
+    getCommit.mockResolvedValue({ commit: 'abc123' });
+    getRepositoryRoot.mockResolvedValue(rootDir);
+  });
+
+  it('is stable for the same commit, lockfile and build script', async () => {
+    const key = await getBuildCacheKey(getContext());
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    const spawnParams = { scriptArgs: ['build-storybook', '--output-dir', '/tmp/chromatic-def'] };
+    expect(await getBuildCacheKey(getContext({ spawnParams }))).toBe(key);
+  });
+
+  it('changes with the commit, lockfile or build script', async () => {
+    const key = await getBuildCacheKey(getContext());
+
+    getCommit.mockResolvedValueOnce({ commit: 'def456' });
+    expect(await getBuildCacheKey(getContext())).not.toBe(key);
+
+    const packageJson = { scripts: { 'build-storybook': 'build-storybook --quiet' } };
+    expect(await getBuildCacheKey(getContext({ packageJson }))).not.toBe(key);
+
+    const spawnParams = { scriptArgs: ['build-storybook', '--webpack-stats-json', '/tmp'] };
+    expect(await getBuildCacheKey(getContext({ spawnParams }))).not.toBe(key);
+
+    writeFileSync(join(rootDir, 'yarn.lock'), 'lodash@^4.17.21:\n  version "4.17.22"\n');
+    expect(await getBuildCacheKey(getContext())).not.toBe(key);
+  });
+
+  it('does not depend on where the repository is checked out', async () => {
+    const key = await getBuildCacheKey(getContext());
+    const otherDir = mkdtempSync(join(tmpdir(), 'chromatictest-'));
+    writeFileSync(join(otherDir, 'yarn.lock'), readFileSync(join(rootDir, 'yarn.lock')));
+    getRepositoryRoot.mockResolvedValue(otherDir);
+    const packagePath = join(otherDir, 'package.json');
+    expect(await getBuildCacheKey(getContext({ packagePath }))).toBe(key);
+  });
+
+  it('returns undefined when the workspace is not clean', async () => {
+    isClean.mockResolvedValue(false);
+    expect(await getBuildCacheKey(getContext())).toBeUndefined();
+  });
+});
+
+describe('saveBuild and restoreBuild', () => {
+  it('stores a build and copies it back', async () => {
+    const cacheDir = mkdtempSync(join(tmpdir(), 'chromatictest-'));
+    const sourceDir = mkdtempSync(join(tmpdir(), 'chromatictest-'));
+    const targetDir = mkdtempSync(join(tmpdir(), 'chromatictest-'));
+    writeFileSync(join(sourceDir, 'preview-stats.json'), '{}');
+
+    expect(await restoreBuild(cacheDir, 'abc', targetDir)).toBe(false);
+    await saveBuild(cacheDir, 'abc', sourceDir);
+    expect(await restoreBuild(cacheDir, 'abc', targetDir)).toBe(true);
+    expect(readFileSync(join(targetDir, 'preview-stats.json'), 'utf8')).toBe('{}');
+  });
+});
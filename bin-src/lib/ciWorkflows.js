@@ -0,0 +1,128 @@
+import { dedent } from 'ts-dedent';
+
+const githubSecret = (name) => `\${{ secrets.${name} }}`;
+
+// Each workflow runs Chromatic on every push, with the full git history (required for baselines
+// and TurboSnap) and the project token taken from a CI secret named CHROMATIC_PROJECT_TOKEN.
+export const ciProviders = {
+  github: {
+    name: 'GitHub Actions',
+    detect: '.github',
+    filepath: '.github/workflows/chromatic.yml',
+    secrets: 'Settings → Secrets → Actions',
+    template: ({ install, buildScriptName }) => dedent`
+      name: 'Chromatic'
+
+      on: push
+
+      jobs:
+        chromatic:
+          runs-on: ubuntu-latest
+          steps:
+            - uses: actions/checkout@v2
+              with:
+                fetch-depth: 0 # Required to retrieve git history
+            - run: ${install}
+            - uses: chromaui/action@v1
+              with:
+                projectToken: ${githubSecret('CHROMATIC_PROJECT_TOKEN')}${
+      buildScriptName ? `\n          buildScriptName: ${buildScriptName}` : ''
+    }
+    `,
+  },
+  gitlab: {
+    name: 'GitLab CI',
+    detect: '.gitlab-ci.yml',
+    filepath: '.gitlab-ci.yml',
+    secrets: 'Settings → CI/CD → Variables',
+    template: ({ install, command }) => dedent`
+      chromatic:
+        image: node:16
+        variables:
+          GIT_DEPTH: 0 # Required to retrieve git history
+        script:
+          - ${install}
+          - ${command}
+    `,
+  },
+  circleci: {
+    name: 'CircleCI',
+    detect: '.circleci',
+    filepath: '.circleci/config.yml',
+    secrets: 'Project Settings → Environment Variables',
+    template: ({ install, command }) => dedent`
+      version: 2.1
+
+      jobs:
+        chromatic:
+          docker:
+            - image: cimg/node:16.13
+          steps:
+            - checkout # CircleCI checks out the full git history by default
+            - run: ${install}
+            - run: ${command}
+
+      workflows:
+        chromatic:
+          jobs:
+            - chromatic
+    `,
+  },
+  azure: {
+    name: 'Azure Pipelines',
+    detect: 'azure-pipelines.yml',
+    filepath: 'azure-pipelines.yml',
+    secrets: 'Pipelines → Edit → Variables',
+    template: ({ install, command }) => dedent`
+      trigger:
+        - '*'
+
+      pool:
+        vmImage: ubuntu-latest
+
+      steps:
+        - checkout: self
+          fetchDepth: 0 # Required to retrieve git history
+        - task: NodeTool@0
+          inputs:
+            versionSpec: '16.x'
+        - script: ${install}
+        - script: ${command}
+          env:
+            CHROMATIC_PROJECT_TOKEN: $(CHROMATIC_PROJECT_TOKEN)
+    `,
+  },
+};
+
+// Commands to install dependencies and to run Chromatic (whether it's installed or not) for each
+// package manager, as returned by getPackageManager. pnpm and Yarn Berry are enabled via Corepack.
+const getCommands = ({ name, isBerry } = {}) => {
+  if (name === 'pnpm') {
+    return {
+      install: 'corepack enable && pnpm install --frozen-lockfile',
+      exec: 'pnpm dlx chromatic',
+    };
+  }
+  if (name === 'yarn' && isBerry) {
+    return { install: 'corepack enable && yarn install --immutable', exec: 'yarn dlx chromatic' };
+  }
+  if (name === 'yarn') return { install: 'yarn install --frozen-lockfile', exec: 'npx chromatic' };
+  return { install: 'npm ci', exec: 'npx chromatic' };
+};
+
+/**
+ * Returns the command to run Chromatic with the given package manager, e.g. in a package.json script.
+ */
+export const getChromaticCommand = (packageManager) => getCommands(packageManager).exec;
+
+/**
+ * Renders the CI workflow configuration for a provider. The `buildScriptName` should only be set if
+ * it differs from the default and isn't provided through a configuration file.
+ */
+export const getCiWorkflow = (provider, { packageManager, buildScriptName }) => {
+  const { install, exec } = getCommands(packageManager);
+  const command = [exec, buildScriptName && `--build-script-name ${buildScriptName}`]
+    .filter(Boolean)
+    .join(' ');
+  return `${ciProviders[provider].template({ install, command, buildScriptName })}\n`;
+};
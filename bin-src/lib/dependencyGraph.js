@@ -0,0 +1,102 @@
+import { getModuleMaps } from './getDependentStoryFiles';
+
+const stripModuleCount = (name) => name.replace(/ \+ \d+ modules$/, '');
+
+/**
+ * Builds the dependency graph of the user modules in a Storybook build, for TurboSnap's point of
+ * view. Nodes are named by their file path relative to the repository root. Edges point from a
+ * module to each of the modules which import it, which is the direction in which changes propagate.
+ * CSF globs are left out, but story files are marked as such. Each node lists the number of story
+ * files which (transitively) depend on it, and nodes are sorted by that number in descending order.
+ * If any `files` are given, only the subgraph reachable from these files is included.
+ */
+export async function getDependencyGraph(ctx, stats, files = []) {
+  const { idsByName, namesById, reasonsById, csfGlobsByName } = await getModuleMaps(ctx, stats);
+  const isCsfGlob = (name) => !!csfGlobsByName[name];
+
+  // Module IDs are used as object keys, so we treat them as strings throughout
+  const ids = Object.keys(namesById).filter((id) => !isCsfGlob(namesById[id]));
+  const dependentsById = {};
+  ids.forEach((id) => {
+    const dependents = reasonsById[id]
+      .filter((name) => !isCsfGlob(name) && idsByName[name] !== undefined)
+      .map((name) => String(idsByName[name]))
+      .filter((dependent) => dependent !== id);
+    dependentsById[id] = [...new Set(dependents)];
+  });
+  const isStoryFile = (id) => reasonsById[id].some(isCsfGlob);
+
+  // Breadth-first search, walking the queue by index rather than shifting it, for large graphs
+  const getReachable = (startIds, edgesById) => {
+    const reachable = new Set(startIds);
+    const queue = [...reachable];
+    for (let index = 0; index < queue.length; index += 1) {
+      (edgesById[queue[index]] || []).forEach((next) => {
+        if (reachable.has(next)) return;
+        reachable.add(next);
+        queue.push(next);
+      });
+    }
+    return [...reachable];
+  };
+
+  const startIds = files
+    .map((file) => idsByName[file.replace(/^\.\//, '')])
+    .filter((id) => id !== undefined)
+    .map(String);
+  const included = new Set(files.length ? getReachable(startIds, dependentsById) : ids);
+  const getName = (id) => stripModuleCount(namesById[id]);
+
+  // Rather than searching the dependents of each module, we count the modules each story file
+  // (transitively) depends on, which takes one search per story file.
+  const dependenciesById = {};
+  ids.forEach((id) => {
+    dependentsById[id].forEach((dependent) => {
+      dependenciesById[dependent] = dependenciesById[dependent] || [];
+      dependenciesById[dependent].push(id);
+    });
+  });
+  const storyCounts = {};
+  ids.filter(isStoryFile).forEach((storyId) => {
+    getReachable([storyId], dependenciesById).forEach((id) => {
+      storyCounts[id] = (storyCounts[id] || 0) + 1;
+    });
+  });
+
+  const nodes = [...included]
+    .map((id) => ({
+      name: getName(id),
+      isStoryFile: isStoryFile(id),
+      storyCount: storyCounts[id] || 0,
+    }))
+    .sort((a, b) => b.storyCount - a.storyCount || a.name.localeCompare(b.name));
+  const edges = [...included].flatMap((id) =>
+    dependentsById[id]
+      .filter((dependent) => included.has(dependent))
+      .map((dependent) => ({ from: getName(id), to: getName(dependent) }))
+  );
+  return { nodes, edges };
+}
+
+const escape = (str) => str.replace(/["\\]/g, '\\$&');
+
+// Story files are highlighted, and each node is labeled with the number of dependent story files
+export const dotGraph = ({ nodes, edges }) => {
+  const lines = ['digraph modules {', '  rankdir=LR;', '  node [shape=box];'];
+  nodes.forEach(({ name, isStoryFile, storyCount }) => {
+    const count = `${storyCount} ${storyCount === 1 ? 'story file' : 'story files'}`;
+    const style = isStoryFile ? ', style=filled, fillcolor=lightblue' : '';
+    lines.push(`  "${escape(name)}" [label="${escape(name)}\\n${count}"${style}];`);
+  });
+  edges.forEach(({ from, to }) => lines.push(`  "${escape(from)}" -> "${escape(to)}";`));
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+};
+
+export const jsonGraph = (graph) => `${JSON.stringify(graph, null, 2)}\n`;
+
+// Supported values for `chromatic graph --format`
+export const graphFormats = {
+  dot: { label: 'DOT', render: dotGraph },
+  json: { label: 'JSON', render: jsonGraph },
+};
@@ -0,0 +1,130 @@
+import { dotGraph, getDependencyGraph, jsonGraph } from './dependencyGraph';
+import { getRepositoryRoot } from '../git/git';
+import { getWorkingDir } from './utils';
+
+jest.mock('../git/git');
+jest.mock('./utils', () => {
+  const utils = jest.requireActual('./utils');
+  return { __esModule: true, ...utils, getWorkingDir: jest.fn() };
+});
+
+const CSF_GLOB = './src sync ^\\.\\/(?:(?!\\.)(?=.)[^/]*?\\.stories\\.js)$';
+
+const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+const ctx = { log, options: {}, storybook: { configDir: '.storybook', staticDir: ['static'] } };
+
+getRepositoryRoot.mockResolvedValue('/path/to/project');
+getWorkingDir.mockReturnValue('');
+
+const stats = {
+  modules: [
+    { id: 1, name: './src/theme.js', reasons: [{ moduleName: './src/button.js' }] },
+    {
+      id: 2,
+      name: './src/button.js + 2 modules',
+      modules: [{ name: './src/button.js' }, { name: './src/icon.js' }],
+      reasons: [{ moduleName: './src/button.stories.js' }, { moduleName: './src/card.stories.js' }],
+    },
+    { id: 3, name: './src/button.stories.js', reasons: [{ moduleName: CSF_GLOB }] },
+    { id: 4, name: './src/card.stories.js', reasons: [{ moduleName: CSF_GLOB }] },
+    { id: 5, name: './src/util.js', reasons: [{ moduleName: './src/card.stories.js' }] },
+    {
+      id: 6,
+      name: CSF_GLOB,
+      reasons: [{ moduleName: './.storybook/generated-stories-entry.js' }],
+    },
+  ],
+};
+
+describe('getDependencyGraph', () => {
+  it('includes all user modules, sorted by the number of dependent story files', async () => {
+    const graph = await getDependencyGraph(ctx, stats);
+    expect(graph.nodes).toEqual([
+      { name: 'src/button.js', isStoryFile: false, storyCount: 2 },
+      { name: 'src/theme.js', isStoryFile: false, storyCount: 2 },
+      { name: 'src/button.stories.js', isStoryFile: true, storyCount: 1 },
+      { name: 'src/card.stories.js', isStoryFile: true, storyCount: 1 },
+      { name: 'src/util.js', isStoryFile: false, storyCount: 1 },
+    ]);
+    expect(graph.edges).toEqual(
+      expect.arrayContaining([
+        { from: 'src/theme.js', to: 'src/button.js' },
+        { from: 'src/button.js', to: 'src/button.stories.js' },
+        { from: 'src/button.js', to: 'src/card.stories.js' },
+        { from: 'src/util.js', to: 'src/card.stories.js' },
+      ])
+    );
+    expect(graph.edges).toHaveLength(4);
+  });
+
+  it('counts each dependent story file once, also with circular imports', async () => {
+    const modules = [
+      { id: 1, name: './src/a.js', reasons: [{ moduleName: './src/b.js' }] },
+      {
+        id: 2,
+        name: './src/b.js',
+        reasons: [{ moduleName: './src/a.js' }, { moduleName: './src/a.stories.js' }],
+      },
+      {
+        id: 3,
+        name: './src/a.stories.js',
+        reasons: [{ moduleName: CSF_GLOB }, { moduleName: './src/b.stories.js' }],
+      },
+      { id: 4, name: './src/b.stories.js', reasons: [{ moduleName: CSF_GLOB }] },
+      {
+        id: 5,
+        name: CSF_GLOB,
+        reasons: [{ moduleName: './.storybook/generated-stories-entry.js' }],
+      },
+    ];
+    const { nodes } = await getDependencyGraph(ctx, { modules });
+    expect(nodes).toEqual([
+      { name: 'src/a.js', isStoryFile: false, storyCount: 2 },
+      { name: 'src/a.stories.js', isStoryFile: true, storyCount: 2 },
+      { name: 'src/b.js', isStoryFile: false, storyCount: 2 },
+      { name: 'src/b.stories.js', isStoryFile: true, storyCount: 1 },
+    ]);
+  });
+
+  it('only includes the subgraph reachable from the given files', async () => {
+    const graph = await getDependencyGraph(ctx, stats, ['./src/util.js']);
+    expect(graph).toEqual({
+      nodes: [
+        { name: 'src/card.stories.js', isStoryFile: true, storyCount: 1 },
+        { name: 'src/util.js', isStoryFile: false, storyCount: 1 },
+      ],
+      edges: [{ from: 'src/util.js', to: 'src/card.stories.js' }],
+    });
+  });
+});
+
+describe('dotGraph', () => {
+  it('renders nodes and edges in DOT format', () => {
+    const graph = {
+      nodes: [
+        { name: 'src/a "b".js', isStoryFile: false, storyCount: 1 },
+        { name: 'src/a.stories.js', isStoryFile: true, storyCount: 1 },
+      ],
+      edges: [{ from: 'src/a "b".js', to: 'src/a.stories.js' }],
+    };
+    expect(dotGraph(graph)).toBe(
+      [
+        'digraph modules {',
+        '  rankdir=LR;',
+        '  node [shape=box];',
+        '  "src/a \\"b\\".js" [label="src/a \\"b\\".js\\n1 story file"];',
+        '  "src/a.stories.js" [label="src/a.stories.js\\n1 story file", style=filled, fillcolor=lightblue];',
+        '  "src/a \\"b\\".js" -> "src/a.stories.js";',
+        '}',
+        '',
+      ].join('\n')
+    );
+  });
+});
+
+describe('jsonGraph', () => {
+  it('renders the graph as JSON', () => {
+    const graph = { nodes: [{ name: 'a.js', isStoryFile: false, storyCount: 0 }], edges: [] };
+    expect(JSON.parse(jsonGraph(graph))).toEqual(graph);
+  });
+});
@@ -0,0 +1,36 @@
+import { baseStorybookUrl } from './utils';
+
+/**
+ * Collects the most important results of a CLI run in a plain, serializable object, for consumption
+ * by other tools. Any of the values may be undefined, depending on how far the run got. When running
+ * multiple projects, this lists the summary for each project.
+ */
+export default function getBuildSummary(ctx) {
+  if (ctx.projects) {
+    return {
+      exitCode: ctx.exitCode,
+      projects: ctx.projects.map((project) => ({
+        name: project.projectName,
+        ...getBuildSummary(project),
+      })),
+    };
+  }
+
+  const { build = {}, durations, exitCode, onlyStoryFiles, turboSnap } = ctx;
+  const { uploadedBytes, uploadedFiles, skippedBytes } = ctx;
+  return {
+    buildNumber: build.number,
+    status: build.status,
+    webUrl: build.webUrl,
+    storybookUrl: build.cachedUrl ? baseStorybookUrl(build.cachedUrl) : undefined,
+    changeCount: build.changeCount,
+    errorCount: build.errorCount,
+    turboSnapBailReason: turboSnap ? turboSnap.bailReason : undefined,
+    affectedStoryFiles: onlyStoryFiles ? Object.values(onlyStoryFiles) : undefined,
+    uploadedBytes,
+    uploadedFiles,
+    skippedBytes,
+    durations,
+    exitCode,
+  };
+}
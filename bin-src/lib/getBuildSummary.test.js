@@ -0,0 +1,49 @@
+import getBuildSummary from './getBuildSummary';
+
+describe('getBuildSummary', () => {
+  it('lists the story files affected by the TurboSnap changes', () => {
+    const ctx = {
+      build: { number: 42, status: 'PENDING', changeCount: 1 },
+      turboSnap: {},
+      onlyStoryFiles: { 12: 'src/Button.stories.js', 345: 'src/Header.stories.js' },
+      exitCode: 1,
+    };
+    expect(getBuildSummary(ctx)).toEqual(
+      expect.objectContaining({
+        buildNumber: 42,
+        turboSnapBailReason: undefined,
+        affectedStoryFiles: ['src/Button.stories.js', 'src/Header.stories.js'],
+        exitCode: 1,
+      })
+    );
+  });
+
+  it('includes the bail reason when TurboSnap could not be used', () => {
+    const ctx = { build: { number: 42 }, turboSnap: { bailReason: { changedPackageFiles: [] } } };
+    expect(getBuildSummary(ctx)).toEqual(
+      expect.objectContaining({
+        turboSnapBailReason: { changedPackageFiles: [] },
+        affectedStoryFiles: undefined,
+      })
+    );
+  });
+
+  it('lists the summary for each project', () => {
+    const ctx = {
+      exitCode: 0,
+      projects: [
+        { projectName: 'web', build: { number: 1 }, onlyStoryFiles: { 1: 'a.stories.js' } },
+      ],
+    };
+    expect(getBuildSummary(ctx)).toEqual({
+      exitCode: 0,
+      projects: [
+        expect.objectContaining({
+          name: 'web',
+          buildNumber: 1,
+          affectedStoryFiles: ['a.stories.js'],
+        }),
+      ],
+    });
+  });
+});
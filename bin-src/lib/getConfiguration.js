@@ -0,0 +1,175 @@
+import fs from 'fs';
+import jsonfile from 'jsonfile';
+import path from 'path';
+
+import invalidConfigurationFile from '../ui/messages/errors/invalidConfigurationFile';
+import invalidConfigurationOption from '../ui/messages/errors/invalidConfigurationOption';
+import unknownConfigurationOption from '../ui/messages/errors/unknownConfigurationOption';
+import { supportedFlags } from './parseArgs';
+
+const { readFile } = jsonfile;
+
+// Looked up in the project root (the directory containing package.json), in this order
+export const CONFIGURATION_FILES = ['chromatic.config.json', '.chromaticrc'];
+
+// String flags which can be passed without a value on the command line (e.g. `--only-changed`),
+// so we also accept `true` for these in the configuration file.
+const OPTIONAL_VALUE_FLAGS = [
+  'autoAcceptChanges',
+  'exitOnceUploaded',
+  'exitZeroOnChanges',
+  'junitReport',
+  'onlyChanged',
+  'skip',
+  'storiesManifest',
+  'traceChanged',
+];
+
+// Flags which make no sense in a configuration file
+const EXCLUDED_FLAGS = ['configFile'];
+
+// Flags which can be set per branch using `profiles`. These are only used after the git info is
+// retrieved, so they can still be changed once we know the branch name.
+export const PROFILE_FLAGS = [
+  'autoAcceptChanges',
+  'exitOnceUploaded',
+  'exitZeroOnChanges',
+  'externals',
+  'onlyChanged',
+  'preserveMissing',
+  'skip',
+  'untraced',
+  'zip',
+];
+
+// Flags which can be set per project using `projects`, besides its `name` and `workingDir`
+export const PROJECT_FLAGS = [
+  'buildScriptName',
+  'projectToken',
+  'skipUnchanged',
+  'storybookBaseDir',
+  'storybookBuildDir',
+];
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const isString = (value) => typeof value === 'string';
+
+const getExpectedType = (key) => {
+  const { type, isMultiple } = supportedFlags[key];
+  if (type === 'boolean') return 'a boolean';
+  if (isMultiple) return 'a string or an array of strings';
+  if (OPTIONAL_VALUE_FLAGS.includes(key)) return 'a string or a boolean';
+  return 'a string';
+};
+
+const isValidValue = (key, value) => {
+  const { type, isMultiple } = supportedFlags[key];
+  if (type === 'boolean') return typeof value === 'boolean';
+  if (isMultiple && Array.isArray(value)) return value.every(isString);
+  if (OPTIONAL_VALUE_FLAGS.includes(key)) return isString(value) || typeof value === 'boolean';
+  return isString(value);
+};
+
+// The label is used to name the offending key in error messages, which may be a nested key
+const validateOption = (configFile, key, value, allowedKeys, label = key) => {
+  if (!allowedKeys.includes(key)) {
+    throw new Error(unknownConfigurationOption(configFile, label));
+  }
+  if (!isValidValue(key, value)) {
+    throw new Error(invalidConfigurationOption(configFile, label, getExpectedType(key)));
+  }
+};
+
+const validateProfiles = (configFile, profiles) => {
+  if (!isObject(profiles)) {
+    throw new Error(invalidConfigurationOption(configFile, 'profiles', 'an object'));
+  }
+  Object.entries(profiles).forEach(([glob, profile]) => {
+    if (!isObject(profile)) {
+      throw new Error(invalidConfigurationOption(configFile, `profiles.${glob}`, 'an object'));
+    }
+    Object.entries(profile).forEach(([key, value]) =>
+      validateOption(configFile, key, value, PROFILE_FLAGS, `profiles.${glob}.${key}`)
+    );
+  });
+};
+
+const validateProjects = (configFile, projects) => {
+  if (!Array.isArray(projects) || !projects.length) {
+    throw new Error(invalidConfigurationOption(configFile, 'projects', 'a non-empty array'));
+  }
+  projects.forEach((project, index) => {
+    if (!isObject(project)) {
+      throw new Error(invalidConfigurationOption(configFile, `projects[${index}]`, 'an object'));
+    }
+    Object.entries(project).forEach(([key, value]) => {
+      const label = `projects[${index}].${key}`;
+      if (['name', 'workingDir'].includes(key)) {
+        if (!isString(value))
+          throw new Error(invalidConfigurationOption(configFile, label, 'a string'));
+      } else {
+        validateOption(configFile, key, value, PROJECT_FLAGS, label);
+      }
+    });
+  });
+  const names = projects.map(({ name, workingDir }) => name || workingDir || '.');
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(
+      invalidConfigurationOption(configFile, 'projects', 'a list of projects with unique names')
+    );
+  }
+};
+
+/**
+ * Validates a map of option values as found in the configuration file, throwing an error naming the
+ * offending key if any of them is unknown or has the wrong type. Keys are the camelCased flag names.
+ * The `profiles` key holds a map of branch globs to (a subset of) options for matching branches.
+ * The `projects` key holds a list of projects (e.g. in a monorepo) to build in a single run, each
+ * with its own `name`, `workingDir` and (a subset of) options.
+ */
+export function validateConfiguration(configFile, configuration) {
+  const allowedKeys = Object.keys(supportedFlags).filter((key) => !EXCLUDED_FLAGS.includes(key));
+  Object.entries(configuration).forEach(([key, value]) => {
+    if (key === 'profiles') validateProfiles(configFile, value);
+    else if (key === 'projects') validateProjects(configFile, value);
+    else validateOption(configFile, key, value, allowedKeys);
+  });
+  return configuration;
+}
+
+/**
+ * Finds the configuration file to use. An explicitly provided path (i.e. `--config-file`) always
+ * wins, otherwise we look for one of the default files in the project root.
+ */
+export function findConfigurationFile({ flags, packagePath }) {
+  if (flags.configFile) return path.resolve(flags.configFile);
+  const rootDir = packagePath ? path.dirname(packagePath) : process.cwd();
+  return CONFIGURATION_FILES.map((filename) => path.join(rootDir, filename)).find((filepath) =>
+    fs.existsSync(filepath)
+  );
+}
+
+/**
+ * Loads and validates the project configuration file, if any. Returns an object with the
+ * configuration file path and its (validated) option values, or an empty object if there is no
+ * configuration file.
+ */
+export default async function getConfiguration(ctx) {
+  const configFile = findConfigurationFile(ctx);
+  if (!configFile) return {};
+
+  let configuration;
+  try {
+    configuration = await readFile(configFile);
+  } catch (e) {
+    throw new Error(invalidConfigurationFile(configFile, e));
+  }
+  if (!configuration || typeof configuration !== 'object' || Array.isArray(configuration)) {
+    throw new Error(invalidConfigurationFile(configFile));
+  }
+
+  ctx.log.debug(`Using configuration file ${configFile}`);
+  return { configFile, configuration: validateConfiguration(configFile, configuration) };
+}
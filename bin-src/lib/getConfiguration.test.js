@@ -0,0 +1,167 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp-promise';
+
+import getConfiguration, { validateConfiguration } from './getConfiguration';
+import TestLogger from './testLogger';
+
+// Make sure we don't print any colors so we can match against plain strings
+chalk.enabled = false;
+chalk.level = 0;
+
+let rootDir;
+beforeEach(async () => {
+  rootDir = (await tmp.dir({ unsafeCleanup: true, prefix: `chromatictest-` })).path;
+});
+
+const getContext = (flags = {}) => ({
+  flags,
+  log: new TestLogger(),
+  packagePath: path.join(rootDir, 'package.json'),
+});
+
+describe('getConfiguration', () => {
+  it('returns an empty object if there is no configuration file', async () => {
+    expect(await getConfiguration(getContext())).toEqual({});
+  });
+
+  it('loads chromatic.config.json from the project root', async () => {
+    await fs.writeJson(path.join(rootDir, 'chromatic.config.json'), { onlyChanged: true });
+    expect(await getConfiguration(getContext())).toEqual({
+      configFile: path.join(rootDir, 'chromatic.config.json'),
+      configuration: { onlyChanged: true },
+    });
+  });
+
+  it('loads .chromaticrc from the project root', async () => {
+    await fs.writeJson(path.join(rootDir, '.chromaticrc'), { buildScriptName: 'build:sb' });
+    expect(await getConfiguration(getContext())).toEqual({
+      configFile: path.join(rootDir, '.chromaticrc'),
+      configuration: { buildScriptName: 'build:sb' },
+    });
+  });
+
+  it('prefers chromatic.config.json over .chromaticrc', async () => {
+    await fs.writeJson(path.join(rootDir, 'chromatic.config.json'), { zip: true });
+    await fs.writeJson(path.join(rootDir, '.chromaticrc'), { zip: false });
+    expect(await getConfiguration(getContext())).toMatchObject({ configuration: { zip: true } });
+  });
+
+  it('loads the file passed with --config-file', async () => {
+    const configFile = path.join(rootDir, 'custom.json');
+    await fs.writeJson(configFile, { externals: ['*.scss'] });
+    expect(await getConfiguration(getContext({ configFile }))).toEqual({
+      configFile,
+      configuration: { externals: ['*.scss'] },
+    });
+  });
+
+  it('throws on a missing --config-file', async () => {
+    const configFile = path.join(rootDir, 'missing.json');
+    await expect(getConfiguration(getContext({ configFile }))).rejects.toThrow(
+      `Found invalid configuration file at ${configFile}`
+    );
+  });
+
+  it('throws on invalid JSON', async () => {
+    await fs.writeFile(path.join(rootDir, 'chromatic.config.json'), '{ "zip": true, }');
+    await expect(getConfiguration(getContext())).rejects.toThrow('Invalid configuration file');
+  });
+
+  it('throws if the file does not contain an object', async () => {
+    await fs.writeJson(path.join(rootDir, 'chromatic.config.json'), ['--zip']);
+    await expect(getConfiguration(getContext())).rejects.toThrow('Invalid configuration file');
+  });
+});
+
+describe('validateConfiguration', () => {
+  it('accepts valid values', () => {
+    const configuration = {
+      projectToken: 'abc123',
+      autoAcceptChanges: 'main',
+      exitZeroOnChanges: true,
+      untraced: '**/package.json',
+      externals: ['*.scss', 'public/**'],
+      zip: false,
+    };
+    expect(validateConfiguration('chromatic.config.json', configuration)).toEqual(configuration);
+  });
+
+  it('throws on unknown options, naming the key', () => {
+    expect(() => validateConfiguration('chromatic.config.json', { 'only-changed': true })).toThrow(
+      'Unknown option only-changed in chromatic.config.json'
+    );
+    expect(() => validateConfiguration('chromatic.config.json', { configFile: 'x.json' })).toThrow(
+      'Unknown option configFile in chromatic.config.json'
+    );
+  });
+
+  it('throws on invalid values, naming the key', () => {
+    expect(() => validateConfiguration('chromatic.config.json', { zip: 'yes' })).toThrow(
+      'Invalid value for zip in chromatic.config.json'
+    );
+    expect(() => validateConfiguration('chromatic.config.json', { externals: [1, 2] })).toThrow(
+      'Invalid value for externals in chromatic.config.json'
+    );
+    expect(() =>
+      validateConfiguration('chromatic.config.json', { storybookBaseDir: true })
+    ).toThrow('Invalid value for storybookBaseDir in chromatic.config.json');
+  });
+
+  it('accepts branch profiles', () => {
+    const configuration = {
+      onlyChanged: true,
+      profiles: { main: { autoAcceptChanges: true, onlyChanged: false }, 'release/*': {} },
+    };
+    expect(validateConfiguration('chromatic.config.json', configuration)).toEqual(configuration);
+  });
+
+  it('throws on invalid branch profiles, naming the key', () => {
+    expect(() => validateConfiguration('chromatic.config.json', { profiles: ['main'] })).toThrow(
+      'Invalid value for profiles in chromatic.config.json'
+    );
+    expect(() =>
+      validateConfiguration('chromatic.config.json', { profiles: { main: true } })
+    ).toThrow('Invalid value for profiles.main in chromatic.config.json');
+    expect(() =>
+      validateConfiguration('chromatic.config.json', {
+        profiles: { main: { buildScriptName: 'x' } },
+      })
+    ).toThrow('Unknown option profiles.main.buildScriptName in chromatic.config.json');
+    expect(() =>
+      validateConfiguration('chromatic.config.json', { profiles: { main: { zip: 'yes' } } })
+    ).toThrow('Invalid value for profiles.main.zip in chromatic.config.json');
+  });
+
+  it('accepts projects', () => {
+    const configuration = {
+      onlyChanged: true,
+      projects: [
+        { name: 'design-system', workingDir: 'packages/design-system', projectToken: 'abc123' },
+        { workingDir: 'packages/app', projectToken: 'def456', buildScriptName: 'build:storybook' },
+      ],
+    };
+    expect(validateConfiguration('chromatic.config.json', configuration)).toEqual(configuration);
+  });
+
+  it('throws on invalid projects, naming the key', () => {
+    expect(() => validateConfiguration('chromatic.config.json', { projects: [] })).toThrow(
+      'Invalid value for projects in chromatic.config.json'
+    );
+    expect(() => validateConfiguration('chromatic.config.json', { projects: ['app'] })).toThrow(
+      'Invalid value for projects[0] in chromatic.config.json'
+    );
+    expect(() =>
+      validateConfiguration('chromatic.config.json', { projects: [{ workingDir: true }] })
+    ).toThrow('Invalid value for projects[0].workingDir in chromatic.config.json');
+    expect(() =>
+      validateConfiguration('chromatic.config.json', { projects: [{}, { onlyChanged: true }] })
+    ).toThrow('Unknown option projects[1].onlyChanged in chromatic.config.json');
+    expect(() =>
+      validateConfiguration('chromatic.config.json', {
+        projects: [{ workingDir: 'app' }, { workingDir: 'app' }],
+      })
+    ).toThrow('Invalid value for projects in chromatic.config.json');
+  });
+});
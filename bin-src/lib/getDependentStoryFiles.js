@@ -1,35 +1,37 @@
 import path from 'path';
 
+import {
+  getChangedPackages,
+  getPackageName,
+  getPackageNames,
+  isToolchainPackage,
+} from './lockfiles';
+import { getModuleGraph } from './moduleGraph';
 import { getWorkingDir, matchesFile } from './utils';
 import { getRepositoryRoot } from '../git/git';
 import bailFile from '../ui/messages/warnings/bailFile';
 import noCSFGlobs from '../ui/messages/errors/noCSFGlobs';
 
-// Bail whenever one of these was changed
+// When one of these was changed, we trace the changed packages, or bail if we can't tell which
+// packages changed
 const GLOBALS = [
-  /^package\.json$/,
-  /^package-lock\.json$/,
-  /^yarn\.lock$/,
-  /\/package\.json$/,
-  /\/package-lock\.json$/,
-  /\/yarn\.lock$/,
+  /(^|\/)package\.json$/,
+  /(^|\/)package-lock\.json$/,
+  /(^|\/)npm-shrinkwrap\.json$/,
+  /(^|\/)yarn\.lock$/,
+  /(^|\/)pnpm-lock\.yaml$/,
 ];
 
-// Ignore these while tracing dependencies
-const EXTERNALS = [/^node_modules\//, /\/node_modules\//, /\/webpack\/runtime\//, /^\(webpack\)/];
-
 const isPackageFile = (name) => GLOBALS.some((re) => re.test(name));
-const isUserModule = ({ id, name, moduleName }) =>
-  id !== undefined && id !== null && !EXTERNALS.some((re) => re.test(name || moduleName));
 
 // Replaces Windows-style backslash path separators with POSIX-style forward slashes, because the
-// Webpack stats use forward slashes in the `name` and `moduleName` fields. Note `changedFiles`
+// module graph uses forward slashes for module names. Note `changedFiles`
 // already contains forward slashes, because that's what git yields even on Windows.
 const posix = (localPath) => localPath.split(path.sep).filter(Boolean).join(path.posix.sep);
 
 /**
- * Converts a module path found in the webpack stats to be relative to the (git) root path. Module
- * paths can be relative (`./module.js`) or absolute (`/path/to/project/module.js`). The webpack
+ * Converts a module path found in the module graph to be relative to the (git) root path. Module
+ * paths can be relative (`./module.js`) or absolute (`/path/to/project/module.js`). The builder
  * stats may have been generated in a subdirectory, so we prepend the workingDir if necessary.
  * The result is a relative POSIX path compatible with `git diff --name-only`.
  */
@@ -41,16 +43,20 @@ export function normalizePath(posixPath, rootPath, workingDir = '') {
 }
 
 /**
- * This traverses the webpack module stats to retrieve a set of CSF files that somehow trace back to
- * the changed git files. The result is a map of Module ID => file path. In the end we'll only send
- * the Module IDs to Chromatic, the file paths are only for logging purposes.
+ * Converts the builder stats into lookup maps of the user modules, keyed by module ID or by file path
+ * relative to the (git) root path:
+ *  - `idsByName`: the ID of the module which contains a file (which may be one of several files)
+ *  - `namesById`: the file path of each module
+ *  - `reasonsById`: the file paths of the modules which import each module
+ *  - `csfGlobsByName`: the file paths of the CSF globs, i.e. the modules which import the CSF files
+ * The `packageModules` are the modules from installed packages, with their importers.
  */
-export async function getDependentStoryFiles(ctx, stats, statsPath, changedFiles) {
-  const { configDir = '.storybook', staticDir = [], viewLayer } = ctx.storybook || {};
-  const { storybookBaseDir, untraced = [] } = ctx.options;
+export async function getModuleMaps(ctx, stats) {
+  const { configDir = '.storybook', staticDir = [] } = ctx.storybook || {};
+  const { storybookBaseDir } = ctx.options;
 
   // Currently we enforce Storybook to be built by the Chromatic CLI, to ensure absolute paths match
-  // up between the webpack stats and the git repo root.
+  // up between the builder stats and the git repo root.
   const rootPath = await getRepositoryRoot(); // e.g. `/path/to/project` (always absolute posix)
   const workingDir = getWorkingDir(rootPath, storybookBaseDir); // e.g. `packages/storybook` or empty string
   const normalize = (posixPath) => normalizePath(posixPath, rootPath, workingDir); // e.g. `src/file.js` (no ./ prefix)
@@ -61,6 +67,7 @@ export async function getDependentStoryFiles(ctx, stats, statsPath, changedFiles
 
   // NOTE: this only works with `main:stories` -- if stories are imported from files in `.storybook/preview.js`
   // we'll need a different approach to figure out CSF files (maybe the user should pass a glob?).
+  const graph = getModuleGraph(stats);
   const storiesEntryFiles = [
     // Storybook 6.3-
     `${storybookDir}/generated-stories-entry.js`,
@@ -68,6 +75,8 @@ export async function getDependentStoryFiles(ctx, stats, statsPath, changedFiles
     `generated-stories-entry.js`,
     // Storybook 6.4, v7 store
     `storybook-stories.js`,
+    // Builder specific (e.g. Vite)
+    ...graph.storiesEntries.map(normalize),
   ];
 
   const idsByName = {};
@@ -75,19 +84,17 @@ export async function getDependentStoryFiles(ctx, stats, statsPath, changedFiles
   const reasonsById = {};
   const csfGlobsByName = {};
 
-  stats.modules.filter(isUserModule).forEach((mod) => {
+  graph.modules.forEach((mod) => {
     const normalizedName = normalize(mod.name);
     idsByName[normalizedName] = mod.id;
     namesById[mod.id] = normalizedName;
 
-    if (mod.modules) {
-      mod.modules.forEach((m) => {
-        idsByName[normalize(m.name)] = mod.id;
-      });
-    }
+    mod.names.forEach((name) => {
+      idsByName[normalize(name)] = mod.id;
+    });
 
-    reasonsById[mod.id] = mod.reasons
-      .map((reason) => normalize(reason.moduleName))
+    reasonsById[mod.id] = mod.importers
+      .map((importer) => normalize(importer))
       .filter((reasonName) => reasonName && reasonName !== normalizedName);
 
     if (reasonsById[mod.id].some((reason) => storiesEntryFiles.includes(reason))) {
@@ -95,6 +102,45 @@ export async function getDependentStoryFiles(ctx, stats, statsPath, changedFiles
     }
   });
 
+  return {
+    modules: graph.modules,
+    packageModules: (graph.packageModules || []).map(({ name, importers }) => ({
+      name: normalize(name),
+      importers: importers.map(normalize),
+    })),
+    idsByName,
+    namesById,
+    reasonsById,
+    csfGlobsByName,
+    storiesEntryFiles,
+    storybookDir,
+    staticDirs,
+    baseName,
+  };
+}
+
+/**
+ * This traverses the module graph derived from the builder stats (see `getModuleGraph`) to retrieve
+ * a set of CSF files that somehow trace back to the changed git files. The result is a map of
+ * Module ID => file path. In the end we'll only send the Module IDs to Chromatic, the file paths are
+ * only for logging purposes.
+ */
+export async function getDependentStoryFiles(ctx, stats, statsPath, changedFiles) {
+  const { viewLayer } = ctx.storybook || {};
+  const { traceChanged, untraced = [] } = ctx.options;
+  const {
+    modules,
+    packageModules,
+    idsByName,
+    namesById,
+    reasonsById,
+    csfGlobsByName,
+    storiesEntryFiles,
+    storybookDir,
+    staticDirs,
+    baseName,
+  } = await getModuleMaps(ctx, stats);
+
   ctx.turboSnap.globs = Object.keys(csfGlobsByName);
   ctx.turboSnap.modules = Object.keys(idsByName);
 
@@ -109,22 +155,93 @@ export async function getDependentStoryFiles(ctx, stats, statsPath, changedFiles
   const isStaticFile = (name) => staticDirs.some((dir) => name && name.startsWith(`${dir}/`));
 
   ctx.untracedFiles = [];
+  const isUntraced = (filepath) => untraced.some((glob) => matchesFile(glob, filepath));
   function untrace(filepath) {
-    if (untraced.some((glob) => matchesFile(glob, filepath))) {
+    if (isUntraced(filepath)) {
       ctx.untracedFiles.push(filepath);
       return false;
     }
     return true;
   }
 
+  // Follows the importers of the modules of the changed packages (through any other packages) up to
+  // the user modules, which are traced as if they were changed. Returns the name of the changed
+  // package for each of these modules.
+  // A module counts as part of a changed package if either its file or any of its loaders is.
+  function getPackageImporters(changedPackages) {
+    const getChangedPackage = (name) =>
+      getPackageNames(name).find((packageName) => changedPackages.includes(packageName));
+    const importersByName = {};
+    packageModules.forEach(({ name, importers }) => {
+      importersByName[name] = importers;
+    });
+
+    const packageImporters = {};
+    // Package modules may have been concatenated into a user module
+    Object.keys(idsByName)
+      .filter(getChangedPackage)
+      .forEach((name) => {
+        packageImporters[name] = getChangedPackage(name);
+      });
+
+    const queue = packageModules.map(({ name }) => name).filter(getChangedPackage);
+    const packageNames = {};
+    queue.forEach((name) => {
+      packageNames[name] = getChangedPackage(name);
+    });
+    while (queue.length > 0) {
+      const name = queue.shift();
+      importersByName[name].forEach((importer) => {
+        if (importer in packageNames || importer in packageImporters) return;
+        if (importersByName[importer]) {
+          packageNames[importer] = packageNames[name];
+          queue.push(importer);
+        } else {
+          packageImporters[importer] = packageNames[name];
+        }
+      });
+    }
+    return packageImporters;
+  }
+
+  // Toolchain packages only show up in the stats file when used as a loader, in which case changes
+  // to them can be traced like any other package. Otherwise, we can't tell what they affect.
+  function getUntraceablePackage(changedPackages) {
+    const loaderPackages = new Set(
+      packageModules.flatMap(({ name }) => name.split('!').slice(0, -1).map(getPackageName))
+    );
+    return changedPackages.find((name) => isToolchainPackage(name) && !loaderPackages.has(name));
+  }
+
+  // Changes to package.json or lockfiles are traced through the changed packages, as far as these
+  // are part of the bundle. If we can't tell which packages changed, or what a changed package
+  // affects, we have to bail.
+  let packageImporters = {};
+  const changedPackageFiles = changedFiles.filter(isPackageFile);
+  if (changedPackageFiles.length) {
+    const { changedPackages, unknownFile } = await getChangedPackages(ctx, changedPackageFiles);
+    ctx.log.debug(`Found changed packages: ${changedPackages ? changedPackages.join(', ') : '?'}`);
+    ctx.turboSnap.changedPackages = changedPackages;
+    const untraceablePackage = changedPackages && getUntraceablePackage(changedPackages);
+    if (!changedPackages) {
+      ctx.turboSnap.bailReason = { changedPackageFile: unknownFile };
+    } else if (changedPackages.length && !packageModules.length) {
+      // Without any package modules in the stats file, we can't tell which packages are bundled
+      ctx.turboSnap.bailReason = { changedPackageFile: changedPackageFiles[0] };
+    } else if (untraceablePackage) {
+      ctx.log.debug(`Cannot trace changes to build toolchain package ${untraceablePackage}`);
+      ctx.turboSnap.bailReason = { changedPackageFile: changedPackageFiles[0] };
+    } else {
+      packageImporters = getPackageImporters(changedPackages);
+    }
+  }
+
   const tracedFiles = changedFiles.filter(untrace);
+  const tracedImporters = Object.keys(packageImporters).filter(untrace);
   const changedCsfIds = new Set();
   const checkedIds = {};
   const toCheck = [];
 
-  const changedPackageFile = changedFiles.find(isPackageFile);
-  if (changedPackageFile) ctx.turboSnap.bailReason = { changedPackageFile };
-
   function shouldBail(name) {
     if (isStorybookFile(name)) {
       ctx.turboSnap.bailReason = { changedStorybookFile: baseName(name) };
@@ -154,6 +271,7 @@ export async function getDependentStoryFiles(ctx, stats, statsPath, changedFiles
   }
 
   tracedFiles.forEach(traceName);
+  tracedImporters.forEach(traceName);
   while (toCheck.length > 0) {
     const id = toCheck.pop();
     checkedIds[id] = true;
@@ -165,7 +283,45 @@ export async function getDependentStoryFiles(ctx, stats, statsPath, changedFiles
     return null;
   }
 
-  return stats.modules.reduce((acc, mod) => {
+  // Finds the shortest chain of imports from any of the changed files to each of the affected CSF
+  // files, using a breadth-first search which follows the same edges as the tracing above.
+  function getTracedPaths() {
+    const nameById = {}; // the name by which each module was first reached
+    const previousByName = {};
+    const queue = [];
+    const visit = (name, previous) => {
+      const id = idsByName[name];
+      if (id === undefined || id in nameById) return;
+      nameById[id] = name;
+      previousByName[name] = previous;
+      queue.push(id);
+    };
+
+    tracedFiles.filter((name) => !isCsfGlob(name)).forEach((name) => visit(name, null));
+    // Chains starting at a changed package are prefixed with the package name
+    tracedImporters
+      .filter((name) => !isCsfGlob(name))
+      .forEach((name) => visit(name, packageImporters[name]));
+    while (queue.length > 0) {
+      const id = queue.shift();
+      const reasons = reasonsById[id] || [];
+      reasons
+        .filter((name) => !isCsfGlob(name) && !isUntraced(name))
+        .forEach((name) => visit(name, nameById[id]));
+    }
+
+    return [...changedCsfIds].map((id) => {
+      const chain = [];
+      for (let name = nameById[id]; name; name = previousByName[name]) {
+        chain.unshift(name.replace(/ \+ \d+ modules$/, ''));
+      }
+      return chain;
+    });
+  }
+
+  if (traceChanged) ctx.turboSnap.tracedPaths = getTracedPaths();
+
+  return modules.reduce((acc, mod) => {
     if (changedCsfIds.has(mod.id)) acc[String(mod.id)] = baseName(mod.name);
     return acc;
   }, {});
@@ -2,9 +2,14 @@ import chalk from 'chalk';
 
 import { getDependentStoryFiles, normalizePath } from './getDependentStoryFiles';
 import { getRepositoryRoot } from '../git/git';
+import { getChangedPackages } from './lockfiles';
 import { getWorkingDir } from './utils';
 
 jest.mock('../git/git');
+jest.mock('./lockfiles', () => {
+  const lockfiles = jest.requireActual('./lockfiles');
+  return { __esModule: true, ...lockfiles, getChangedPackages: jest.fn() };
+});
 jest.mock('./utils', () => {
   const utils = jest.requireActual('./utils');
   return { __esModule: true, ...utils, getWorkingDir: jest.fn() };
@@ -24,6 +29,10 @@ afterEach(() => {
 });
 
 getRepositoryRoot.mockResolvedValue('/path/to/project');
+getChangedPackages.mockImplementation(async (ctx, packageFiles) => ({
+  changedPackages: null,
+  unknownFile: packageFiles[0],
+}));
 getWorkingDir.mockReturnValue('');
 
 describe('getDependentStoryFiles', () => {
@@ -225,6 +234,78 @@ describe('getDependentStoryFiles', () => {
     });
   });
 
+  it('detects indirect changes to CSF files in Rollup stats from the Vite builder', async () => {
+    const storiesModule = '/virtual:/@storybook/builder-vite/storybook-stories.js';
+    const changedFiles = ['src/foo.js'];
+    const modules = [
+      {
+        id: '/path/to/project/src/foo.js',
+        importers: ['/path/to/project/src/foo.stories.js'],
+      },
+      {
+        id: '/path/to/project/src/foo.stories.js',
+        importers: [],
+        dynamicImporters: [storiesModule],
+      },
+      {
+        id: '/path/to/project/src/bar.stories.js',
+        importers: [],
+        dynamicImporters: [storiesModule],
+      },
+      {
+        id: storiesModule,
+        importers: ['/virtual:/@storybook/builder-vite/vite-app.js'],
+      },
+    ];
+    const ctx = getContext();
+    const res = await getDependentStoryFiles(ctx, { modules }, statsPath, changedFiles);
+    expect(res).toEqual({
+      '/path/to/project/src/foo.stories.js': 'src/foo.stories.js',
+    });
+  });
+
+  it('records the shortest chain of imports to each affected CSF file with --trace-changed', async () => {
+    const changedFiles = ['src/format.js'];
+    const modules = [
+      {
+        id: 1,
+        name: './src/format.js',
+        reasons: [{ moduleName: './src/Price.js' }, { moduleName: './src/Date.stories.js' }],
+      },
+      {
+        id: 2,
+        name: './src/Price.js',
+        reasons: [{ moduleName: './src/Price.stories.js' }, { moduleName: './src/Cart.js' }],
+      },
+      {
+        id: 3,
+        name: './src/Cart.js',
+        reasons: [
+          { moduleName: './src/Price.stories.js' },
+          { moduleName: './src/Cart.stories.js' },
+        ],
+      },
+      { id: 4, name: './src/Price.stories.js', reasons: [{ moduleName: CSF_GLOB }] },
+      { id: 5, name: './src/Cart.stories.js', reasons: [{ moduleName: CSF_GLOB }] },
+      { id: 6, name: './src/Date.stories.js', reasons: [{ moduleName: CSF_GLOB }] },
+      {
+        id: CSF_GLOB,
+        name: CSF_GLOB,
+        reasons: [{ moduleName: './.storybook/generated-stories-entry.js' }],
+      },
+    ];
+    const ctx = getContext({ options: { traceChanged: true } });
+    await getDependentStoryFiles(ctx, { modules }, statsPath, changedFiles);
+    expect(ctx.turboSnap.tracedPaths).toEqual(
+      expect.arrayContaining([
+        ['src/format.js', 'src/Date.stories.js'],
+        ['src/format.js', 'src/Price.js', 'src/Price.stories.js'],
+        ['src/format.js', 'src/Price.js', 'src/Cart.js', 'src/Cart.stories.js'],
+      ])
+    );
+    expect(ctx.turboSnap.tracedPaths).toHaveLength(3);
+  });
+
   it('throws on missing CSF glob', async () => {
     const changedFiles = ['src/styles.js'];
     const modules = [
@@ -265,6 +346,171 @@ describe('getDependentStoryFiles', () => {
     );
   });
 
+  it('traces changed packages to their importers', async () => {
+    getChangedPackages.mockResolvedValueOnce({ changedPackages: ['lodash', 'react'] });
+    const changedFiles = ['yarn.lock'];
+    const modules = [
+      {
+        id: './src/foo.stories.js',
+        name: './src/foo.stories.js',
+        reasons: [{ moduleName: CSF_GLOB }],
+      },
+      {
+        id: './src/bar.stories.js',
+        name: './src/bar.stories.js',
+        reasons: [{ moduleName: CSF_GLOB }],
+      },
+      {
+        id: './src/utils.js',
+        name: './src/utils.js',
+        reasons: [{ moduleName: './src/bar.stories.js' }],
+      },
+      {
+        id: './node_modules/lodash/lodash.js',
+        name: './node_modules/lodash/lodash.js',
+        reasons: [{ moduleName: './node_modules/lodash-es/index.js' }],
+      },
+      {
+        id: './node_modules/lodash-es/index.js',
+        name: './node_modules/lodash-es/index.js',
+        reasons: [{ moduleName: './src/utils.js' }],
+      },
+      {
+        id: './node_modules/react-dom/index.js',
+        name: './node_modules/react-dom/index.js',
+        reasons: [{ moduleName: './src/foo.stories.js' }],
+      },
+      {
+        id: CSF_GLOB,
+        name: CSF_GLOB,
+        reasons: [{ moduleName: './.storybook/generated-stories-entry.js' }],
+      },
+    ];
+    const ctx = getContext({ options: { traceChanged: true } });
+    const res = await getDependentStoryFiles(ctx, { modules }, statsPath, changedFiles);
+    expect(res).toEqual({
+      './src/bar.stories.js': 'src/bar.stories.js',
+    });
+    expect(ctx.turboSnap.changedPackages).toEqual(['lodash', 'react']);
+    expect(ctx.turboSnap.tracedPaths).toEqual([['lodash', 'src/utils.js', 'src/bar.stories.js']]);
+  });
+
+  it('does not bail on changed packages which are not bundled', async () => {
+    getChangedPackages.mockResolvedValueOnce({ changedPackages: ['jest'] });
+    const changedFiles = ['package.json'];
+    const modules = [
+      {
+        id: './src/foo.stories.js',
+        name: './src/foo.stories.js',
+        reasons: [{ moduleName: CSF_GLOB }],
+      },
+      {
+        id: './node_modules/react/index.js',
+        name: './node_modules/react/index.js',
+        reasons: [{ moduleName: './src/foo.stories.js' }],
+      },
+      {
+        id: CSF_GLOB,
+        name: CSF_GLOB,
+        reasons: [{ moduleName: './.storybook/generated-stories-entry.js' }],
+      },
+    ];
+    const ctx = getContext();
+    const res = await getDependentStoryFiles(ctx, { modules }, statsPath, changedFiles);
+    expect(res).toEqual({});
+    expect(ctx.turboSnap.bailReason).toBeUndefined();
+  });
+
+  it('traces changed loaders to the importers of the modules they process', async () => {
+    getChangedPackages.mockResolvedValueOnce({ changedPackages: ['css-loader'] });
+    const changedFiles = ['yarn.lock'];
+    const cssModule = './node_modules/css-loader/dist/cjs.js!./src/button.css';
+    const modules = [
+      {
+        id: './src/button.stories.js',
+        name: './src/button.stories.js',
+        reasons: [{ moduleName: CSF_GLOB }],
+      },
+      {
+        id: './src/header.stories.js',
+        name: './src/header.stories.js',
+        reasons: [{ moduleName: CSF_GLOB }],
+      },
+      {
+        id: './src/button.js',
+        name: './src/button.js',
+        reasons: [{ moduleName: './src/button.stories.js' }],
+      },
+      {
+        id: cssModule,
+        name: cssModule,
+        reasons: [{ moduleName: './src/button.js' }],
+      },
+      {
+        id: './node_modules/react/index.js',
+        name: './node_modules/react/index.js',
+        reasons: [{ moduleName: './src/header.stories.js' }],
+      },
+      {
+        id: CSF_GLOB,
+        name: CSF_GLOB,
+        reasons: [{ moduleName: './.storybook/generated-stories-entry.js' }],
+      },
+    ];
+    const ctx = getContext();
+    const res = await getDependentStoryFiles(ctx, { modules }, statsPath, changedFiles);
+    expect(res).toEqual({
+      './src/button.stories.js': 'src/button.stories.js',
+    });
+  });
+
+  it('bails on changed toolchain packages which are not in the stats file', async () => {
+    getChangedPackages.mockResolvedValueOnce({ changedPackages: ['@babel/preset-env', 'react'] });
+    const changedFiles = ['package.json', 'yarn.lock'];
+    const modules = [
+      {
+        id: './src/foo.stories.js',
+        name: './src/foo.stories.js',
+        reasons: [{ moduleName: CSF_GLOB }],
+      },
+      {
+        id: './node_modules/react/index.js',
+        name: './node_modules/react/index.js',
+        reasons: [{ moduleName: './src/foo.stories.js' }],
+      },
+      {
+        id: CSF_GLOB,
+        name: CSF_GLOB,
+        reasons: [{ moduleName: './.storybook/generated-stories-entry.js' }],
+      },
+    ];
+    const ctx = getContext();
+    const res = await getDependentStoryFiles(ctx, { modules }, statsPath, changedFiles);
+    expect(res).toEqual(null);
+    expect(ctx.turboSnap.bailReason).toEqual({ changedPackageFile: 'package.json' });
+  });
+
+  it('bails on changed packages when the stats file lacks package modules', async () => {
+    getChangedPackages.mockResolvedValueOnce({ changedPackages: ['react'] });
+    const changedFiles = ['package-lock.json'];
+    const modules = [
+      {
+        id: './src/foo.stories.js',
+        name: './src/foo.stories.js',
+        reasons: [{ moduleName: CSF_GLOB }],
+      },
+      {
+        id: CSF_GLOB,
+        name: CSF_GLOB,
+        reasons: [{ moduleName: './.storybook/generated-stories-entry.js' }],
+      },
+    ];
+    const ctx = getContext();
+    const res = await getDependentStoryFiles(ctx, { modules }, statsPath, changedFiles);
+    expect(res).toEqual(null);
+    expect(ctx.turboSnap.bailReason).toEqual({ changedPackageFile: 'package-lock.json' });
+  });
+
   it('bails on changed Storybook config file', async () => {
     const changedFiles = ['src/foo.stories.js', 'path/to/storybook-config/file.js'];
     const modules = [
@@ -7,6 +7,8 @@ const {
   CHROMATIC_RETRIES = 5,
   CHROMATIC_POLL_INTERVAL = 1000,
   CHROMATIC_TIMEOUT = 5 * 60 * 1000,
+  CHROMATIC_GIT_TIMEOUT = 10 * 1000,
+  CHROMATIC_PROJECT_CONCURRENCY = 2,
   CHROMATIC_STORYBOOK_VERSION,
   LOGGLY_CUSTOMER_TOKEN = 'b5e26204-cdc5-4c78-a9cc-c69eb7fabad3',
   STORYBOOK_BUILD_TIMEOUT = 10 * 60 * 1000,
@@ -35,6 +37,8 @@ export default () => ({
   CHROMATIC_RETRIES: parseInt(CHROMATIC_RETRIES, 10),
   CHROMATIC_POLL_INTERVAL: parseInt(CHROMATIC_POLL_INTERVAL, 10),
   CHROMATIC_TIMEOUT: parseInt(CHROMATIC_TIMEOUT, 10),
+  CHROMATIC_GIT_TIMEOUT: parseInt(CHROMATIC_GIT_TIMEOUT, 10),
+  CHROMATIC_PROJECT_CONCURRENCY: parseInt(CHROMATIC_PROJECT_CONCURRENCY, 10),
   CHROMATIC_STORYBOOK_VERSION,
   ENVIRONMENT_WHITELIST,
   LOGGLY_CUSTOMER_TOKEN,
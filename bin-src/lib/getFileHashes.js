@@ -0,0 +1,22 @@
+import { createHash } from 'crypto';
+import fs from 'fs-extra';
+import pLimit from 'p-limit';
+import { join } from 'path';
+
+const hashFile = (filepath) =>
+  new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    fs.createReadStream(filepath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+
+/**
+ * Computes the SHA-256 hash of the contents of each of the files (relative to `sourceDir`), so files
+ * can be identified by their content. Returns the hashes in the same order as the paths.
+ */
+export default async function getFileHashes(paths, sourceDir, concurrency = 10) {
+  const limitConcurrency = pLimit(concurrency);
+  return Promise.all(paths.map((path) => limitConcurrency(() => hashFile(join(sourceDir, path)))));
+}
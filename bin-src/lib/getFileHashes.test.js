@@ -0,0 +1,22 @@
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import getFileHashes from './getFileHashes';
+
+describe('getFileHashes', () => {
+  it('hashes the contents of each file', async () => {
+    const sourceDir = mkdtempSync(join(tmpdir(), 'chromatictest-'));
+    writeFileSync(join(sourceDir, 'iframe.html'), 'iframe');
+    writeFileSync(join(sourceDir, 'index.html'), '');
+    expect(await getFileHashes(['iframe.html', 'index.html'], sourceDir)).toEqual([
+      '49ba4792a4b4872dcd2337c48ed64c2b228426a3c2fbe7a510184972aed94604',
+      'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+    ]);
+  });
+
+  it('rejects when a file cannot be read', async () => {
+    const sourceDir = mkdtempSync(join(tmpdir(), 'chromatictest-'));
+    await expect(getFileHashes(['missing.js'], sourceDir)).rejects.toThrow('ENOENT');
+  });
+});
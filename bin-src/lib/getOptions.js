@@ -1,4 +1,5 @@
 import path from 'path';
+import picomatch from 'picomatch';
 import { parse } from 'url';
 
 import dependentOption from '../ui/messages/errors/dependentOption';
@@ -8,14 +9,18 @@ import invalidExitOnceUploaded from '../ui/messages/errors/invalidExitOnceUpload
 import invalidOnly from '../ui/messages/errors/invalidOnly';
 import invalidOnlyChanged from '../ui/messages/errors/invalidOnlyChanged';
 import invalidPatchBuild from '../ui/messages/errors/invalidPatchBuild';
+import invalidReportFormat from '../ui/messages/errors/invalidReportFormat';
 import invalidReportPath from '../ui/messages/errors/invalidReportPath';
 import invalidSingularOptions from '../ui/messages/errors/invalidSingularOptions';
+import invalidUploadExclude from '../ui/messages/errors/invalidUploadExclude';
 import missingBuildScriptName from '../ui/messages/errors/missingBuildScriptName';
 import missingProjectToken from '../ui/messages/errors/missingProjectToken';
 import missingScriptName from '../ui/messages/errors/missingScriptName';
 import missingStorybookPort from '../ui/messages/errors/missingStorybookPort';
 import unknownStorybookPort from '../ui/messages/errors/unknownStorybookPort';
 import inferredOptions from '../ui/messages/info/inferredOptions';
+import getConfiguration from './getConfiguration';
+import { reportFormats } from './reportFormats';
 import getStorybookConfiguration from './getStorybookConfiguration';
 
 const takeLast = (input) => (Array.isArray(input) ? input[input.length - 1] : input);
@@ -24,19 +29,124 @@ const ensureArray = (input) => (Array.isArray(input) ? input : [input]);
 const resolveHomeDir = (filepath) =>
   filepath && filepath.startsWith('~') ? path.join(process.env.HOME, filepath.slice(1)) : filepath;
 
+// When running multiple projects, paths are relative to the project's working directory
+const resolveIn = (dir, filepath) => (dir && filepath ? path.resolve(dir, filepath) : filepath);
+
 const trueIfSet = (value) => (value === '' ? true : value);
 const undefinedIfEmpty = (array) => {
   const filtered = array.filter(Boolean);
   return filtered.length ? filtered : undefined;
 };
 
-export default async function getOptions({ argv, env, flags, log, packageJson }) {
+const isSet = (value) => value !== undefined && !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Merges the flags from the configuration file with those passed on the command line. Command line
+ * flags take precedence, but only if they were actually set (meow yields an empty array for unset
+ * multiple-value flags).
+ */
+export const mergeFlags = (configuration, flags) =>
+  Object.entries(flags).reduce(
+    (acc, [key, value]) => (isSet(value) ? { ...acc, [key]: value } : acc),
+    { ...configuration }
+  );
+
+/**
+ * Finds the npm script which builds Storybook, which is either `build-storybook` or the first
+ * script which invokes `build-storybook`.
+ */
+export const findBuildScriptName = (scripts = {}) => {
+  if (scripts['build-storybook']) return 'build-storybook';
+  const [name] = Object.entries(scripts).find(([, cmd]) => cmd.startsWith('build-storybook')) || [];
+  return name;
+};
+
+// Options which only apply to TurboSnap
+const onlyChangedOptions = {
+  untraced: '--untraced',
+  externals: '--externals',
+  skipUnchanged: '--skip-unchanged',
+  traceChanged: '--trace-changed',
+};
+
+/**
+ * Checks the options for combinations which aren't supported. This runs at the end of getOptions,
+ * but also after applying a configuration profile, as that may change the options. Returns the
+ * options as is, or throws if they're invalid.
+ */
+export function validateOptions(options) {
+  if (options.only && options.onlyChanged) {
+    throw new Error(invalidSingularOptions(['--only', '--only-changed']));
+  }
+
+  // TurboSnap requires a static build with a webpack stats file.
+  if (options.onlyChanged && options.useTunnel) {
+    throw new Error(invalidOnlyChanged());
+  }
+
+  const onlyChangedOption = Object.keys(onlyChangedOptions).find((name) => !!options[name]);
+  if (onlyChangedOption && !options.onlyChanged) {
+    throw new Error(dependentOption(onlyChangedOptions[onlyChangedOption], '--only-changed'));
+  }
+
+  // These files are required for a valid Storybook, so we can't skip uploading them
+  const isExcluded =
+    options.uploadExclude && picomatch(options.uploadExclude, { dot: true, basename: true });
+  const excludedFile = isExcluded && ['iframe.html', 'index.html'].find((file) => isExcluded(file));
+  if (excludedFile) {
+    throw new Error(invalidUploadExclude(excludedFile, options.uploadExclude));
+  }
+
+  if (options.buildCacheDir && options.storybookBuildDir) {
+    throw new Error(incompatibleOptions(['--build-cache-dir', '--storybook-build-dir']));
+  }
+
+  if (options.exitOnceUploaded && options.useTunnel && (options.noStart || options.scriptName)) {
+    throw new Error(invalidExitOnceUploaded());
+  }
+
+  if (options.junitReport && options.exitOnceUploaded) {
+    throw new Error(incompatibleOptions(['--junit-report', '--exit-once-uploaded']));
+  }
+
+  if (options.reportFormats && options.exitOnceUploaded) {
+    throw new Error(incompatibleOptions(['--report-format', '--exit-once-uploaded']));
+  }
+
+  if (typeof options.junitReport === 'string' && path.extname(options.junitReport) !== '.xml') {
+    throw new Error(invalidReportPath());
+  }
+
+  if (options.reportFile && !options.reportFormats) {
+    throw new Error(dependentOption('--report-file', '--report-format'));
+  }
+
+  const invalidFormat = (options.reportFormats || []).find((format) => !reportFormats[format]);
+  if (invalidFormat) {
+    throw new Error(invalidReportFormat(invalidFormat, Object.keys(reportFormats)));
+  }
+
+  return options;
+}
+
+export default async function getOptions(ctx) {
+  const { argv, env, log, packageJson, workingDir } = ctx;
+  // When running multiple projects, the configuration is resolved once for all of them
+  const { configFile, configuration = {} } = ctx.configuration || (await getConfiguration(ctx));
+  const flags = mergeFlags(configuration, ctx.flags);
+
   const fromCI = !!flags.ci || !!process.env.CI;
   const [patchHeadRef, patchBaseRef] = (flags.patchBuild || '').split('...').filter(Boolean);
   const [branchName, ownerName] = (flags.branchName || '').split(':').reverse();
 
   const options = {
-    projectToken: takeLast(flags.projectToken || flags.appCode) || env.CHROMATIC_PROJECT_TOKEN, // backwards compatibility
+    // The environment variable takes precedence over the configuration file, but not the CLI flag
+    projectToken:
+      takeLast(ctx.flags.projectToken || ctx.flags.appCode) || // backwards compatibility
+      // A project's own token also takes precedence, as the environment is shared by all projects
+      takeLast((ctx.projectFlags || {}).projectToken) ||
+      env.CHROMATIC_PROJECT_TOKEN ||
+      takeLast(configuration.projectToken || configuration.appCode),
 
     only: flags.only,
     onlyChanged: trueIfSet(flags.onlyChanged),
@@ -45,21 +155,39 @@ export default async function getOptions({ argv, env, flags, log, packageJson })
     list: flags.list,
     fromCI,
     skip: trueIfSet(flags.skip),
+    skipUnchanged: undefinedIfEmpty(ensureArray(flags.skipUnchanged)),
     dryRun: !!flags.dryRun,
     verbose: !!flags.debug,
-    interactive: !flags.debug && !fromCI && !!flags.interactive && !!process.stdout.isTTY,
+    interactive:
+      !flags.debug &&
+      !flags.json &&
+      !fromCI &&
+      flags.interactive !== false &&
+      !!process.stdout.isTTY,
+    json: !!flags.json,
     junitReport: trueIfSet(flags.junitReport),
+    reportFormats: undefinedIfEmpty(ensureArray(flags.reportFormat)),
+    reportFile: takeLast(flags.reportFile),
     zip: trueIfSet(flags.zip),
+    uploadExclude: undefinedIfEmpty(ensureArray(flags.uploadExclude)),
 
     autoAcceptChanges: trueIfSet(flags.autoAcceptChanges),
     exitZeroOnChanges: trueIfSet(flags.exitZeroOnChanges),
     exitOnceUploaded: trueIfSet(flags.exitOnceUploaded),
     ignoreLastBuildOnBranch: flags.ignoreLastBuildOnBranch,
     preserveMissingSpecs: flags.preserveMissing || !!flags.only,
+    storiesManifest: trueIfSet(flags.storiesManifest),
+    traceChanged: trueIfSet(flags.traceChanged),
     originalArgv: argv,
+    configFile,
+    profiles: configuration.profiles,
+    diagnostics: !!flags.diagnostics,
+    summaryFile: flags.summaryFile,
+    workingDir,
 
     buildScriptName: flags.buildScriptName,
-    outputDir: takeLast(flags.outputDir),
+    buildCacheDir: flags.buildCacheDir,
+    outputDir: resolveIn(workingDir, takeLast(flags.outputDir)),
     allowConsoleErrors: flags.allowConsoleErrors,
     scriptName: trueIfSet(flags.scriptName),
     exec: flags.exec,
@@ -69,7 +197,7 @@ export default async function getOptions({ argv, env, flags, log, packageJson })
     key: flags.storybookKey,
     ca: flags.storybookCa,
     port: flags.storybookPort,
-    storybookBuildDir: takeLast(flags.storybookBuildDir),
+    storybookBuildDir: resolveIn(workingDir, takeLast(flags.storybookBuildDir)),
     storybookBaseDir: flags.storybookBaseDir,
     storybookUrl: flags.storybookUrl,
     createTunnel: !flags.storybookUrl && env.CHROMATIC_CREATE_TUNNEL !== 'false',
@@ -85,6 +213,10 @@ export default async function getOptions({ argv, env, flags, log, packageJson })
     log.setInteractive(false);
   }
 
+  if (flags.json) {
+    log.setJson(true);
+  }
+
   if (!options.projectToken) {
     throw new Error(missingProjectToken());
   }
@@ -124,61 +256,26 @@ export default async function getOptions({ argv, env, flags, log, packageJson })
     throw new Error(invalidSingularOptions(foundSingularOpts.map((key) => singularOpts[key])));
   }
 
-  if (options.only && options.onlyChanged) {
-    throw new Error(invalidSingularOptions(['--only', '--only-changed']));
-  }
-
-  if (options.untraced && !options.onlyChanged) {
-    throw new Error(dependentOption('--untraced', '--only-changed'));
-  }
-
-  if (options.externals && !options.onlyChanged) {
-    throw new Error(dependentOption('--externals', '--only-changed'));
-  }
-
   // No need to start or build Storybook if we're going to fetch from a URL
   if (storybookUrl) {
     noStart = true;
   }
 
-  if (noStart && options.exitOnceUploaded) {
-    throw new Error(invalidExitOnceUploaded());
-  }
-
-  if (scriptName && options.exitOnceUploaded) {
-    throw new Error(invalidExitOnceUploaded());
-  }
-
-  if (options.junitReport && options.exitOnceUploaded) {
-    throw new Error(incompatibleOptions(['--junit-report', '--exit-once-uploaded']));
-  }
-
-  if (typeof options.junitReport === 'string' && path.extname(options.junitReport) !== '.xml') {
-    throw new Error(invalidReportPath());
-  }
-
   // Build Storybook instead of starting it
   if (!scriptName && !exec && !noStart && !storybookUrl && !port) {
     if (storybookBuildDir) {
-      return { ...options, noStart: true, useTunnel: false };
+      return validateOptions({ ...options, noStart: true, useTunnel: false });
     }
     const { scripts } = packageJson;
     if (typeof buildScriptName !== 'string') {
-      buildScriptName = 'build-storybook';
-      if (!scripts[buildScriptName]) {
-        const [k] = Object.entries(scripts).find(([, v]) => v.startsWith('build-storybook')) || [];
-        if (k) buildScriptName = k;
-      }
+      buildScriptName = findBuildScriptName(scripts) || 'build-storybook';
     }
     if (scripts && buildScriptName && scripts[buildScriptName]) {
-      return { ...options, noStart: true, useTunnel: false, buildScriptName };
+      return validateOptions({ ...options, noStart: true, useTunnel: false, buildScriptName });
     }
     throw new Error(missingBuildScriptName(buildScriptName));
   }
 
-  // TurboSnap requires a static build with a webpack stats file.
-  if (options.onlyChanged) throw new Error(invalidOnlyChanged());
-
   // Start Storybook on localhost and generate the URL to it
   if (!storybookUrl) {
     if (exec && !port) {
@@ -222,12 +319,50 @@ export default async function getOptions({ argv, env, flags, log, packageJson })
     parsedUrl.pathname += suffix;
   }
 
-  return {
+  return validateOptions({
     ...options,
     noStart,
     useTunnel: true,
     https,
     url: parsedUrl.format(),
     scriptName,
-  };
+  });
+}
+
+// Converts the (branch specific) flags in a configuration profile to their respective options
+const profileOptions = {
+  autoAcceptChanges: (value) => ({ autoAcceptChanges: trueIfSet(value) }),
+  exitOnceUploaded: (value) => ({ exitOnceUploaded: trueIfSet(value) }),
+  exitZeroOnChanges: (value) => ({ exitZeroOnChanges: trueIfSet(value) }),
+  externals: (value) => ({ externals: undefinedIfEmpty(ensureArray(value)) }),
+  onlyChanged: (value) => ({ onlyChanged: trueIfSet(value) }),
+  preserveMissing: (value) => ({ preserveMissingSpecs: value }),
+  skip: (value) => ({ skip: trueIfSet(value) }),
+  untraced: (value) => ({ untraced: undefinedIfEmpty(ensureArray(value)) }),
+  zip: (value) => ({ zip: value }),
+};
+
+/**
+ * Applies the first configuration profile with a branch glob matching the given branch. This
+ * happens after getOptions, because we need the git info to determine the branch. Flags passed on
+ * the command line still take precedence over the profile. Returns the updated options.
+ */
+export function applyBranchProfile({ flags, log, options }, branch) {
+  const { profiles } = options;
+  if (!profiles) return options;
+
+  const glob = Object.keys(profiles).find((g) => picomatch(g)(branch));
+  if (!glob) {
+    log.debug(`No configuration profile matches branch '${branch}'`);
+    return options;
+  }
+
+  const overrides = Object.entries(profiles[glob])
+    .filter(([key]) => !isSet(flags[key]))
+    .reduce((acc, [key, value]) => ({ ...acc, ...profileOptions[key](value) }), {});
+  log.debug(
+    `Applying configuration profile '${glob}' for branch '${branch}': ${JSON.stringify(overrides)}`
+  );
+
+  return validateOptions({ ...options, ...overrides });
 }
@@ -1,7 +1,8 @@
 import chalk from 'chalk';
 
+import getConfiguration from './getConfiguration';
 import getEnv from './getEnv';
-import getOptions from './getOptions';
+import getOptions, { applyBranchProfile, validateOptions } from './getOptions';
 import getStorybookConfiguration from './getStorybookConfiguration';
 import parseArgs from './parseArgs';
 import TestLogger from './testLogger';
@@ -15,6 +16,11 @@ jest.mock('./getEnv', () => () => ({
   CHROMATIC_PROJECT_TOKEN: 'env-code',
 }));
 
+jest.mock('./getConfiguration', () => ({
+  __esModule: true,
+  default: jest.fn(async () => ({})),
+}));
+
 const getContext = (argv) => {
   const env = getEnv();
   const log = new TestLogger();
@@ -206,6 +212,187 @@ describe('await getOptions', () => {
     const flags = ['--only-changed', '--externals', 'foo', '--externals', '', '--externals', 'bar'];
     expect(await getOptions(getContext(flags))).toMatchObject({ externals: ['foo', 'bar'] });
   });
+
+  it('requires --only-changed for --skip-unchanged', async () => {
+    await expect(getOptions(getContext(['--skip-unchanged', 'packages/ui/**']))).rejects.toThrow(
+      '--skip-unchanged'
+    );
+    const flags = ['--only-changed', '--skip-unchanged', 'packages/ui/**'];
+    expect(await getOptions(getContext(flags))).toMatchObject({
+      skipUnchanged: ['packages/ui/**'],
+    });
+  });
+
+  it('does not allow --build-cache-dir with a prebuilt Storybook', async () => {
+    await expect(
+      getOptions(getContext(['--build-cache-dir', '.cache', '--storybook-build-dir', '/tmp/dir']))
+    ).rejects.toThrow('--build-cache-dir');
+    expect(await getOptions(getContext(['--build-cache-dir', '.cache']))).toMatchObject({
+      buildCacheDir: '.cache',
+    });
+  });
+
+  it('does not allow --upload-exclude to exclude iframe.html or index.html', async () => {
+    await expect(
+      getOptions(getContext(['--upload-exclude', '*.map', '--upload-exclude', '*.html']))
+    ).rejects.toThrow('--upload-exclude');
+    const flags = ['--upload-exclude', '*.map', '--upload-exclude', '**/.DS_Store'];
+    expect(await getOptions(getContext(flags))).toMatchObject({
+      uploadExclude: ['*.map', '**/.DS_Store'],
+    });
+  });
+
+  it('allows you to specify multiple report formats', async () => {
+    const flags = ['--report-format', 'markdown', '--report-format', 'json'];
+    expect(await getOptions(getContext(flags))).toMatchObject({
+      reportFormats: ['markdown', 'json'],
+    });
+  });
+
+  it('requires --report-format with --report-file', async () => {
+    await expect(getOptions(getContext(['--report-file', 'report.{extension}']))).rejects.toThrow(
+      '--report-file'
+    );
+    const flags = ['--report-format', 'json', '--report-file', 'report.{extension}'];
+    expect(await getOptions(getContext(flags))).toMatchObject({
+      reportFile: 'report.{extension}',
+    });
+  });
+
+  it('throws on an unsupported report format', async () => {
+    await expect(getOptions(getContext(['--report-format', 'pdf']))).rejects.toThrow(
+      'Invalid value for --report-format: pdf'
+    );
+  });
+
+  it('throws if you try to generate a report with --exit-once-uploaded', async () => {
+    const flags = ['--report-format', 'html', '--exit-once-uploaded'];
+    await expect(getOptions(getContext(flags))).rejects.toThrow('Incompatible options');
+  });
+});
+
+describe('with a configuration file', () => {
+  const configFile = '/path/to/chromatic.config.json';
+
+  it('uses options from the configuration file', async () => {
+    getConfiguration.mockResolvedValueOnce({
+      configFile,
+      configuration: { buildScriptName: 'otherBuildStorybook', onlyChanged: true, zip: true },
+    });
+    expect(await getOptions(getContext([]))).toMatchObject({
+      configFile,
+      buildScriptName: 'otherBuildStorybook',
+      onlyChanged: true,
+      zip: true,
+    });
+  });
+
+  it('gives precedence to flags passed on the command line', async () => {
+    getConfiguration.mockResolvedValueOnce({
+      configFile,
+      configuration: { onlyChanged: true, externals: ['*.scss'], interactive: false },
+    });
+    const flags = ['--only-changed=main', '--externals', '*.css'];
+    expect(await getOptions(getContext(flags))).toMatchObject({
+      onlyChanged: 'main',
+      externals: ['*.css'],
+      interactive: false,
+    });
+  });
+
+  it('gives precedence to the project token from the environment', async () => {
+    getConfiguration.mockResolvedValueOnce({
+      configFile,
+      configuration: { projectToken: 'config-code' },
+    });
+    expect(await getOptions(getContext([]))).toMatchObject({ projectToken: 'env-code' });
+
+    getConfiguration.mockResolvedValueOnce({
+      configFile,
+      configuration: { projectToken: 'config-code' },
+    });
+    const options = await getOptions(getContext(['--project-token', 'cli-code']));
+    expect(options).toMatchObject({ projectToken: 'cli-code' });
+  });
+
+  it('validates the merged options', async () => {
+    getConfiguration.mockResolvedValueOnce({
+      configFile,
+      configuration: { untraced: ['package.json'] },
+    });
+    await expect(getOptions(getContext([]))).rejects.toThrow('Invalid --untraced');
+  });
+});
+
+describe('validateOptions', () => {
+  it('returns valid options as is', () => {
+    const options = { onlyChanged: true, untraced: ['*.md'], noStart: true, useTunnel: false };
+    expect(validateOptions(options)).toBe(options);
+  });
+
+  it('requires --only-changed for TurboSnap options', () => {
+    expect(() => validateOptions({ traceChanged: true })).toThrow('Invalid --trace-changed');
+  });
+
+  it('does not allow --only-changed or --exit-once-uploaded without an uploaded build', () => {
+    expect(() => validateOptions({ onlyChanged: true, useTunnel: true })).toThrow(
+      'Invalid --only-changed'
+    );
+    const options = { exitOnceUploaded: true, useTunnel: true, scriptName: 'storybook' };
+    expect(() => validateOptions(options)).toThrow('Invalid --exit-once-uploaded');
+  });
+});
+
+describe('applyBranchProfile', () => {
+  const profiles = {
+    main: { autoAcceptChanges: true, onlyChanged: false },
+    'release/*': { exitOnceUploaded: true },
+    '**': { onlyChanged: true, externals: 'public/**' },
+  };
+
+  const getProfileContext = async (argv) => {
+    getConfiguration.mockResolvedValueOnce({ configuration: { profiles } });
+    const ctx = getContext(argv);
+    ctx.options = await getOptions(ctx);
+    return ctx;
+  };
+
+  it('applies the first profile matching the branch', async () => {
+    const ctx = await getProfileContext([]);
+    expect(applyBranchProfile(ctx, 'main')).toMatchObject({
+      autoAcceptChanges: true,
+      onlyChanged: false,
+    });
+    expect(applyBranchProfile(ctx, 'release/1.0')).toMatchObject({
+      exitOnceUploaded: true,
+      onlyChanged: undefined,
+    });
+    expect(applyBranchProfile(ctx, 'feature/x')).toMatchObject({
+      onlyChanged: true,
+      externals: ['public/**'],
+    });
+  });
+
+  it('returns the options as is if no profile matches', async () => {
+    getConfiguration.mockResolvedValueOnce({
+      configuration: { profiles: { main: { zip: true } } },
+    });
+    const ctx = getContext([]);
+    ctx.options = await getOptions(ctx);
+    expect(applyBranchProfile(ctx, 'develop')).toBe(ctx.options);
+  });
+
+  it('gives precedence to flags passed on the command line', async () => {
+    const ctx = await getProfileContext(['--auto-accept-changes=other']);
+    expect(applyBranchProfile(ctx, 'main')).toMatchObject({ autoAcceptChanges: 'other' });
+  });
+
+  it('validates the resulting options', async () => {
+    const ctx = await getProfileContext(['--only', 'Path/To/Story']);
+    expect(() => applyBranchProfile(ctx, 'feature/x')).toThrow(
+      'You can only use one of --only, --only-changed'
+    );
+  });
 });
 
 describe('getStorybookConfiguration', () => {
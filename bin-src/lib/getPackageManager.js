@@ -0,0 +1,107 @@
+import execa from 'execa';
+import fs from 'fs-extra';
+import jsonfile from 'jsonfile';
+import path from 'path';
+import semver from 'semver';
+
+const { readFile } = jsonfile;
+
+// Lockfiles by which we recognize the package manager, in order of precedence
+export const LOCKFILES = {
+  'pnpm-lock.yaml': 'pnpm',
+  'yarn.lock': 'yarn',
+  'package-lock.json': 'npm',
+  'npm-shrinkwrap.json': 'npm',
+};
+
+// Note 'pnpm' must be matched before 'npm'
+const PACKAGE_MANAGERS = ['pnpm', 'yarn', 'npm'];
+
+const isJsFile = (filepath) => /\.[cm]?js$/.test(filepath);
+
+// Parses the `packageManager` field of package.json (used by Corepack), e.g. `pnpm@8.6.0+sha.abc`
+const parsePackageManagerField = (field) => {
+  const [name, version] = typeof field === 'string' ? field.split('+')[0].split('@') : [];
+  return PACKAGE_MANAGERS.includes(name) ? { name, version } : undefined;
+};
+
+// Returns the path of the lockfile in `dir`, if any
+const getLockfile = async (dir) => {
+  const lockfiles = Object.keys(LOCKFILES);
+  const found = await Promise.all(lockfiles.map((file) => fs.pathExists(path.join(dir, file))));
+  const lockfile = lockfiles.find((_, index) => found[index]);
+  return lockfile && path.join(dir, lockfile);
+};
+
+// Finds the nearest directory (starting at `dir`) which declares the package manager, either through
+// the `packageManager` field of its package.json or through its lockfile.
+const findUp = async (dir) => {
+  const packageJson = await readFile(path.join(dir, 'package.json')).catch(() => ({}));
+  const declared = parsePackageManagerField(packageJson.packageManager);
+  if (declared) return { ...declared, root: dir };
+
+  const lockfile = await getLockfile(dir);
+  if (lockfile) return { name: LOCKFILES[path.basename(lockfile)], root: dir };
+
+  const parent = path.dirname(dir);
+  return parent === dir ? undefined : findUp(parent);
+};
+
+/**
+ * Returns the path of the nearest lockfile, starting at `dir` and moving up to the workspace root.
+ */
+export const findLockfile = async (dir) => {
+  const lockfile = await getLockfile(dir);
+  const parent = path.dirname(dir);
+  return lockfile || parent === dir ? lockfile : findLockfile(parent);
+};
+
+// The package manager which is running us (if any), e.g. through `yarn chromatic`
+const getRunningClient = (execPath) => {
+  const execFile = execPath && path.basename(execPath);
+  if (!execFile || execFile.includes('npx')) return undefined;
+  return PACKAGE_MANAGERS.find((name) => execFile.includes(name));
+};
+
+/**
+ * Determines the package manager of the project in `cwd`, based on the nearest `packageManager`
+ * field or lockfile, or otherwise the package manager which is running us (or npm as a last
+ * resort). The `root` is the directory in which the package manager was declared, which for a
+ * workspace package is the workspace root. The `command` and `args` are used to invoke it, reusing
+ * the running package manager's executable (`npm_execpath`) where possible.
+ */
+export async function getPackageManager({ cwd = process.cwd(), env = process.env } = {}) {
+  const execPath = env.npm_execpath;
+  const runningClient = getRunningClient(execPath);
+  const { name = runningClient || 'npm', version, root = cwd } = (await findUp(cwd)) || {};
+
+  let command = name;
+  let args = [];
+  if (name === runningClient) {
+    command = isJsFile(execPath) ? process.execPath : execPath;
+    args = isJsFile(execPath) ? [execPath] : [];
+  }
+
+  const clientVersion =
+    version ||
+    (await execa(command, [...args, '--version'], { cwd })
+      .then(({ stdout }) => stdout && stdout.toString().trim())
+      .catch(() => undefined));
+
+  // Yarn 2+ (Berry) behaves differently from Yarn 1 (Classic)
+  const coercedVersion = semver.coerce(clientVersion);
+  const isBerry = name === 'yarn' && !!coercedVersion && semver.major(coercedVersion) >= 2;
+  return { name, version: clientVersion, root, command, args, isBerry };
+}
+
+/**
+ * Returns the arguments to run a package script, to be followed by the script name and its
+ * arguments. When running from the workspace root, the `workspace` package is selected by name.
+ */
+export const getRunArgs = ({ name, args, isBerry }, { workspace } = {}) => {
+  if (name === 'pnpm') return [...args, ...(workspace ? ['--filter', workspace] : []), 'run'];
+  if (name === 'yarn' && workspace) return [...args, 'workspace', workspace, 'run'];
+  if (name === 'yarn' && isBerry) return [...args, 'run'];
+  if (args.length) return [...args, 'run'];
+  return ['run', '--silent'];
+};
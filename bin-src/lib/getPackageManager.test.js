@@ -0,0 +1,94 @@
+import execa from 'execa';
+import { mkdirSync, mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { getPackageManager, getRunArgs } from './getPackageManager';
+
+jest.mock('execa');
+
+const makeProject = (files) => {
+  const rootDir = mkdtempSync(join(tmpdir(), 'chromatictest-'));
+  Object.entries(files).forEach(([file, contents]) => {
+    mkdirSync(join(rootDir, file, '..'), { recursive: true });
+    writeFileSync(join(rootDir, file), contents);
+  });
+  return rootDir;
+};
+
+beforeEach(() => {
+  execa.mockReturnValue(Promise.resolve({ stdout: '1.22.19\n' }));
+});
+
+describe('getPackageManager', () => {
+  it('detects the package manager from the nearest lockfile', async () => {
+    const rootDir = makeProject({ 'pnpm-lock.yaml': '', 'packages/app/package.json': '{}' });
+    const cwd = join(rootDir, 'packages/app');
+    expect(await getPackageManager({ cwd, env: {} })).toEqual({
+      name: 'pnpm',
+      version: '1.22.19',
+      root: rootDir,
+      command: 'pnpm',
+      args: [],
+      isBerry: false,
+    });
+    expect(execa).toHaveBeenCalledWith('pnpm', ['--version'], { cwd });
+  });
+
+  it('prefers the packageManager field over lockfiles', async () => {
+    const cwd = makeProject({
+      'package.json': JSON.stringify({ packageManager: 'yarn@3.2.0+sha256.abc' }),
+      'package-lock.json': '{}',
+    });
+    expect(await getPackageManager({ cwd, env: {} })).toMatchObject({
+      name: 'yarn',
+      version: '3.2.0',
+      command: 'yarn',
+      isBerry: true,
+    });
+  });
+
+  it('reuses the executable of the running package manager', async () => {
+    const cwd = makeProject({ 'yarn.lock': '' });
+    const env = { npm_execpath: '/path/to/yarn.js' };
+    expect(await getPackageManager({ cwd, env })).toMatchObject({
+      name: 'yarn',
+      command: process.execPath,
+      args: ['/path/to/yarn.js'],
+    });
+  });
+
+  it('falls back to the running package manager, or npm', async () => {
+    const cwd = makeProject({});
+    const env = { npm_execpath: '/path/to/pnpm' };
+    expect(await getPackageManager({ cwd, env })).toMatchObject({
+      name: 'pnpm',
+      command: '/path/to/pnpm',
+      args: [],
+    });
+    expect(await getPackageManager({ cwd, env: {} })).toMatchObject({ name: 'npm' });
+  });
+});
+
+describe('getRunArgs', () => {
+  it('returns the arguments to run a script', () => {
+    expect(getRunArgs({ name: 'npm', args: [] })).toEqual(['run', '--silent']);
+    expect(getRunArgs({ name: 'npm', args: ['npm-cli.js'] })).toEqual(['npm-cli.js', 'run']);
+    expect(getRunArgs({ name: 'yarn', args: [], isBerry: true })).toEqual(['run']);
+    expect(getRunArgs({ name: 'pnpm', args: [] })).toEqual(['run']);
+  });
+
+  it('selects the workspace package', () => {
+    const workspace = '@acme/app';
+    expect(getRunArgs({ name: 'pnpm', args: [] }, { workspace })).toEqual([
+      '--filter',
+      '@acme/app',
+      'run',
+    ]);
+    expect(getRunArgs({ name: 'yarn', args: [] }, { workspace })).toEqual([
+      'workspace',
+      '@acme/app',
+      'run',
+    ]);
+  });
+});
@@ -1,23 +1,12 @@
-import yon from 'yarn-or-npm';
+import execa from 'execa';
 
-const { spawn } = yon;
+import { getPackageManager } from './getPackageManager';
 
-const installDependencies = (options) =>
-  new Promise((resolve, reject) => {
-    let stdout = '';
-    let stderr = '';
-    const child = spawn(['install'], options);
-    child.stdout.on('data', (chunk) => {
-      stdout += chunk;
-    });
-    child.stderr.on('data', (chunk) => {
-      stderr += chunk;
-    });
-    child.on('error', reject);
-    child.on('close', (code) => {
-      if (code === 0) resolve(stdout);
-      else reject(stderr);
-    });
-  });
+// Installs dependencies with the project's own package manager, from the workspace root (if any)
+const installDependencies = async ({ cwd } = {}) => {
+  const { command, args, root } = await getPackageManager({ cwd });
+  const { stdout } = await execa(command, [...args, 'install'], { cwd: root });
+  return stdout;
+};
 
 export default installDependencies;
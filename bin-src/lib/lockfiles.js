@@ -0,0 +1,229 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+import { getFileAtRevision, getRepositoryRoot } from '../git/git';
+
+// The package name is the last part of a path after `node_modules/`, e.g. `lodash` or `@babel/core`
+const PACKAGE_PATH = /(?:^|\/)node_modules\/((?:@[^/]+\/)?[^/]+)/g;
+
+/**
+ * Returns the name of the (innermost) package a file path belongs to, or undefined if the file is
+ * not part of an installed package. Webpack module names may include loaders (`loader!./file.js`).
+ */
+export const getPackageName = (filepath) => {
+  const matches = [...(filepath || '').split('!').pop().matchAll(PACKAGE_PATH)];
+  return matches.length ? matches[matches.length - 1][1] : undefined;
+};
+
+/**
+ * Returns the names of all packages a module depends on for its output, i.e. those of its loaders
+ * (e.g. `css-loader` in `./node_modules/css-loader/dist/cjs.js!./src/styles.css`) as well as that
+ * of the file itself.
+ */
+export const getPackageNames = (name) =>
+  [...new Set((name || '').split('!').map(getPackageName))].filter(Boolean);
+
+// Packages which make up the build toolchain: Storybook itself, builders, compilers, loaders and
+// their plugins. These affect the bundle output without necessarily showing up in the stats file.
+const TOOLCHAIN_PACKAGES = [
+  /^storybook$/,
+  /^@storybook\//,
+  /^webpack(-.+)?$/,
+  /^vite(-.+)?$/,
+  /^@vitejs\//,
+  /^esbuild(-.+)?$/,
+  /^@swc\//,
+  /^typescript$/,
+  /^@babel\//,
+  /^babel-/,
+  /(^|[/-])loader$/,
+  /^postcss(-.+)?$/,
+  /^(node-)?sass(-.+)?$/,
+  /^less$/,
+  /^tailwindcss$/,
+];
+
+export const isToolchainPackage = (name) => TOOLCHAIN_PACKAGES.some((re) => re.test(name));
+
+// Splits a package specifier (e.g. `@babel/core@^7.0.0`) into name and version (range)
+const splitSpecifier = (specifier) => {
+  const index = specifier.indexOf('@', 1);
+  return index === -1 ? [specifier] : [specifier.slice(0, index), specifier.slice(index + 1)];
+};
+
+const addVersion = (versions, name, version) => {
+  if (!name || !version) return;
+  if (!versions[name]) versions[name] = new Set(); // eslint-disable-line no-param-reassign
+  versions[name].add(version);
+};
+
+// npm's package-lock.json (or npm-shrinkwrap.json), either v1 (nested `dependencies`) or v2+ (flat
+// `packages`, keyed by install path)
+export const parsePackageLock = (contents) => {
+  const lockfile = JSON.parse(contents);
+  const versions = {};
+  if (lockfile.packages) {
+    Object.entries(lockfile.packages).forEach(([installPath, { version }]) =>
+      addVersion(versions, getPackageName(installPath), version)
+    );
+    return versions;
+  }
+  const addDependencies = (dependencies = {}) =>
+    Object.entries(dependencies).forEach(([name, dependency]) => {
+      addVersion(versions, name, dependency.version);
+      addDependencies(dependency.dependencies);
+    });
+  addDependencies(lockfile.dependencies);
+  return versions;
+};
+
+// yarn.lock, either v1 or Berry (v2+). Each entry starts with an unindented list of specifiers,
+// e.g. `"@babel/core@^7.0.0", "@babel/core@^7.1.0":`, followed by an indented `version` field.
+export const parseYarnLock = (contents) => {
+  const versions = {};
+  let names = [];
+  contents.split(/\r?\n/).forEach((line) => {
+    if (!line.trim() || line.startsWith('#')) return;
+    if (!/^\s/.test(line)) {
+      names = line
+        .replace(/:$/, '')
+        .split(/,\s*/)
+        .map((specifier) => splitSpecifier(specifier.replace(/^"|"$/g, ''))[0])
+        .filter((name) => name !== '__metadata');
+      return;
+    }
+    const [, version] = line.match(/^ {2}version:? "?([^"]+)"?$/) || [];
+    if (version) names.forEach((name) => addVersion(versions, name, version));
+  });
+  return versions;
+};
+
+// pnpm-lock.yaml, of which we only look at the keys of the `packages` section. These are formatted
+// as `/name/version` (v5), `/name@version` (v6) or `name@version` (v9), and may be quoted and
+// followed by peer dependencies, which we consider part of the version.
+export const parsePnpmLock = (contents) => {
+  const versions = {};
+  let inPackages = false;
+  contents.split(/\r?\n/).forEach((line) => {
+    if (!/^\s/.test(line) && line.trim()) {
+      inPackages = line.startsWith('packages:');
+      return;
+    }
+    const [, key] = (inPackages && line.match(/^ {2}['"]?([^\s'"]+?)['"]?:\s*$/)) || [];
+    if (!key) return;
+    const id = key.replace(/^\//, '');
+    const [name, version] = /^(@[^/]+\/)?[^/@]+@/.test(id)
+      ? splitSpecifier(id)
+      : [id.slice(0, id.lastIndexOf('/')), id.slice(id.lastIndexOf('/') + 1)];
+    addVersion(versions, name, version);
+  });
+  return versions;
+};
+
+// Supported lockfiles, by file name
+export const lockfileParsers = {
+  'package-lock.json': parsePackageLock,
+  'npm-shrinkwrap.json': parsePackageLock,
+  'yarn.lock': parseYarnLock,
+  'pnpm-lock.yaml': parsePnpmLock,
+};
+
+const DEPENDENCY_FIELDS = [
+  'dependencies',
+  'devDependencies',
+  'optionalDependencies',
+  'peerDependencies',
+  'resolutions',
+  'overrides',
+];
+
+// Fields of package.json which don't affect the Storybook build
+const METADATA_FIELDS = [
+  'version',
+  'description',
+  'keywords',
+  'author',
+  'contributors',
+  'license',
+  'homepage',
+  'bugs',
+  'repository',
+  'funding',
+  'publishConfig',
+];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Returns the names of the packages whose version (range) differs between two versions of a
+ * package.json, or null if anything else changed which may affect the build (e.g. `scripts`).
+ */
+export const diffPackageJson = (oldContents, newContents) => {
+  const oldJson = JSON.parse(oldContents);
+  const newJson = JSON.parse(newContents);
+  const fields = new Set([...Object.keys(oldJson), ...Object.keys(newJson)]);
+  const otherFields = [...fields].filter(
+    (field) => !DEPENDENCY_FIELDS.includes(field) && !METADATA_FIELDS.includes(field)
+  );
+  if (otherFields.some((field) => !isEqual(oldJson[field], newJson[field]))) return null;
+
+  const changed = DEPENDENCY_FIELDS.flatMap((field) => {
+    const oldDeps = oldJson[field] || {};
+    const newDeps = newJson[field] || {};
+    const names = new Set([...Object.keys(oldDeps), ...Object.keys(newDeps)]);
+    return [...names].filter((name) => !isEqual(oldDeps[name], newDeps[name]));
+  });
+  return [...new Set(changed)];
+};
+
+/**
+ * Returns the names of the packages which were added, removed or changed version between two
+ * versions of a lockfile or package.json, or null if we can't tell.
+ */
+export const diffPackageFile = (filepath, oldContents, newContents) => {
+  const filename = path.posix.basename(filepath);
+  if (filename === 'package.json') return diffPackageJson(oldContents, newContents);
+
+  const parse = lockfileParsers[filename];
+  if (!parse) return null;
+  const oldVersions = parse(oldContents);
+  const newVersions = parse(newContents);
+  const names = new Set([...Object.keys(oldVersions), ...Object.keys(newVersions)]);
+  return [...names].filter((name) => {
+    const oldVersion = [...(oldVersions[name] || [])].sort();
+    const newVersion = [...(newVersions[name] || [])].sort();
+    return !isEqual(oldVersion, newVersion);
+  });
+};
+
+/**
+ * Determines which packages changed in the given package files (package.json and lockfiles, with
+ * paths relative to the repository root), compared to each of the baseline commits. Returns the
+ * package names, or null along with the offending file if any of the files could not be compared
+ * (e.g. because it was added or removed, or has an unsupported format).
+ */
+export async function getChangedPackages(ctx, packageFiles) {
+  const { baselineCommits = [] } = ctx.turboSnap || {};
+  if (!baselineCommits.length) return { changedPackages: null, unknownFile: packageFiles[0] };
+
+  const rootPath = await getRepositoryRoot();
+  const diffFile = async (filepath) => {
+    try {
+      const newContents = await fs.readFile(path.join(rootPath, filepath), 'utf8');
+      const results = await Promise.all(
+        baselineCommits.map(async (commit) =>
+          diffPackageFile(filepath, await getFileAtRevision(commit, filepath), newContents)
+        )
+      );
+      return results.some((result) => !result) ? null : results.flat();
+    } catch (err) {
+      ctx.log.debug(`Failed to compare ${filepath} to baseline: ${err.message}`);
+      return null;
+    }
+  };
+
+  const results = await Promise.all(packageFiles.map(diffFile));
+  const unknownFile = packageFiles.find((_, index) => !results[index]);
+  if (unknownFile) return { changedPackages: null, unknownFile };
+  return { changedPackages: [...new Set(results.flat())].sort() };
+}
@@ -0,0 +1,244 @@
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import {
+  diffPackageFile,
+  diffPackageJson,
+  getChangedPackages,
+  getPackageName,
+  getPackageNames,
+  isToolchainPackage,
+  parsePackageLock,
+  parsePnpmLock,
+  parseYarnLock,
+} from './lockfiles';
+import { getFileAtRevision, getRepositoryRoot } from '../git/git';
+
+jest.mock('../git/git');
+
+const log = { debug: jest.fn() };
+
+const toObject = (versions) =>
+  Object.fromEntries(Object.entries(versions).map(([name, set]) => [name, [...set]]));
+
+describe('getPackageName', () => {
+  it('returns the innermost package name', () => {
+    expect(getPackageName('./node_modules/lodash/lodash.js')).toBe('lodash');
+    expect(getPackageName('node_modules/@babel/core/lib/index.js')).toBe('@babel/core');
+    expect(getPackageName('/project/node_modules/a/node_modules/b/index.js')).toBe('b');
+    expect(getPackageName('./node_modules/.pnpm/a@1.0.0/node_modules/a/index.js')).toBe('a');
+    expect(getPackageName('./node_modules/css-loader/index.js!./node_modules/x/a.css')).toBe('x');
+    expect(getPackageName('./src/foo.js')).toBeUndefined();
+  });
+});
+
+describe('getPackageNames', () => {
+  it('returns the packages of any loaders as well as that of the file', () => {
+    const name =
+      './node_modules/style-loader/index.js!./node_modules/css-loader/index.js!./src/a.css';
+    expect(getPackageNames(name)).toEqual(['style-loader', 'css-loader']);
+    expect(getPackageNames('./node_modules/css-loader/index.js!./node_modules/x/a.css')).toEqual([
+      'css-loader',
+      'x',
+    ]);
+    expect(getPackageNames('./src/foo.js')).toEqual([]);
+  });
+});
+
+describe('isToolchainPackage', () => {
+  it('recognizes Storybook, builders, compilers and loaders', () => {
+    ['@storybook/react', 'webpack', 'vite', '@babel/preset-env', 'babel-plugin-macros'].forEach(
+      (name) => expect(isToolchainPackage(name)).toBe(true)
+    );
+    ['sass-loader', 'postcss', 'typescript'].forEach((name) =>
+      expect(isToolchainPackage(name)).toBe(true)
+    );
+    ['react', 'lodash', 'jest', 'storybook-addon-foo'].forEach((name) =>
+      expect(isToolchainPackage(name)).toBe(false)
+    );
+  });
+});
+
+describe('parsePackageLock', () => {
+  it('parses lockfile v2+', () => {
+    const lockfile = {
+      lockfileVersion: 2,
+      packages: {
+        '': { name: 'app', version: '1.0.0' },
+        'node_modules/lodash': { version: '4.17.21' },
+        'node_modules/@babel/core': { version: '7.20.0' },
+        'node_modules/a/node_modules/lodash': { version: '3.10.1' },
+      },
+    };
+    expect(toObject(parsePackageLock(JSON.stringify(lockfile)))).toEqual({
+      lodash: ['4.17.21', '3.10.1'],
+      '@babel/core': ['7.20.0'],
+    });
+  });
+
+  it('parses lockfile v1', () => {
+    const lockfile = {
+      lockfileVersion: 1,
+      dependencies: {
+        a: { version: '1.0.0', dependencies: { lodash: { version: '3.10.1' } } },
+        lodash: { version: '4.17.21' },
+      },
+    };
+    expect(toObject(parsePackageLock(JSON.stringify(lockfile)))).toEqual({
+      a: ['1.0.0'],
+      lodash: ['3.10.1', '4.17.21'],
+    });
+  });
+});
+
+describe('parseYarnLock', () => {
+  it('parses yarn v1 lockfiles', () => {
+    const lockfile = [
+      '# yarn lockfile v1',
+      '',
+      '"@babel/core@^7.0.0", "@babel/core@^7.1.0":',
+      '  version "7.20.0"',
+      '  dependencies:',
+      '    lodash "^4.17.21"',
+      '',
+      'lodash@^4.17.21:',
+      '  version "4.17.21"',
+    ].join('\n');
+    expect(toObject(parseYarnLock(lockfile))).toEqual({
+      '@babel/core': ['7.20.0'],
+      lodash: ['4.17.21'],
+    });
+  });
+
+  it('parses yarn berry lockfiles', () => {
+    const lockfile = [
+      '__metadata:',
+      '  version: 6',
+      '',
+      '"lodash@npm:^4.17.21":',
+      '  version: 4.17.21',
+      '  resolution: "lodash@npm:4.17.21"',
+    ].join('\n');
+    expect(toObject(parseYarnLock(lockfile))).toEqual({ lodash: ['4.17.21'] });
+  });
+});
+
+describe('parsePnpmLock', () => {
+  it('parses pnpm v5 lockfiles', () => {
+    const lockfile = [
+      'lockfileVersion: 5.4',
+      'packages:',
+      '  /@babel/core/7.20.0:',
+      '    resolution: {integrity: sha512-abc}',
+      '  /react-dom/18.2.0_react@18.2.0:',
+      '    dependencies:',
+      '      react: 18.2.0',
+    ].join('\n');
+    expect(toObject(parsePnpmLock(lockfile))).toEqual({
+      '@babel/core': ['7.20.0'],
+      'react-dom': ['18.2.0_react@18.2.0'],
+    });
+  });
+
+  it('parses pnpm v6 and v9 lockfiles', () => {
+    const lockfile = [
+      "lockfileVersion: '6.0'",
+      'importers:',
+      '  .:',
+      '    dependencies:',
+      'packages:',
+      '  /@babel/core@7.20.0:',
+      '    resolution: {integrity: sha512-abc}',
+      "  '/react-dom@18.2.0(react@18.2.0)':",
+      '    dev: false',
+      '  lodash@4.17.21:',
+      '    resolution: {integrity: sha512-def}',
+      'snapshots:',
+      '  lodash@4.17.20: {}',
+    ].join('\n');
+    expect(toObject(parsePnpmLock(lockfile))).toEqual({
+      '@babel/core': ['7.20.0'],
+      'react-dom': ['18.2.0(react@18.2.0)'],
+      lodash: ['4.17.21'],
+    });
+  });
+});
+
+describe('diffPackageJson', () => {
+  const packageJson = {
+    name: 'app',
+    version: '1.0.0',
+    scripts: { 'build-storybook': 'build-storybook' },
+    dependencies: { react: '^17.0.0' },
+    devDependencies: { jest: '^27.0.0' },
+  };
+
+  it('returns the packages with a changed version range', () => {
+    const changed = {
+      ...packageJson,
+      version: '1.1.0',
+      dependencies: { react: '^18.0.0', lodash: '^4.17.21' },
+      devDependencies: {},
+    };
+    expect(diffPackageJson(JSON.stringify(packageJson), JSON.stringify(changed))).toEqual([
+      'react',
+      'lodash',
+      'jest',
+    ]);
+  });
+
+  it('returns null when any other field changed', () => {
+    const changed = { ...packageJson, scripts: { 'build-storybook': 'build-storybook -s ./' } };
+    expect(diffPackageJson(JSON.stringify(packageJson), JSON.stringify(changed))).toBeNull();
+  });
+});
+
+describe('diffPackageFile', () => {
+  it('returns the packages which changed version', () => {
+    const oldLockfile = 'a@^1.0.0:\n  version "1.0.0"\nb@^1.0.0:\n  version "1.0.0"\n';
+    const newLockfile = 'a@^1.0.0:\n  version "1.0.1"\nc@^1.0.0:\n  version "1.0.0"\n';
+    expect(diffPackageFile('packages/app/yarn.lock', oldLockfile, newLockfile)).toEqual([
+      'a',
+      'b',
+      'c',
+    ]);
+  });
+
+  it('returns null for unsupported files', () => {
+    expect(diffPackageFile('bun.lockb', '', '')).toBeNull();
+  });
+});
+
+describe('getChangedPackages', () => {
+  const rootPath = mkdtempSync(join(tmpdir(), 'chromatic-lockfiles-'));
+  writeFileSync(join(rootPath, 'yarn.lock'), 'a@^1.0.0:\n  version "1.0.1"\n');
+  getRepositoryRoot.mockResolvedValue(rootPath);
+
+  it('compares package files to each of the baseline commits', async () => {
+    getFileAtRevision.mockImplementation(async (commit) =>
+      commit === 'abc' ? 'a@^1.0.0:\n  version "1.0.1"\nb@^1.0.0:\n  version "1.0.0"\n' : ''
+    );
+    const ctx = { log, turboSnap: { baselineCommits: ['abc', 'def'] } };
+    expect(await getChangedPackages(ctx, ['yarn.lock'])).toEqual({ changedPackages: ['a', 'b'] });
+    expect(getFileAtRevision).toHaveBeenCalledWith('abc', 'yarn.lock');
+    expect(getFileAtRevision).toHaveBeenCalledWith('def', 'yarn.lock');
+  });
+
+  it('returns the file which could not be compared', async () => {
+    getFileAtRevision.mockRejectedValue(new Error('does not exist in abc'));
+    const ctx = { log, turboSnap: { baselineCommits: ['abc'] } };
+    expect(await getChangedPackages(ctx, ['yarn.lock'])).toEqual({
+      changedPackages: null,
+      unknownFile: 'yarn.lock',
+    });
+  });
+
+  it('returns the first file without baseline commits', async () => {
+    const ctx = { log, turboSnap: {} };
+    expect(await getChangedPackages(ctx, ['package.json', 'yarn.lock'])).toEqual({
+      changedPackages: null,
+      unknownFile: 'package.json',
+    });
+  });
+});
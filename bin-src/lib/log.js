@@ -27,6 +27,7 @@ const logVerbose = (type, args) => {
 export const createLogger = (sessionId, env) => {
   let level = DISABLE_LOGGING === 'true' ? 'silent' : LOG_LEVEL.toLowerCase() || DEFAULT_LEVEL;
   let interactive = !process.argv.slice(2).includes('--no-interactive');
+  let json = false;
   let enqueue = false;
   const queue = [];
 
@@ -46,9 +47,21 @@ export const createLogger = (sessionId, env) => {
       const messages = interactive ? logInteractive(args) : logVerbose(type, args);
       if (!messages.length) return;
 
-      // Queue up the logs or print them right away
-      if (enqueue) queue.push({ type, messages });
-      else console[type](...messages);
+      // In JSON mode, stdout is reserved for JSON events. Warnings and errors are emitted as events,
+      // debug logs go to stderr and everything else is dropped.
+      if (json) {
+        if (type === 'warn' || type === 'error') {
+          const event = type === 'warn' ? 'warning' : 'error';
+          console.log(JSON.stringify({ type: event, message: messages.join(' ') }));
+        } else if (type === 'debug') {
+          console.error(...messages);
+        }
+      } else if (enqueue) {
+        // Queue up the logs or print them right away
+        queue.push({ type, messages });
+      } else {
+        console[type](...messages);
+      }
 
       // Also send logs to Loggly
       logglyClient.log(messages.map((msg) => ({ sessionId, msg })));
@@ -62,6 +75,22 @@ export const createLogger = (sessionId, env) => {
     setInteractive(value) {
       interactive = !!value;
     },
+    setJson(value) {
+      json = !!value;
+      if (json) interactive = false;
+    },
+    // Emits a structured event as a single line of JSON, but only in JSON mode
+    event(type, data = {}) {
+      if (!json) return;
+      const values = Object.entries(data).reduce(
+        (acc, [key, value]) => ({
+          ...acc,
+          [key]: typeof value === 'string' ? stripAnsi(value) : value,
+        }),
+        {}
+      );
+      console.log(JSON.stringify({ type, ...values }));
+    },
     error: log('error'),
     warn: log('warn'),
     info: log('info'),
@@ -90,3 +119,23 @@ export const createLogger = (sessionId, env) => {
 
   return logger;
 };
+
+/**
+ * Wraps a logger so every line of each message is prefixed, e.g. with a project name, in order to
+ * tell apart the output of tasks which run in parallel.
+ */
+export const withPrefix = (logger, prefix) => {
+  const addPrefix = (arg) => (typeof arg === 'string' ? arg.replace(/^/gm, `${prefix} `) : arg);
+  const log =
+    (type) =>
+    (...args) =>
+      logger[type](...args.map(addPrefix));
+  // Any other methods (e.g. `setLevel`) are inherited from the wrapped logger
+  return Object.assign(Object.create(logger), {
+    error: log('error'),
+    warn: log('warn'),
+    info: log('info'),
+    log: log('info'),
+    debug: log('debug'),
+  });
+};
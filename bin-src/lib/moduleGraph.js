@@ -0,0 +1,93 @@
+// Ignore these while tracing dependencies
+const EXTERNALS = [/^node_modules\//, /\/node_modules\//, /\/webpack\/runtime\//, /^\(webpack\)/];
+
+// The Vite builder imports all CSF files (through `import.meta.glob`) from this virtual module
+const VITE_STORIES_MODULE = /storybook-stories\.js$/;
+
+const isExternal = (name) => !name || EXTERNALS.some((re) => re.test(name));
+
+// Modules which are part of an installed package, i.e. dependencies
+const isPackageModule = (name) => !!name && /(^|\/)node_modules\//.test(name);
+
+// Rollup marks internal helper modules with a null byte prefix
+const isRollupHelper = (id) => id.startsWith('\0');
+
+const isUserModule = ({ id, name, moduleName }) =>
+  id !== undefined && id !== null && !isExternal(name || moduleName);
+
+const dedupe = (names) => [...new Set(names)];
+
+/**
+ * Webpack stats, as generated by `build-storybook --webpack-stats-json`. Modules refer to their
+ * importers through `reasons`, and may include other (concatenated) modules.
+ */
+export const webpack = {
+  name: 'webpack',
+  detect: (stats) => Array.isArray(stats.modules),
+  getModuleGraph: (stats) => ({
+    modules: stats.modules.filter(isUserModule).map((mod) => ({
+      id: mod.id,
+      name: mod.name,
+      names: (mod.modules || []).map((m) => m.name),
+      importers: (mod.reasons || []).map((reason) => reason.moduleName),
+    })),
+    packageModules: stats.modules
+      .filter(({ name }) => isPackageModule(name))
+      .map(({ name, reasons }) => ({
+        name,
+        importers: (reasons || []).map((reason) => reason.moduleName),
+      })),
+    storiesEntries: [],
+  }),
+};
+
+/**
+ * Rollup-style stats, as used by the Vite builder: a list of modules in the shape of Rollup's
+ * `ModuleInfo`, identified by their (usually absolute) file path and referring to their importers
+ * through `importers` and `dynamicImporters`.
+ */
+export const rollup = {
+  name: 'rollup',
+  detect: (stats) =>
+    Array.isArray(stats.modules) &&
+    stats.modules.some((mod) => mod.importers || mod.dynamicImporters),
+  getModuleGraph: (stats) => {
+    const getImporters = ({ importers = [], dynamicImporters = [] }) =>
+      dedupe([...importers, ...dynamicImporters]).filter((i) => !isRollupHelper(i));
+    const modules = stats.modules
+      .filter(({ id }) => id && !isRollupHelper(id) && !isExternal(id))
+      .map((mod) => ({ id: mod.id, name: mod.id, names: [], importers: getImporters(mod) }));
+    const packageModules = stats.modules
+      .filter(({ id }) => id && !isRollupHelper(id) && isPackageModule(id))
+      .map((mod) => ({ name: mod.id, importers: getImporters(mod) }));
+
+    // The modules which import the stories module act as the stories entry, so the stories module
+    // itself is considered a CSF glob
+    const storiesEntries = modules
+      .filter(({ id }) => VITE_STORIES_MODULE.test(id))
+      .flatMap(({ importers }) => importers);
+    return { modules, packageModules, storiesEntries: dedupe(storiesEntries) };
+  },
+};
+
+// Rollup stats are detected first, because webpack detection is less specific
+export const adapters = [rollup, webpack];
+
+/**
+ * Converts a builder's stats file into a builder-agnostic module graph, so TurboSnap can trace
+ * changed files regardless of the builder which was used to build Storybook. Each module has:
+ *  - `id`: the module ID which Chromatic uses to refer to the module
+ *  - `name`: the file path of the module, either relative to the Storybook project or absolute
+ *  - `names`: the file paths of any other modules bundled into the same module
+ *  - `importers`: the file paths of the modules which import this module
+ * Modules outside the user's code (i.e. dependencies and builder internals) are left out, but the
+ * `packageModules` list the file path and `importers` of each module from an installed package
+ * (i.e. in `node_modules`), so changes to dependencies can be traced. The `storiesEntries` list the
+ * file paths of any builder-specific modules which import the CSF files (or globs thereof). Throws
+ * if the stats format is not recognized.
+ */
+export function getModuleGraph(stats) {
+  const adapter = adapters.find(({ detect }) => stats && detect(stats));
+  if (!adapter) throw new Error('Unsupported stats file format, expected webpack or Rollup stats');
+  return { builder: adapter.name, ...adapter.getModuleGraph(stats) };
+}
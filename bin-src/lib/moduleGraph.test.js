@@ -0,0 +1,90 @@
+import { getModuleGraph } from './moduleGraph';
+
+describe('getModuleGraph', () => {
+  it('converts webpack stats, listing dependencies separately and leaving out webpack internals', () => {
+    const stats = {
+      modules: [
+        {
+          id: 1,
+          name: './src/Button.js + 2 modules',
+          modules: [{ name: './src/Button.js' }, { name: './src/Icon.js' }],
+          reasons: [{ moduleName: './src/Button.stories.js' }],
+        },
+        {
+          id: 2,
+          name: './node_modules/react/index.js',
+          reasons: [{ moduleName: './src/Button.js' }],
+        },
+        { id: 3, name: '(webpack)/buildin/module.js', reasons: [] },
+        { id: null, name: './src/unused.js', reasons: [] },
+      ],
+    };
+    expect(getModuleGraph(stats)).toEqual({
+      builder: 'webpack',
+      modules: [
+        {
+          id: 1,
+          name: './src/Button.js + 2 modules',
+          names: ['./src/Button.js', './src/Icon.js'],
+          importers: ['./src/Button.stories.js'],
+        },
+      ],
+      packageModules: [{ name: './node_modules/react/index.js', importers: ['./src/Button.js'] }],
+      storiesEntries: [],
+    });
+  });
+
+  it('converts Rollup stats, combining static and dynamic importers', () => {
+    const stats = {
+      modules: [
+        {
+          id: '/virtual:/@storybook/builder-vite/storybook-stories.js',
+          importers: ['/virtual:/@storybook/builder-vite/vite-app.js'],
+        },
+        {
+          id: '/project/src/Button.stories.js',
+          importers: [],
+          dynamicImporters: ['/virtual:/@storybook/builder-vite/storybook-stories.js'],
+        },
+        {
+          id: '/project/src/Button.js',
+          importers: ['/project/src/Button.stories.js', '\0commonjsHelpers.js'],
+          dynamicImporters: ['/project/src/Button.stories.js'],
+        },
+        { id: '/project/node_modules/react/index.js', importers: ['/project/src/Button.js'] },
+        { id: '\0commonjsHelpers.js', importers: [] },
+      ],
+    };
+    expect(getModuleGraph(stats)).toEqual({
+      builder: 'rollup',
+      modules: [
+        {
+          id: '/virtual:/@storybook/builder-vite/storybook-stories.js',
+          name: '/virtual:/@storybook/builder-vite/storybook-stories.js',
+          names: [],
+          importers: ['/virtual:/@storybook/builder-vite/vite-app.js'],
+        },
+        {
+          id: '/project/src/Button.stories.js',
+          name: '/project/src/Button.stories.js',
+          names: [],
+          importers: ['/virtual:/@storybook/builder-vite/storybook-stories.js'],
+        },
+        {
+          id: '/project/src/Button.js',
+          name: '/project/src/Button.js',
+          names: [],
+          importers: ['/project/src/Button.stories.js'],
+        },
+      ],
+      packageModules: [
+        { name: '/project/node_modules/react/index.js', importers: ['/project/src/Button.js'] },
+      ],
+      storiesEntries: ['/virtual:/@storybook/builder-vite/vite-app.js'],
+    });
+  });
+
+  it('throws on an unsupported stats format', () => {
+    expect(() => getModuleGraph({ chunks: [] })).toThrow('Unsupported stats file format');
+  });
+});
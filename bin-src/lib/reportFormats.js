@@ -0,0 +1,128 @@
+import pluralize from 'pluralize';
+
+import { baseStorybookUrl } from './utils';
+
+// Test statuses which need attention, in the order they are listed in reports
+const statusLabels = {
+  PENDING: 'Changed',
+  BROKEN: 'Broken',
+  FAILED: 'Failed',
+  DENIED: 'Denied',
+};
+
+const escapeHtml = (str) =>
+  String(str).replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char])
+  );
+
+const escapeMarkdown = (str) => String(str).replace(/[|\\`*_[\]<>]/g, (char) => `\\${char}`);
+
+/**
+ * Transforms the ReportQuery build data into a format-agnostic structure, listing the tests which
+ * need attention (changed, broken, failed or denied) grouped by component.
+ */
+export const getReportData = (build) => {
+  const components = {};
+  const counts = { Changed: 0, Broken: 0, Failed: 0, Denied: 0 };
+
+  build.tests.forEach(({ status, spec, parameters }) => {
+    const label = statusLabels[status];
+    if (!label) return;
+    counts[label] += 1;
+
+    const { name } = spec.component;
+    components[name] = components[name] || { name, displayName: spec.component.displayName };
+    components[name].tests = (components[name].tests || []).concat({
+      name: spec.name,
+      viewport: parameters.viewport,
+      viewportIsDefault: parameters.viewportIsDefault,
+      status: label,
+    });
+  });
+
+  return {
+    buildNumber: build.number,
+    status: build.status,
+    webUrl: build.webUrl,
+    storybookUrl: baseStorybookUrl(build.cachedUrl),
+    testCount: build.tests.length,
+    counts,
+    components: Object.values(components).sort((a, b) => a.name.localeCompare(b.name)),
+  };
+};
+
+const getSummary = ({ testCount, counts }) => {
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  if (!total) return `All ${pluralize('snapshot', testCount, true)} passed.`;
+  const details = Object.entries(counts)
+    .filter(([, count]) => count)
+    .map(([label, count]) => `${count} ${label.toLowerCase()}`)
+    .join(', ');
+  return `${total} of ${pluralize('snapshot', testCount, true)} need attention: ${details}.`;
+};
+
+export const markdownReport = (data) => {
+  const lines = [
+    `## Chromatic build ${data.buildNumber}`,
+    '',
+    `**Status:** ${data.status} · [View build](${data.webUrl}) · [View Storybook](${data.storybookUrl})`,
+    '',
+    getSummary(data),
+  ];
+  data.components.forEach((component) => {
+    lines.push('', `### ${escapeMarkdown(component.name)}`, '');
+    lines.push('| Story | Viewport | Status |', '| --- | --- | --- |');
+    component.tests.forEach((test) => {
+      lines.push(`| ${escapeMarkdown(test.name)} | ${test.viewport}px | ${test.status} |`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+export const htmlReport = (data) => {
+  const title = `Chromatic build ${data.buildNumber}`;
+  const components = data.components.map(
+    (component) => `
+    <h2>${escapeHtml(component.name)}</h2>
+    <table>
+      <thead><tr><th>Story</th><th>Viewport</th><th>Status</th></tr></thead>
+      <tbody>
+${component.tests
+  .map(
+    (test) =>
+      `        <tr><td>${escapeHtml(test.name)}</td><td>${test.viewport}px</td><td>${
+        test.status
+      }</td></tr>`
+  )
+  .join('\n')}
+      </tbody>
+    </table>`
+  );
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>${title}</title>
+  </head>
+  <body>
+    <h1>${title}</h1>
+    <p>
+      <strong>Status:</strong> ${escapeHtml(data.status)} ·
+      <a href="${escapeHtml(data.webUrl)}">View build</a> ·
+      <a href="${escapeHtml(data.storybookUrl)}">View Storybook</a>
+    </p>
+    <p>${getSummary(data)}</p>${components.join('')}
+  </body>
+</html>
+`;
+};
+
+export const jsonReport = (data) => `${JSON.stringify(data, null, 2)}\n`;
+
+// Supported values for --report-format
+export const reportFormats = {
+  markdown: { label: 'Markdown', extension: 'md', render: markdownReport },
+  html: { label: 'HTML', extension: 'html', render: htmlReport },
+  json: { label: 'JSON', extension: 'json', render: jsonReport },
+};
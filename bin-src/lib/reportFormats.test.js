@@ -0,0 +1,87 @@
+import { getReportData, htmlReport, jsonReport, markdownReport } from './reportFormats';
+
+const createTest = (name, component, status, viewport = 1200) => ({
+  status,
+  spec: { name, component: { name: component, displayName: component.split('/').pop() } },
+  parameters: { viewport, viewportIsDefault: viewport === 1200 },
+});
+
+const build = {
+  number: 42,
+  status: 'PENDING',
+  webUrl: 'https://www.chromatic.com/build?appId=123&number=42',
+  cachedUrl: 'https://5d67dc0374b2e300209c41e7-pfkaemtlit.chromatic.com/iframe.html',
+  tests: [
+    createTest('Default', 'Components/Button', 'PASSED'),
+    createTest('Primary', 'Components/Button', 'PENDING', 320),
+    createTest('Disabled', 'Components/Button', 'DENIED'),
+    createTest('Empty | Loading', 'Pages/Account', 'BROKEN'),
+  ],
+};
+
+describe('getReportData', () => {
+  it('groups tests which need attention by component', () => {
+    expect(getReportData(build)).toEqual({
+      buildNumber: 42,
+      status: 'PENDING',
+      webUrl: 'https://www.chromatic.com/build?appId=123&number=42',
+      storybookUrl: 'https://5d67dc0374b2e300209c41e7-pfkaemtlit.chromatic.com',
+      testCount: 4,
+      counts: { Changed: 1, Broken: 1, Failed: 0, Denied: 1 },
+      components: [
+        {
+          name: 'Components/Button',
+          displayName: 'Button',
+          tests: [
+            { name: 'Primary', viewport: 320, viewportIsDefault: false, status: 'Changed' },
+            { name: 'Disabled', viewport: 1200, viewportIsDefault: true, status: 'Denied' },
+          ],
+        },
+        {
+          name: 'Pages/Account',
+          displayName: 'Account',
+          tests: [
+            { name: 'Empty | Loading', viewport: 1200, viewportIsDefault: true, status: 'Broken' },
+          ],
+        },
+      ],
+    });
+  });
+});
+
+describe('markdownReport', () => {
+  it('renders a table per component, linking to the build and Storybook', () => {
+    const report = markdownReport(getReportData(build));
+    expect(report).toContain('## Chromatic build 42');
+    expect(report).toContain(
+      '[View build](https://www.chromatic.com/build?appId=123&number=42) · [View Storybook](https://5d67dc0374b2e300209c41e7-pfkaemtlit.chromatic.com)'
+    );
+    expect(report).toContain('3 of 4 snapshots need attention: 1 changed, 1 broken, 1 denied.');
+    expect(report).toContain('### Components/Button');
+    expect(report).toContain('| Primary | 320px | Changed |');
+    expect(report).toContain('| Empty \\| Loading | 1200px | Broken |');
+  });
+
+  it('mentions when all snapshots passed', () => {
+    const report = markdownReport(getReportData({ ...build, tests: build.tests.slice(0, 1) }));
+    expect(report).toContain('All 1 snapshot passed.');
+    expect(report).not.toContain('###');
+  });
+});
+
+describe('htmlReport', () => {
+  it('renders an escaped HTML document', () => {
+    const report = htmlReport(getReportData(build));
+    expect(report).toMatch(/^<!DOCTYPE html>/);
+    expect(report).toContain('<a href="https://www.chromatic.com/build?appId=123&amp;number=42">');
+    expect(report).toContain('<h2>Components/Button</h2>');
+    expect(report).toContain('<tr><td>Primary</td><td>320px</td><td>Changed</td></tr>');
+  });
+});
+
+describe('jsonReport', () => {
+  it('serializes the report data', () => {
+    const data = getReportData(build);
+    expect(JSON.parse(jsonReport(data))).toEqual(data);
+  });
+});
@@ -0,0 +1,66 @@
+import fs from 'fs-extra';
+import pLimit from 'p-limit';
+import { join } from 'path';
+import picomatch from 'picomatch';
+import slash from 'slash';
+
+/**
+ * Recursively scans `rootDir`, yielding `{ pathname, knownAs, contentLength }` for each file as soon
+ * as it's found. Paths are relative to `rootDir` (e.g. `iframe.html` rather than
+ * `storybook-static/iframe.html`), with `knownAs` being the forward-slashed version of `pathname`.
+ * Directories are read in parallel (but no more than `concurrency` file system calls at a time), so
+ * files are yielded in no particular order. Files and directories matching any of the `ignore`
+ * globs are skipped.
+ */
+export default async function* scanDirectory(rootDir, { ignore = [], concurrency = 10 } = {}) {
+  const isIgnored = ignore.length ? picomatch(ignore, { dot: true }) : () => false;
+  const limitConcurrency = pLimit(concurrency);
+  const found = [];
+  let pending = 0;
+  const errors = [];
+  let notify = () => {};
+  const nextFile = () =>
+    new Promise((resolve) => {
+      notify = resolve;
+    });
+
+  const scan = (dirname) => {
+    pending += 1;
+    limitConcurrency(() => fs.readdir(join(rootDir, dirname)))
+      .then((names) =>
+        Promise.all(
+          names.map(async (name) => {
+            const pathname = join(dirname, name);
+            const knownAs = slash(pathname);
+            if (isIgnored(knownAs)) return;
+            const stats = await limitConcurrency(() => fs.stat(join(rootDir, pathname)));
+            if (stats.isDirectory()) {
+              scan(pathname);
+            } else {
+              found.push({ pathname, knownAs, contentLength: stats.size });
+              notify();
+            }
+          })
+        )
+      )
+      .catch((err) => {
+        errors.push(err);
+      })
+      .finally(() => {
+        pending -= 1;
+        notify();
+      });
+  };
+
+  scan('.');
+  while (pending > 0 || found.length > 0) {
+    if (errors.length > 0) throw errors[0];
+    if (found.length > 0) {
+      yield* found.splice(0);
+    } else {
+      // eslint-disable-next-line no-await-in-loop
+      await nextFile();
+    }
+  }
+  if (errors.length > 0) throw errors[0];
+}
@@ -0,0 +1,68 @@
+import fs from 'fs-extra';
+import { mkdirSync, mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import scanDirectory from './scanDirectory';
+
+const collect = async (iterator) => {
+  const files = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const file of iterator) files.push(file);
+  return files.sort((a, b) => (a.knownAs < b.knownAs ? -1 : 1));
+};
+
+describe('scanDirectory', () => {
+  const rootDir = mkdtempSync(join(tmpdir(), 'chromatictest-'));
+  mkdirSync(join(rootDir, 'static', 'media'), { recursive: true });
+  writeFileSync(join(rootDir, 'iframe.html'), 'iframe');
+  writeFileSync(join(rootDir, 'main.js.map'), 'map');
+  writeFileSync(join(rootDir, 'static', 'main.js'), 'main');
+  writeFileSync(join(rootDir, 'static', 'media', 'logo.svg'), '<svg />');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('yields all files in nested directories, relative to the root', async () => {
+    expect(await collect(scanDirectory(rootDir))).toEqual([
+      { pathname: 'iframe.html', knownAs: 'iframe.html', contentLength: 6 },
+      { pathname: 'main.js.map', knownAs: 'main.js.map', contentLength: 3 },
+      { pathname: join('static', 'main.js'), knownAs: 'static/main.js', contentLength: 4 },
+      {
+        pathname: join('static', 'media', 'logo.svg'),
+        knownAs: 'static/media/logo.svg',
+        contentLength: 7,
+      },
+    ]);
+  });
+
+  it('skips files and directories matching the ignore globs', async () => {
+    const files = await collect(scanDirectory(rootDir, { ignore: ['**/*.map', 'static/media'] }));
+    expect(files.map(({ knownAs }) => knownAs)).toEqual(['iframe.html', 'static/main.js']);
+  });
+
+  it('limits the number of concurrent file system calls', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const track =
+      (fn) =>
+      (...args) => {
+        active += 1;
+        maxActive = Math.max(active, maxActive);
+        return fn(...args).finally(() => {
+          active -= 1;
+        });
+      };
+    const { readdir, stat } = fs;
+    jest.spyOn(fs, 'readdir').mockImplementation(track(readdir));
+    jest.spyOn(fs, 'stat').mockImplementation(track(stat));
+
+    expect(await collect(scanDirectory(rootDir, { concurrency: 1 }))).toHaveLength(4);
+    expect(maxActive).toBe(1);
+  });
+
+  it('throws when the directory cannot be read', async () => {
+    await expect(collect(scanDirectory(join(rootDir, 'missing')))).rejects.toThrow('ENOENT');
+  });
+});
@@ -0,0 +1,92 @@
+import fs from 'fs-extra';
+import jsonfile from 'jsonfile';
+import path from 'path';
+
+import storiesDiff from '../ui/messages/info/storiesDiff';
+import storiesManifestCreated from '../ui/messages/info/storiesManifestCreated';
+
+const { readFile, writeFile } = jsonfile;
+
+export const DEFAULT_MANIFEST_PATH = 'chromatic-stories.json';
+
+const storyKey = ({ component, name, viewport }) => `${component}:${name}@${viewport}`;
+
+const compareStories = (a, b) =>
+  a.component.localeCompare(b.component) || a.name.localeCompare(b.name) || a.viewport - b.viewport;
+
+/**
+ * Creates a manifest of the stories (one entry per story per viewport) in a build, as returned by
+ * TesterCreateBuildMutation.
+ */
+export const getStoriesManifest = (build) => ({
+  buildNumber: build.number,
+  stories: build.tests
+    .map(({ spec, parameters }) => ({
+      component: spec.component.name,
+      name: spec.name,
+      viewport: parameters.viewport,
+    }))
+    .sort(compareStories),
+});
+
+const groupBy = (stories, keyFn) =>
+  stories.reduce((acc, story) => {
+    const key = keyFn(story);
+    acc[key] = (acc[key] || []).concat(story);
+    return acc;
+  }, {});
+
+// A removed and an added story are considered a rename if they are the only ones sharing a key
+const findRenames = (removed, added, keyFn) => {
+  const addedByKey = groupBy(added, keyFn);
+  return Object.entries(groupBy(removed, keyFn))
+    .filter(([key, stories]) => stories.length === 1 && (addedByKey[key] || []).length === 1)
+    .map(([key, [from]]) => ({ from, to: addedByKey[key][0] }));
+};
+
+/**
+ * Compares two stories manifests, returning the stories which were added, removed or renamed.
+ * Renames are detected heuristically: a story is considered renamed if it's the only one to
+ * disappear from a component (at a given viewport) while exactly one other story appeared in its
+ * place, or if a story with the same name moved to a different component.
+ */
+export const diffStoriesManifests = (previous, current) => {
+  const previousKeys = new Set(previous.stories.map(storyKey));
+  const currentKeys = new Set(current.stories.map(storyKey));
+  let added = current.stories.filter((story) => !previousKeys.has(storyKey(story)));
+  let removed = previous.stories.filter((story) => !currentKeys.has(storyKey(story)));
+  const renamed = [];
+
+  [
+    ({ component, viewport }) => `${component}@${viewport}`,
+    ({ name, viewport }) => `${name}@${viewport}`,
+  ].forEach((keyFn) => {
+    const renames = findRenames(removed, added, keyFn);
+    added = added.filter((story) => !renames.some(({ to }) => to === story));
+    removed = removed.filter((story) => !renames.some(({ from }) => from === story));
+    renamed.push(...renames);
+  });
+
+  return { added, removed, renamed };
+};
+
+/**
+ * Compares the stories in the current build against the stories manifest saved by a previous run,
+ * if any, logs the differences and saves the manifest for the current build.
+ */
+export default async function compareStoriesManifest(ctx) {
+  const { storiesManifest, workingDir } = ctx.options;
+  const filepath = storiesManifest === true ? DEFAULT_MANIFEST_PATH : storiesManifest;
+  const manifestPath = workingDir ? path.resolve(workingDir, filepath) : filepath;
+  const manifest = getStoriesManifest(ctx.build);
+
+  if (await fs.pathExists(manifestPath)) {
+    const previous = await readFile(manifestPath);
+    ctx.storiesDiff = diffStoriesManifests(previous, manifest);
+    ctx.log.info(storiesDiff(ctx.storiesDiff, previous.buildNumber, manifestPath));
+  } else {
+    ctx.log.info(storiesManifestCreated(manifestPath, manifest.stories.length));
+  }
+
+  await writeFile(path.resolve(manifestPath), manifest, { spaces: 2 });
+}
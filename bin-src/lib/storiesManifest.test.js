@@ -0,0 +1,109 @@
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp-promise';
+
+import compareStoriesManifest, {
+  diffStoriesManifests,
+  getStoriesManifest,
+} from './storiesManifest';
+
+const story = (component, name, viewport = 1200) => ({ component, name, viewport });
+
+const manifest = (...stories) => ({ buildNumber: 1, stories });
+
+describe('getStoriesManifest', () => {
+  it('lists the stories in a build, sorted by component, name and viewport', () => {
+    const snapshot = (component, name, viewport) => ({
+      spec: { name, component: { name: component } },
+      parameters: { viewport },
+    });
+    const build = {
+      number: 3,
+      tests: [snapshot('B', 'One', 320), snapshot('A', 'Two', 1200), snapshot('B', 'One', 1200)],
+    };
+    expect(getStoriesManifest(build)).toEqual({
+      buildNumber: 3,
+      stories: [story('A', 'Two', 1200), story('B', 'One', 320), story('B', 'One', 1200)],
+    });
+  });
+});
+
+describe('diffStoriesManifests', () => {
+  it('finds added and removed stories', () => {
+    const previous = manifest(story('A', 'One'), story('A', 'Two'), story('B', 'One'));
+    const current = manifest(story('A', 'One'), story('A', 'Three'), story('A', 'Four'));
+    expect(diffStoriesManifests(previous, current)).toEqual({
+      added: [story('A', 'Three'), story('A', 'Four')],
+      removed: [story('A', 'Two'), story('B', 'One')],
+      renamed: [],
+    });
+  });
+
+  it('treats a single story replaced within a component as a rename', () => {
+    const previous = manifest(story('A', 'One'), story('A', 'Two'));
+    const current = manifest(story('A', 'One'), story('A', 'Deux'));
+    expect(diffStoriesManifests(previous, current)).toEqual({
+      added: [],
+      removed: [],
+      renamed: [{ from: story('A', 'Two'), to: story('A', 'Deux') }],
+    });
+  });
+
+  it('treats a story moved to another component as a rename', () => {
+    const previous = manifest(story('A', 'One'), story('A', 'Two'));
+    const current = manifest(story('A', 'One'), story('B', 'Two'), story('B', 'Three'));
+    expect(diffStoriesManifests(previous, current)).toEqual({
+      added: [story('B', 'Three')],
+      removed: [],
+      renamed: [{ from: story('A', 'Two'), to: story('B', 'Two') }],
+    });
+  });
+
+  it('finds no changes for identical manifests', () => {
+    const stories = [story('A', 'One'), story('A', 'One', 320)];
+    expect(diffStoriesManifests(manifest(...stories), manifest(...stories))).toEqual({
+      added: [],
+      removed: [],
+      renamed: [],
+    });
+  });
+});
+
+describe('compareStoriesManifest', () => {
+  let manifestPath;
+  beforeEach(async () => {
+    const { path: dir } = await tmp.dir({ unsafeCleanup: true, prefix: `chromatictest-` });
+    manifestPath = path.join(dir, 'stories.json');
+  });
+
+  const getContext = (tests) => ({
+    build: { number: 2, tests },
+    log: { info: jest.fn() },
+    options: { storiesManifest: manifestPath },
+  });
+  const snapshot = {
+    spec: { name: 'One', component: { name: 'A' } },
+    parameters: { viewport: 320 },
+  };
+
+  it('writes the manifest if there is none yet', async () => {
+    const ctx = getContext([snapshot]);
+    await compareStoriesManifest(ctx);
+    expect(ctx.storiesDiff).toBeUndefined();
+    expect(await fs.readJson(manifestPath)).toEqual({
+      buildNumber: 2,
+      stories: [story('A', 'One', 320)],
+    });
+  });
+
+  it('compares against and updates an existing manifest', async () => {
+    await fs.writeJson(manifestPath, manifest(story('A', 'Two', 320), story('A', 'One', 320)));
+    const ctx = getContext([snapshot]);
+    await compareStoriesManifest(ctx);
+    expect(ctx.storiesDiff).toEqual({ added: [], removed: [story('A', 'Two', 320)], renamed: [] });
+    expect(ctx.log.info).toHaveBeenCalledWith(
+      expect.stringContaining('Stories changed since build 1')
+    );
+    expect(await fs.readJson(manifestPath)).toMatchObject({ buildNumber: 2 });
+  });
+});
@@ -5,12 +5,19 @@ export const createTask = ({ steps, ...config }) => ({
   ...config,
   task: async (ctx, task) => {
     ctx.title = config.title;
+    ctx.taskName = config.name;
     ctx.task = task;
     ctx.startedAt = Number.isInteger(ctx.now) ? ctx.now : new Date();
-    // eslint-disable-next-line no-restricted-syntax
-    for (const step of steps) {
-      // eslint-disable-next-line no-await-in-loop
-      await step(ctx, task);
+    const startTime = Date.now();
+    try {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const step of steps) {
+        // eslint-disable-next-line no-await-in-loop
+        await step(ctx, task);
+      }
+    } finally {
+      // Track how long each task took (in milliseconds), for the build summary
+      ctx.durations = { ...ctx.durations, [config.name]: Date.now() - startTime };
     }
   },
 });
@@ -28,9 +35,12 @@ export const setOutput = (output) => (ctx, task) => {
 };
 
 export const transitionTo = (stateFn, last) => (ctx, task) => {
-  const { title, output } = stateFn(ctx);
+  const { status, title, output } = stateFn(ctx);
   setTitle(title, last ? output : undefined)(ctx, task);
   if (!last && output) setOutput(output)(ctx, task);
+  if (ctx.options && ctx.options.json) {
+    ctx.log.event('task', { task: ctx.taskName, status, title, output });
+  }
 };
 
 export const getDuration = (ctx) => {
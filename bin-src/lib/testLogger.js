@@ -2,6 +2,7 @@ export default class TestLogger {
   constructor() {
     this.errors = [];
     this.warnings = [];
+    this.events = [];
   }
 
   error(...args) {
@@ -39,4 +40,12 @@ export default class TestLogger {
   setInteractive() {
     // do nothing
   }
+
+  setJson() {
+    // do nothing
+  }
+
+  event(type, data) {
+    this.events.push({ type, ...data });
+  }
 }
@@ -1,5 +1,6 @@
 import path from 'path';
 import picomatch from 'picomatch';
+import pluralize from 'pluralize';
 
 export const lcfirst = (str) => `${str.charAt(0).toLowerCase()}${str.substr(1)}`;
 
@@ -19,6 +20,12 @@ export const progress = (percentage, size = 20) => {
   return `${completed.join('')}${track.join('')}`.substr(0, 20);
 };
 
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return pluralize('byte', bytes, true);
+  const [size, unit] = bytes < 1024 * 1024 ? [bytes / 1024, 'kB'] : [bytes / 1024 / 1024, 'MB'];
+  return `${size.toFixed(1)} ${unit}`;
+};
+
 export const baseStorybookUrl = (url) => url.replace(/\/iframe\.html$/, '');
 
 export const rewriteErrorMessage = (err, message) => {
@@ -0,0 +1,16 @@
+import jsonfile from 'jsonfile';
+
+import wroteReport from '../ui/messages/info/wroteReport';
+import getBuildSummary from './getBuildSummary';
+
+const { writeFile } = jsonfile;
+
+// Write the build summary to a json file, so it can be picked up by subsequent CI steps
+export default async function writeSummaryFile(ctx, summaryFile) {
+  try {
+    await writeFile(summaryFile, getBuildSummary(ctx), { spaces: 2 });
+    ctx.log.info(wroteReport(summaryFile, 'build summary'));
+  } catch (error) {
+    ctx.log.error(error);
+  }
+}
@@ -1,5 +1,8 @@
+import chalk from 'chalk';
 import jsonfile from 'jsonfile';
 import Listr from 'listr';
+import pLimit from 'p-limit';
+import path from 'path';
 import pkgUp from 'pkg-up';
 import { v4 as uuid } from 'uuid';
 
@@ -7,23 +10,28 @@ import GraphQLClient from './io/GraphQLClient';
 import HTTPClient from './io/HTTPClient';
 import checkForUpdates from './lib/checkForUpdates';
 import checkPackageJson from './lib/checkPackageJson';
+import getBuildSummary from './lib/getBuildSummary';
+import getConfiguration from './lib/getConfiguration';
 import getEnv from './lib/getEnv';
-import getOptions from './lib/getOptions';
-import { createLogger } from './lib/log';
+import getOptions, { mergeFlags } from './lib/getOptions';
+import { createLogger, withPrefix } from './lib/log';
 import NonTTYRenderer from './lib/NonTTYRenderer';
 import parseArgs from './lib/parseArgs';
 import { rewriteErrorMessage } from './lib/utils';
 import { writeChromaticDiagnostics } from './lib/writeChromaticDiagnostics';
+import writeSummaryFile from './lib/writeSummaryFile';
 import getTasks from './tasks';
 import fatalError from './ui/messages/errors/fatalError';
 import fetchError from './ui/messages/errors/fetchError';
 import graphqlError from './ui/messages/errors/graphqlError';
+import incompatibleOptions from './ui/messages/errors/incompatibleOptions';
 import invalidPackageJson from './ui/messages/errors/invalidPackageJson';
 import missingStories from './ui/messages/errors/missingStories';
 import noPackageJson from './ui/messages/errors/noPackageJson';
 import runtimeError from './ui/messages/errors/runtimeError';
 import taskError from './ui/messages/errors/taskError';
 import intro from './ui/messages/info/intro';
+import projectsSummary from './ui/messages/info/projectsSummary';
 
 const { readFile } = jsonfile;
 
@@ -56,17 +64,99 @@ export async function main(argv) {
 export async function runAll(ctx) {
   ctx.http = ctx.http || new HTTPClient({ env: ctx.env, log: ctx.log });
 
+  // An invalid configuration file is reported by getOptions, so we can ignore any errors here
+  const { configFile, configuration = {} } = await getConfiguration(ctx).catch(() => ({}));
+  const run = configuration.projects ? runProjects : runBuild;
+
+  // In JSON mode stdout is reserved for JSON events, so we must switch before logging anything
+  if (mergeFlags(configuration, ctx.flags).json) ctx.log.setJson(true);
+
+  ctx.log.info('');
+  ctx.log.info(intro(ctx));
+
   // Run these in parallel; neither should ever reject
-  await Promise.all([runBuild(ctx), checkForUpdates(ctx)]);
-  if (ctx.flags.diagnostics) await writeChromaticDiagnostics(ctx);
-  if (ctx.exitCode && ctx.exitCode !== 1) return;
+  await Promise.all([run(ctx, { configFile, configuration }), checkForUpdates(ctx)]);
+  // Options are unavailable if getOptions failed, in which case we fall back to the CLI flags. When
+  // running multiple projects, these options are the same for each of them.
+  const [project = {}] = ctx.projects || [];
+  const { diagnostics, json, summaryFile } = ctx.options || project.options || ctx.flags;
+  if (diagnostics) await writeChromaticDiagnostics(ctx);
+  if (summaryFile) await writeSummaryFile(ctx, summaryFile);
+  if (json) ctx.log.event('summary', getBuildSummary(ctx));
+  if (ctx.projects || (ctx.exitCode && ctx.exitCode !== 1)) return;
   await checkPackageJson(ctx);
 }
 
-export async function runBuild(ctx) {
+// The configuration is resolved from the root (where the projects are declared), rather than from
+// each project's directory. A project's own options take precedence over the root options, but
+// flags passed on the command line still take precedence over both.
+const runProject = async (ctx, project, { configFile, configuration }, shared) => {
+  const { name, workingDir = '.', ...projectFlags } = project;
+  const { projects, ...rootConfiguration } = configuration;
+  const projectName = name || workingDir;
+  const projectDir = path.resolve(path.dirname(ctx.packagePath), workingDir);
+  const packagePath = path.join(projectDir, 'package.json');
+  const projectCtx = {
+    ...ctx,
+    log: withPrefix(ctx.log, chalk.bold(`[${projectName}]`)),
+    // Projects run in parallel, so we cannot render their progress interactively
+    flags: { ...ctx.flags, interactive: false },
+    configuration: { configFile, configuration: { ...rootConfiguration, ...projectFlags } },
+    projectFlags,
+    projectName,
+    workingDir: projectDir,
+    packagePath,
+    shared,
+  };
+
+  const packageJson = await readFile(packagePath).catch(() => undefined);
+  if (!packageJson || typeof packageJson !== 'object' || typeof packageJson.scripts !== 'object') {
+    projectCtx.log.error(invalidPackageJson(packagePath));
+    projectCtx.exitCode = 252;
+    return projectCtx;
+  }
+
+  projectCtx.packageJson = packageJson;
+  await runBuild(projectCtx);
+  return projectCtx;
+};
+
+/**
+ * Runs a build for each of the projects listed in the configuration file (e.g. in a monorepo), with
+ * at most CHROMATIC_PROJECT_CONCURRENCY builds running in parallel. The projects share the git
+ * info, and the exit code is the highest exit code of any project.
+ */
+export async function runProjects(ctx, { configFile, configuration }) {
+  const { projects } = configuration;
+  if (ctx.flags.patchBuild) {
+    ctx.log.info('');
+    ctx.log.error(incompatibleOptions(['--patch-build', 'projects']));
+    ctx.exitCode = 254;
+    return;
+  }
+
+  const shared = {};
+  const limit = pLimit(ctx.env.CHROMATIC_PROJECT_CONCURRENCY);
+  ctx.projects = await Promise.all(
+    projects.map((project) =>
+      limit(() => runProject(ctx, project, { configFile, configuration }, shared))
+    )
+  );
+  ctx.exitCode = Math.max(...ctx.projects.map(({ exitCode = 0 }) => exitCode));
+
   ctx.log.info('');
-  ctx.log.info(intro(ctx));
+  ctx.log.info(
+    projectsSummary(
+      ctx.projects.map(({ projectName, build, exitCode }) => ({
+        name: projectName,
+        build,
+        exitCode,
+      }))
+    )
+  );
+}
 
+export async function runBuild(ctx) {
   try {
     ctx.options = await getOptions(ctx);
   } catch (e) {
@@ -91,7 +181,8 @@ export async function runBuild(ctx) {
     try {
       ctx.log.info('');
       if (ctx.options.interactive) ctx.log.queue(); // queue up any log messages while Listr is running
-      const options = ctx.options.interactive ? {} : { renderer: NonTTYRenderer, log: ctx.log };
+      const renderer = ctx.options.json ? 'silent' : NonTTYRenderer;
+      const options = ctx.options.interactive ? {} : { renderer, log: ctx.log };
       await new Listr(getTasks(ctx.options), options).run(ctx);
     } catch (err) {
       if (err.code === 'ECONNREFUSED' || err.name === 'StatusCodeError') {
@@ -1,11 +1,16 @@
 import execa from 'execa';
 import fs from 'fs-extra';
+import { mkdirSync, mkdtempSync, writeFileSync } from 'fs';
 import { confirm } from 'node-ask';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { format } from 'util';
 import kill from 'tree-kill';
 
 import jsonfile from 'jsonfile';
 import { getCommit } from './git/git';
 import getEnv from './lib/getEnv';
+import { createLogger } from './lib/log';
 import parseArgs from './lib/parseArgs';
 import startApp, { checkResponse } from './lib/startStorybook';
 import TestLogger from './lib/testLogger';
@@ -40,7 +45,7 @@ jest.mock('jsonfile', () => {
     __esModule: true,
     ...originalModule,
     default: {
-      ...originalModule.default,
+      ...originalModule,
       writeFile: jest.fn(() => Promise.resolve()),
     },
   };
@@ -48,6 +53,10 @@ jest.mock('jsonfile', () => {
 
 jest.mock('node-ask');
 
+jest.mock('node-loggly-bulk/lib/loggly/client', () => ({
+  createClient: () => ({ log: () => {} }),
+}));
+
 jest.mock('node-fetch', () =>
   jest.fn(async (url, { body } = {}) => ({
     ok: true,
@@ -150,12 +159,8 @@ jest.mock('fs-extra', () => ({
   createWriteStream: jest.requireActual('fs-extra').createWriteStream,
 }));
 
-fs.readdirSync = jest.fn(() => ['iframe.html', 'index.html']);
-const fsStatSync = fs.statSync;
-fs.statSync = jest.fn((path) => {
-  if (path.endsWith('/package.json')) return fsStatSync(path); // for meow
-  return { isDirectory: () => false, size: 42 };
-});
+fs.readdir = jest.fn(async () => ['iframe.html', 'index.html']);
+fs.stat = jest.fn(async () => ({ isDirectory: () => false, size: 42 }));
 
 jest.mock('./git/git', () => ({
   hasPreviousCommit: () => Promise.resolve(true),
@@ -173,6 +178,7 @@ jest.mock('./lib/getStorybookInfo', () => () => ({
   addons: [],
 }));
 jest.mock('./lib/tunnel');
+jest.mock('./lib/getFileHashes');
 jest.mock('./lib/uploadFiles');
 
 let processEnv;
@@ -614,4 +620,226 @@ describe('runAll', () => {
     await runAll(ctx);
     expect(jsonfile.writeFile).not.toHaveBeenCalled();
   });
+
+  it('emits JSON events for task transitions and the build summary with --json', async () => {
+    const ctx = getContext(['--project-token=asdf1234', '--json']);
+    await runAll(ctx);
+    expect(ctx.options.interactive).toBe(false);
+    expect(ctx.log.events).toContainEqual({
+      type: 'task',
+      task: 'auth',
+      status: 'success',
+      title: 'Authenticated with Chromatic',
+      output: "Using project token '****1234'",
+    });
+    expect(ctx.log.events).toContainEqual(
+      expect.objectContaining({ type: 'task', task: 'snapshot', status: 'pending' })
+    );
+    expect(ctx.log.events[ctx.log.events.length - 1]).toMatchObject({
+      type: 'summary',
+      buildNumber: 1,
+      status: 'PENDING',
+      webUrl: 'http://test.com',
+      storybookUrl: 'https://5d67dc0374b2e300209c41e7-pfkaemtlit.chromatic.com',
+      changeCount: 1,
+      exitCode: 1,
+    });
+  });
+
+  it('only writes JSON to stdout with --json', async () => {
+    const ctx = getContext(['--project-token=asdf1234', '--json']);
+    ctx.log = createLogger(ctx.sessionId, ctx.env);
+    // Anything logged through console.log or console.info ends up on stdout
+    const output = [];
+    const capture = (...args) => output.push(`${format(...args)}\n`);
+    const spies = ['log', 'info'].map((method) =>
+      jest.spyOn(console, method).mockImplementation(capture)
+    );
+    try {
+      await runAll(ctx);
+    } finally {
+      spies.forEach((spy) => spy.mockRestore());
+    }
+
+    const lines = output.join('').split('\n').filter(Boolean);
+    expect(lines.length).toBeGreaterThan(0);
+    lines.forEach((line) => expect(() => JSON.parse(line)).not.toThrow());
+    expect(JSON.parse(lines[lines.length - 1])).toMatchObject({ type: 'summary' });
+  });
+
+  it('does not emit JSON events without --json', async () => {
+    const ctx = getContext(['--project-token=asdf1234']);
+    await runAll(ctx);
+    expect(ctx.log.events).toEqual([]);
+  });
+
+  it('writes the build summary to the file passed with --summary-file', async () => {
+    const ctx = getContext(['--project-token=asdf1234', '--summary-file=summary.json']);
+    await runAll(ctx);
+    expect(jsonfile.writeFile).toHaveBeenCalledWith(
+      'summary.json',
+      {
+        buildNumber: 1,
+        status: 'PENDING',
+        webUrl: 'http://test.com',
+        storybookUrl: 'https://5d67dc0374b2e300209c41e7-pfkaemtlit.chromatic.com',
+        changeCount: 1,
+        errorCount: undefined,
+        turboSnapBailReason: undefined,
+        affectedStoryFiles: undefined,
+        uploadedBytes: 84,
+        uploadedFiles: { count: 2, total: 2 },
+        skippedBytes: 0,
+        durations: expect.objectContaining({
+          auth: expect.any(Number),
+          upload: expect.any(Number),
+          snapshot: expect.any(Number),
+        }),
+        exitCode: 1,
+      },
+      { spaces: 2 }
+    );
+  });
+
+  it('writes the summary file even if the run failed', async () => {
+    const ctx = getContext(['--summary-file=summary.json']);
+    await runAll(ctx);
+    expect(ctx.exitCode).toBe(254);
+    expect(jsonfile.writeFile).toHaveBeenCalledWith(
+      'summary.json',
+      expect.objectContaining({ buildNumber: undefined, exitCode: 254 }),
+      { spaces: 2 }
+    );
+  });
+});
+
+describe('runAll with projects', () => {
+  let rootDir;
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'chromatictest-'));
+    ['one', 'two'].forEach((name) => {
+      mkdirSync(join(rootDir, name));
+      writeFileSync(
+        join(rootDir, name, 'package.json'),
+        JSON.stringify({ scripts: { 'build-storybook': 'build-storybook' } })
+      );
+    });
+  });
+
+  const getProjectsContext = (projects, argv = []) => {
+    const configFile = join(rootDir, 'chromatic.config.json');
+    writeFileSync(configFile, JSON.stringify({ projects }));
+    const ctx = getContext([`--config-file=${configFile}`, ...argv]);
+    ctx.packagePath = join(rootDir, 'package.json');
+    return ctx;
+  };
+
+  it('runs a build for each project, sharing the git info', async () => {
+    const ctx = getProjectsContext([
+      { name: 'first', workingDir: 'one', projectToken: 'token-1' },
+      { workingDir: 'two', projectToken: 'token-2' },
+    ]);
+    await runAll(ctx);
+
+    expect(ctx.exitCode).toBe(1);
+    expect(ctx.projects).toHaveLength(2);
+    expect(ctx.projects.map(({ projectName }) => projectName)).toEqual(['first', 'two']);
+    expect(ctx.projects.map(({ options }) => options.projectToken)).toEqual(['token-1', 'token-2']);
+    expect(ctx.projects[1].options.workingDir).toBe(join(rootDir, 'two'));
+    expect(execa).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.any(Array),
+      expect.objectContaining({ cwd: join(rootDir, 'two') })
+    );
+    expect(getCommit).toHaveBeenCalledTimes(1);
+    expect(confirm).not.toHaveBeenCalled();
+  });
+
+  it('applies the root configuration and branch profiles without --config-file', async () => {
+    writeFileSync(
+      join(rootDir, 'chromatic.config.json'),
+      JSON.stringify({
+        exitZeroOnChanges: true,
+        storybookBaseDir: 'packages',
+        profiles: { branch: { autoAcceptChanges: true } },
+        projects: [
+          { workingDir: 'one', projectToken: 'token-1' },
+          { workingDir: 'two', projectToken: 'token-2', storybookBaseDir: 'packages/two' },
+        ],
+      })
+    );
+    const ctx = getContext([]);
+    ctx.packagePath = join(rootDir, 'package.json');
+    await runAll(ctx);
+
+    expect(ctx.projects.map(({ options }) => options.projectToken)).toEqual(['token-1', 'token-2']);
+    expect(ctx.projects.map(({ options }) => options.exitZeroOnChanges)).toEqual([true, true]);
+    expect(ctx.projects.map(({ options }) => options.storybookBaseDir)).toEqual([
+      'packages',
+      'packages/two',
+    ]);
+    expect(ctx.projects.map(({ options }) => options.autoAcceptChanges)).toEqual([true, true]);
+  });
+
+  it('lets command line flags take precedence over the project options', async () => {
+    const ctx = getProjectsContext(
+      [
+        { workingDir: 'one', projectToken: 'token-1' },
+        { workingDir: 'two', projectToken: 'token-2' },
+      ],
+      ['--project-token=cli-token']
+    );
+    await runAll(ctx);
+
+    expect(ctx.projects.map(({ options }) => options.projectToken)).toEqual([
+      'cli-token',
+      'cli-token',
+    ]);
+  });
+
+  it('exits with the highest exit code of any project', async () => {
+    const ctx = getProjectsContext([
+      { workingDir: 'one', projectToken: 'token-1' },
+      { workingDir: 'missing', projectToken: 'token-2' },
+    ]);
+    await runAll(ctx);
+
+    expect(ctx.projects.map(({ exitCode }) => exitCode)).toEqual([1, 252]);
+    expect(ctx.exitCode).toBe(252);
+    expect(ctx.log.errors[0]).toMatch('[missing]');
+  });
+
+  it('writes a combined summary file', async () => {
+    const ctx = getProjectsContext(
+      [
+        { workingDir: 'one', projectToken: 'token-1' },
+        { workingDir: 'two', projectToken: 'token-2' },
+      ],
+      ['--summary-file=summary.json']
+    );
+    await runAll(ctx);
+
+    expect(jsonfile.writeFile).toHaveBeenCalledWith(
+      'summary.json',
+      {
+        exitCode: 1,
+        projects: [
+          expect.objectContaining({ name: 'one', buildNumber: 1, exitCode: 1 }),
+          expect.objectContaining({ name: 'two', buildNumber: 1, exitCode: 1 }),
+        ],
+      },
+      { spaces: 2 }
+    );
+  });
+
+  it('does not allow patch builds', async () => {
+    const ctx = getProjectsContext(
+      [{ workingDir: 'one', projectToken: 'token-1' }],
+      ['--patch-build=head...base']
+    );
+    await runAll(ctx);
+
+    expect(ctx.exitCode).toBe(254);
+    expect(ctx.log.errors[0]).toMatch('Incompatible options');
+  });
 });
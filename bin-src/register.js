@@ -1,5 +1,4 @@
 #!/usr/bin/env node
-/* eslint-disable global-require */
 const Observable = require('zen-observable');
 
 global.Observable = Observable;
@@ -7,19 +6,4 @@ require('any-observable/register')('global.Observable');
 
 require('dotenv').config();
 
-const util = ['trim-stats-file', 'stats-to-story-files'].find((u) => u === process.argv[2]);
-
-switch (true) {
-  case util === 'trim-stats-file': {
-    require('./trim-stats-file').main(process.argv.slice(3));
-    break;
-  }
-  case util === 'stats-to-story-files': {
-    require('./stats-to-story-files').main(process.argv.slice(3));
-    break;
-  }
-  default: {
-    require('./main').main(process.argv.slice(2));
-    break;
-  }
-}
+require('./commands').run(process.argv.slice(2));
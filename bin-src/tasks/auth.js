@@ -24,6 +24,7 @@ export const setAuthorizationToken = async (ctx) => {
 };
 
 export default createTask({
+  name: 'auth',
   title: initial.title,
   steps: [transitionTo(authenticating), setAuthorizationToken, transitionTo(authenticated, true)],
 });
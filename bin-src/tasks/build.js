@@ -4,9 +4,12 @@ import path from 'path';
 import semver from 'semver';
 import tmp from 'tmp-promise';
 
+import { getBuildCacheKey, restoreBuild, saveBuild } from '../lib/buildCache';
+import { getPackageManager, getRunArgs } from '../lib/getPackageManager';
 import { createTask, transitionTo } from '../lib/tasks';
 import buildFailed from '../ui/messages/errors/buildFailed';
-import { failed, initial, pending, skipped, success } from '../ui/tasks/build';
+import buildCacheFailed from '../ui/messages/warnings/buildCacheFailed';
+import { failed, initial, pending, restored, skipped, success } from '../ui/tasks/build';
 
 const trimOutput = ({ stdout }) => stdout && stdout.toString().trim();
 
@@ -35,40 +38,79 @@ export const setSpawnParams = async (ctx) => {
   //   node path/to/npm-cli.js run build-storybook
   //   node path/to/yarn.js run build-storybook
   //   npm run build-storybook
+  //   pnpm --filter my-package run build-storybook
+  //   yarn workspace my-package run build-storybook
   // Based on https://github.com/mysticatea/npm-run-all/blob/52eaf86242ba408dedd015f53ca7ca368f25a026/lib/run-task.js#L156-L174
-  const npmExecPath = process.env.npm_execpath;
-  const npmExecFile = npmExecPath && path.basename(npmExecPath);
-  const isJsPath = npmExecFile && /\.m?js$/.test(npmExecFile);
-  const isYarn = npmExecFile && npmExecFile.includes('yarn');
-  const isNpx = npmExecFile && npmExecFile.includes('npx');
-
-  const client = isYarn ? 'yarn' : 'npm';
-  const clientVersion = await execa(client, ['--version']).then(trimOutput);
+  const packageDir = ctx.packagePath
+    ? path.dirname(ctx.packagePath)
+    : path.resolve(ctx.options.workingDir || '.');
+  const packageManager = await getPackageManager({ cwd: packageDir });
+  const { name: client, version: clientVersion, command, root } = packageManager;
   const nodeVersion = await execa('node', ['--version']).then(trimOutput);
 
+  // For a package in a pnpm or Yarn workspace, we run the script from the workspace root. Since
+  // that changes the working directory, the output dir must be absolute.
+  const workspace =
+    client !== 'npm' && root !== packageDir && ctx.packageJson && ctx.packageJson.name;
+  const outputDir = workspace ? path.resolve(ctx.sourceDir) : ctx.sourceDir;
+
   ctx.spawnParams = {
     client,
     clientVersion,
     nodeVersion,
     platform: process.platform,
-    command: (!isNpx && (isJsPath ? process.execPath : npmExecPath)) || 'npm',
-    clientArgs: !isNpx && isJsPath ? [npmExecPath, 'run'] : ['run', '--silent'],
+    command,
+    clientArgs: getRunArgs(packageManager, { workspace }),
+    ...(workspace && { cwd: root }),
     scriptArgs: [
       ctx.options.buildScriptName,
-      isYarn ? '' : '--',
+      client === 'npm' && '--',
       '--output-dir',
-      ctx.sourceDir,
+      outputDir,
       ctx.git.changedFiles && webpackStatsSupported && '--webpack-stats-json',
-      ctx.git.changedFiles && webpackStatsSupported && ctx.sourceDir,
+      ctx.git.changedFiles && webpackStatsSupported && outputDir,
     ].filter(Boolean),
   };
 };
 
+// With --build-cache-dir, we reuse a previous build of the same commit (e.g. when a CI job is rerun)
+export const restoreBuildCache = async (ctx, task) => {
+  const { buildCacheDir } = ctx.options;
+  if (!buildCacheDir) return;
+
+  const dir = path.resolve(buildCacheDir);
+  try {
+    const key = await getBuildCacheKey(ctx);
+    if (!key) return;
+    ctx.buildCache = { dir, key, hit: await restoreBuild(dir, key, ctx.sourceDir) };
+    ctx.log.debug(`Build cache ${ctx.buildCache.hit ? 'hit' : 'miss'} for ${key}`);
+  } catch (err) {
+    ctx.buildCache = undefined;
+    ctx.log.warn(buildCacheFailed('read from', dir, err));
+    return;
+  }
+  if (ctx.buildCache.hit) transitionTo(restored, true)(ctx, task);
+};
+
+export const saveBuildCache = async (ctx) => {
+  if (!ctx.buildCache || ctx.buildCache.hit) return;
+  const { dir, key } = ctx.buildCache;
+  try {
+    await saveBuild(dir, key, ctx.sourceDir);
+  } catch (err) {
+    ctx.log.warn(buildCacheFailed('write to', dir, err));
+  }
+};
+
+const unlessRestored = (step) => async (ctx, task) => {
+  if (!ctx.buildCache || !ctx.buildCache.hit) await step(ctx, task);
+};
+
 const timeoutAfter = (ms) =>
   new Promise((resolve, reject) => setTimeout(reject, ms, new Error(`Operation timed out`)));
 
 export const buildStorybook = async (ctx) => {
-  ctx.buildLogFile = path.resolve('./build-storybook.log');
+  ctx.buildLogFile = path.resolve(ctx.options.workingDir || '.', 'build-storybook.log');
   const logFile = fs.createWriteStream(ctx.buildLogFile);
   await new Promise((resolve, reject) => {
     logFile.on('open', resolve);
@@ -79,7 +121,10 @@ export const buildStorybook = async (ctx) => {
     const { command, clientArgs, scriptArgs } = ctx.spawnParams;
     ctx.log.debug('Using spawnParams:', JSON.stringify(ctx.spawnParams, null, 2));
     await Promise.race([
-      execa(command, [...clientArgs, ...scriptArgs], { stdio: [null, logFile, logFile] }),
+      execa(command, [...clientArgs, ...scriptArgs], {
+        cwd: ctx.spawnParams.cwd || ctx.options.workingDir,
+        stdio: [null, logFile, logFile],
+      }),
       timeoutAfter(ctx.env.STORYBOOK_BUILD_TIMEOUT),
     ]);
   } catch (e) {
@@ -94,6 +139,7 @@ export const buildStorybook = async (ctx) => {
 };
 
 export default createTask({
+  name: 'build',
   title: initial.title,
   skip: async (ctx) => {
     if (ctx.skip) return true;
@@ -106,8 +152,9 @@ export default createTask({
   steps: [
     setSourceDir,
     setSpawnParams,
-    transitionTo(pending),
-    buildStorybook,
-    transitionTo(success, true),
+    restoreBuildCache,
+    ...[transitionTo(pending), buildStorybook, saveBuildCache, transitionTo(success, true)].map(
+      unlessRestored
+    ),
   ],
 });
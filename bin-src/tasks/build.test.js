@@ -1,8 +1,19 @@
 import execa from 'execa';
+import { mkdirSync, mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
-import { buildStorybook, setSourceDir, setSpawnParams } from './build';
+import { getBuildCacheKey, restoreBuild, saveBuild } from '../lib/buildCache';
+import {
+  buildStorybook,
+  restoreBuildCache,
+  saveBuildCache,
+  setSourceDir,
+  setSpawnParams,
+} from './build';
 
 jest.mock('execa');
+jest.mock('../lib/buildCache');
 
 describe('setSourceDir', () => {
   it('sets a random temp directory path on the context', async () => {
@@ -32,6 +43,8 @@ describe('setSourceDir', () => {
 
 describe('setSpawnParams', () => {
   const npmExecPath = process.env.npm_execpath;
+  // A project without a lockfile, so the package manager running us is used
+  const packagePath = join(mkdtempSync(join(tmpdir(), 'chromatictest-')), 'package.json');
 
   beforeEach(() => {
     process.env.npm_execpath = npmExecPath;
@@ -42,6 +55,7 @@ describe('setSpawnParams', () => {
     process.env.npm_execpath = 'npm';
     const ctx = {
       sourceDir: './source-dir/',
+      packagePath,
       options: { buildScriptName: 'build:storybook' },
       storybook: { version: '6.2.0' },
       git: { changedFiles: ['./index.js'] },
@@ -69,6 +83,7 @@ describe('setSpawnParams', () => {
     process.env.npm_execpath = '/path/to/yarn.js';
     const ctx = {
       sourceDir: './source-dir/',
+      packagePath,
       options: { buildScriptName: 'build:storybook' },
       storybook: { version: '6.1.0' },
       git: {},
@@ -85,10 +100,60 @@ describe('setSpawnParams', () => {
     });
   });
 
+  it('supports pnpm, selecting a workspace package from the workspace root', async () => {
+    process.env.npm_execpath = '/path/to/npx-cli.js';
+    const rootDir = mkdtempSync(join(tmpdir(), 'chromatictest-'));
+    mkdirSync(join(rootDir, 'packages/app'), { recursive: true });
+    writeFileSync(join(rootDir, 'pnpm-lock.yaml'), '');
+    const ctx = {
+      sourceDir: 'source-dir',
+      packagePath: join(rootDir, 'packages/app/package.json'),
+      packageJson: { name: '@acme/app' },
+      options: { buildScriptName: 'build:storybook' },
+      storybook: { version: '6.2.0' },
+      git: {},
+    };
+    await setSpawnParams(ctx);
+    expect(ctx.spawnParams).toEqual({
+      client: 'pnpm',
+      clientVersion: '1.2.3',
+      nodeVersion: '1.2.3',
+      platform: expect.stringMatching(/darwin|linux|win32/),
+      command: 'pnpm',
+      clientArgs: ['--filter', '@acme/app', 'run'],
+      cwd: rootDir,
+      scriptArgs: ['build:storybook', '--output-dir', join(process.cwd(), 'source-dir')],
+    });
+  });
+
+  it('supports Yarn Berry as declared through the packageManager field', async () => {
+    process.env.npm_execpath = '/path/to/.yarn/releases/yarn-3.2.0.cjs';
+    const rootDir = mkdtempSync(join(tmpdir(), 'chromatictest-'));
+    writeFileSync(join(rootDir, 'package.json'), '{ "packageManager": "yarn@3.2.0" }');
+    const ctx = {
+      sourceDir: './source-dir/',
+      packagePath: join(rootDir, 'package.json'),
+      options: { buildScriptName: 'build:storybook' },
+      storybook: { version: '6.2.0' },
+      git: {},
+    };
+    await setSpawnParams(ctx);
+    expect(ctx.spawnParams).toEqual({
+      client: 'yarn',
+      clientVersion: '3.2.0',
+      nodeVersion: '1.2.3',
+      platform: expect.stringMatching(/darwin|linux|win32/),
+      command: expect.stringMatching(/node/),
+      clientArgs: ['/path/to/.yarn/releases/yarn-3.2.0.cjs', 'run'],
+      scriptArgs: ['build:storybook', '--output-dir', './source-dir/'],
+    });
+  });
+
   it('warns if --only-changes is not supported', async () => {
     process.env.npm_execpath = 'npm';
     const ctx = {
       sourceDir: './source-dir/',
+      packagePath,
       options: { buildScriptName: 'build:storybook' },
       storybook: { version: '6.1.0' },
       git: { changedFiles: ['./index.js'] },
@@ -109,6 +174,7 @@ describe('buildStorybook', () => {
         clientArgs: ['--client-args'],
         scriptArgs: ['--script-args'],
       },
+      options: {},
       env: { STORYBOOK_BUILD_TIMEOUT: 1000 },
       log: { debug: jest.fn() },
     };
@@ -141,3 +207,62 @@ describe('buildStorybook', () => {
     expect(ctx.log.error).toHaveBeenCalledWith(expect.stringContaining('Operation timed out'));
   });
 });
+
+describe('restoreBuildCache', () => {
+  const getContext = () => ({
+    sourceDir: '/tmp/chromatic-abc',
+    options: { buildCacheDir: '/ci/cache' },
+    log: { debug: jest.fn(), warn: jest.fn() },
+  });
+
+  beforeEach(() => {
+    getBuildCacheKey.mockResolvedValue('abc123');
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('restores a cached build', async () => {
+    restoreBuild.mockResolvedValue(true);
+    const ctx = getContext();
+    const task = {};
+    await restoreBuildCache(ctx, task);
+    expect(restoreBuild).toHaveBeenCalledWith('/ci/cache', 'abc123', '/tmp/chromatic-abc');
+    expect(ctx.buildCache).toEqual({ dir: '/ci/cache', key: 'abc123', hit: true });
+    expect(task.title).toMatch('Build Storybook [cache hit]');
+  });
+
+  it('records a cache miss', async () => {
+    restoreBuild.mockResolvedValue(false);
+    const ctx = getContext();
+    await restoreBuildCache(ctx, {});
+    expect(ctx.buildCache).toEqual({ dir: '/ci/cache', key: 'abc123', hit: false });
+  });
+
+  it('continues without the cache when it cannot be read', async () => {
+    restoreBuild.mockRejectedValue(new Error('EACCES'));
+    const ctx = getContext();
+    await restoreBuildCache(ctx, {});
+    expect(ctx.buildCache).toBeUndefined();
+    expect(ctx.log.warn).toHaveBeenCalledWith(expect.stringContaining('EACCES'));
+  });
+
+  it('does nothing without --build-cache-dir', async () => {
+    const ctx = { ...getContext(), options: {} };
+    await restoreBuildCache(ctx, {});
+    expect(getBuildCacheKey).not.toHaveBeenCalled();
+    expect(ctx.buildCache).toBeUndefined();
+  });
+});
+
+describe('saveBuildCache', () => {
+  it('stores the build on a cache miss', async () => {
+    const ctx = {
+      sourceDir: '/tmp/chromatic-abc',
+      buildCache: { dir: '/ci/cache', key: 'abc123', hit: false },
+    };
+    await saveBuildCache(ctx);
+    expect(saveBuild).toHaveBeenCalledWith('/ci/cache', 'abc123', '/tmp/chromatic-abc');
+  });
+});
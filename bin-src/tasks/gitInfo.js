@@ -5,9 +5,11 @@ import {
   getParentCommits,
   getBaselineBuilds,
   getChangedFiles,
+  getMergedHeads,
   getSlug,
   getVersion,
 } from '../git/git';
+import { applyBranchProfile } from '../lib/getOptions';
 import { createTask, transitionTo } from '../lib/tasks';
 import {
   initial,
@@ -16,6 +18,7 @@ import {
   skippingBuild,
   skippedForCommit,
   skippedRebuild,
+  skippedUnchanged,
   success,
 } from '../ui/tasks/gitInfo';
 import externalsChanged from '../ui/messages/warnings/externalsChanged';
@@ -40,13 +43,39 @@ const TesterLastBuildQuery = `
   }
 `;
 
-export const setGitInfo = async (ctx, task) => {
-  const { branchName, patchBaseRef, fromCI: ci, interactive } = ctx.options;
+const getGitInfo = async (ctx) => {
+  const { branchName, patchBaseRef, fromCI: ci } = ctx.options;
+
+  const git = await getCommitAndBranch(ctx, { branchName, patchBaseRef, ci });
+  git.version = await getVersion();
+  if (!git.slug) {
+    git.slug = await getSlug().catch((e) => ctx.log.warn('Failed to retrieve slug', e));
+  }
+  return git;
+};
+
+// The SkipBuildMutation ensures the commit is tagged properly.
+const skipBuild = async (ctx, task, skipped) => {
+  transitionTo(skippingBuild)(ctx, task);
+  if (await ctx.client.runQuery(TesterSkipBuildMutation, { commit: ctx.git.commit })) {
+    ctx.skip = true;
+    transitionTo(skipped, true)(ctx, task);
+    ctx.exitCode = 0;
+    return;
+  }
+  throw new Error(skipFailed(ctx).output);
+};
 
-  ctx.git = await getCommitAndBranch(ctx, { branchName, patchBaseRef, ci });
-  ctx.git.version = await getVersion();
-  if (!ctx.git.slug) {
-    ctx.git.slug = await getSlug().catch((e) => ctx.log.warn('Failed to retrieve slug', e));
+export const setGitInfo = async (ctx, task) => {
+  const { interactive } = ctx.options;
+
+  // When running multiple projects, they share the commit, branch and slug (but not the baselines,
+  // which are specific to each project). We share the promise since the projects run in parallel.
+  if (ctx.shared) {
+    ctx.shared.git = ctx.shared.git || getGitInfo(ctx);
+    ctx.git = { ...(await ctx.shared.git) };
+  } else {
+    ctx.git = await getGitInfo(ctx);
   }
 
   if (ctx.git.slug && ctx.options.ownerName) {
@@ -55,23 +84,20 @@ export const setGitInfo = async (ctx, task) => {
 
   const { branch, commit } = ctx.git;
 
+  // Now that we know the branch, apply any branch-specific options from the configuration file
+  ctx.options = applyBranchProfile(ctx, branch);
+
   const matchesBranch = (glob) => (glob && glob.length ? picomatch(glob)(branch) : !!glob);
   ctx.git.matchesBranch = matchesBranch;
 
   if (matchesBranch(ctx.options.skip)) {
-    transitionTo(skippingBuild)(ctx, task);
-    // The SkipBuildMutation ensures the commit is tagged properly.
-    if (await ctx.client.runQuery(TesterSkipBuildMutation, { commit })) {
-      ctx.skip = true;
-      transitionTo(skippedForCommit, true)(ctx, task);
-      ctx.exitCode = 0;
-      return;
-    }
-    throw new Error(skipFailed(ctx).output);
+    await skipBuild(ctx, task, skippedForCommit);
+    return;
   }
 
   const parentCommits = await getParentCommits(ctx, {
     ignoreLastBuildOnBranch: matchesBranch(ctx.options.ignoreLastBuildOnBranch),
+    mergedHeads: ctx.git.isMergeQueue ? await getMergedHeads(commit) : [],
   });
   ctx.git.parentCommits = parentCommits;
   ctx.log.debug(`Found parentCommits: ${parentCommits.join(', ')}`);
@@ -118,6 +144,7 @@ export const setGitInfo = async (ctx, task) => {
     const baselineBuilds = await getBaselineBuilds(ctx, { branch, parentCommits });
     const baselineCommits = baselineBuilds.map((build) => build.commit);
     ctx.log.debug(`Found baselineCommits: ${baselineCommits.join(', ')}`);
+    ctx.turboSnap.baselineCommits = baselineCommits;
 
     // Use the most recent baseline to determine final CLI output if we end up skipping the build.
     // Note this will get overwritten if we end up not skipping the build.
@@ -153,12 +180,22 @@ export const setGitInfo = async (ctx, task) => {
         }
       }
     }
+
+    // If none of the changed files are part of this project (e.g. a package in a monorepo), there's
+    // no need to build Storybook at all. We still tag the commit so it can serve as a baseline.
+    const { skipUnchanged } = ctx.options;
+    const isRelevant = (filepath) => skipUnchanged.some((glob) => matchesFile(glob, filepath));
+    if (skipUnchanged && ctx.git.changedFiles && !ctx.git.changedFiles.some(isRelevant)) {
+      await skipBuild(ctx, task, skippedUnchanged);
+      return;
+    }
   }
 
   transitionTo(success, true)(ctx, task);
 };
 
 export default createTask({
+  name: 'gitInfo',
   title: initial.title,
   steps: [transitionTo(pending), setGitInfo],
 });
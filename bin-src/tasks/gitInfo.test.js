@@ -2,6 +2,7 @@ import { getCommitAndBranch } from '../git/getCommitAndBranch';
 import {
   getBaselineBuilds,
   getChangedFiles,
+  getMergedHeads,
   getParentCommits,
   getSlug,
   getVersion,
@@ -41,12 +42,29 @@ describe('setGitInfo', () => {
     expect(ctx.git).toMatchObject({ slug: 'org/repo' });
   });
 
+  it('passes the merged heads of a merge queue build to getParentCommits', async () => {
+    getCommitAndBranch.mockResolvedValue({
+      commit: '123asdf',
+      branch: 'gh-readonly-queue/main/pr-1-123asdf',
+      isMergeQueue: true,
+    });
+    getMergedHeads.mockResolvedValue(['456qwer']);
+    const ctx = { log, options: {} };
+    await setGitInfo(ctx, {});
+    expect(getMergedHeads).toHaveBeenCalledWith('123asdf');
+    expect(getParentCommits).toHaveBeenCalledWith(ctx, {
+      ignoreLastBuildOnBranch: false,
+      mergedHeads: ['456qwer'],
+    });
+  });
+
   it('sets changedFiles', async () => {
     getBaselineBuilds.mockResolvedValue([{ commit: '012qwes' }]);
     getChangedFiles.mockResolvedValue(['styles/main.scss', 'lib/utils.js']);
     const ctx = { log, options: { onlyChanged: true } };
     await setGitInfo(ctx, {});
     expect(ctx.git.changedFiles).toEqual(['styles/main.scss', 'lib/utils.js']);
+    expect(ctx.turboSnap.baselineCommits).toEqual(['012qwes']);
   });
 
   it('drops changedFiles when matching --externals', async () => {
@@ -56,4 +74,53 @@ describe('setGitInfo', () => {
     await setGitInfo(ctx, {});
     expect(ctx.git.changedFiles).toBeNull();
   });
+
+  it('skips the build when none of the changed files match --skip-unchanged', async () => {
+    getBaselineBuilds.mockResolvedValue([{ commit: '012qwes' }]);
+    getChangedFiles.mockResolvedValue(['packages/api/index.js', 'README.md']);
+    const client = { runQuery: jest.fn(() => true) };
+    const ctx = { log, client, options: { onlyChanged: true, skipUnchanged: ['packages/ui/**'] } };
+    await setGitInfo(ctx, {});
+    expect(ctx.skip).toBe(true);
+    expect(ctx.exitCode).toBe(0);
+    expect(client.runQuery).toHaveBeenCalledWith(expect.stringMatching(/TesterSkipBuildMutation/), {
+      commit: '123asdf',
+    });
+  });
+
+  it('does not skip the build when any of the changed files match --skip-unchanged', async () => {
+    getBaselineBuilds.mockResolvedValue([{ commit: '012qwes' }]);
+    getChangedFiles.mockResolvedValue(['packages/api/index.js', 'packages/ui/Button.js']);
+    const client = { runQuery: jest.fn(() => true) };
+    const ctx = { log, client, options: { onlyChanged: true, skipUnchanged: ['packages/ui/**'] } };
+    await setGitInfo(ctx, {});
+    expect(ctx.skip).toBeUndefined();
+    expect(client.runQuery).not.toHaveBeenCalled();
+  });
+
+  it('does not skip the build for --skip-unchanged when changedFiles was dropped', async () => {
+    getBaselineBuilds.mockResolvedValue([{ commit: '012qwes' }]);
+    getChangedFiles.mockResolvedValue(['styles/main.scss']);
+    const client = { runQuery: jest.fn(() => true) };
+    const ctx = {
+      log,
+      client,
+      options: { onlyChanged: true, externals: ['**/*.scss'], skipUnchanged: ['packages/ui/**'] },
+    };
+    await setGitInfo(ctx, {});
+    expect(ctx.skip).toBeUndefined();
+    expect(client.runQuery).not.toHaveBeenCalled();
+  });
+
+  it('applies the configuration profile matching the branch', async () => {
+    const profiles = { something: { skip: true } };
+    const client = { runQuery: jest.fn(() => true) };
+    const ctx = { log, client, flags: {}, options: { profiles } };
+    await setGitInfo(ctx, {});
+    expect(ctx.options.skip).toBe(true);
+    expect(ctx.skip).toBe(true);
+    expect(client.runQuery).toHaveBeenCalledWith(expect.stringMatching(/TesterSkipBuildMutation/), {
+      commit: '123asdf',
+    });
+  });
 });
@@ -18,5 +18,5 @@ export const runPatchBuild = (runBuild) => [prepareWorkspace, ...runBuild, resto
 export default (options) => {
   const runBuild = options.useTunnel ? runTunnelBuild : runUploadBuild;
   const tasks = options.patchHeadRef && options.patchBaseRef ? runPatchBuild(runBuild) : runBuild;
-  return options.junitReport ? tasks.concat(report) : tasks;
+  return options.junitReport || options.reportFormats ? tasks.concat(report) : tasks;
 };
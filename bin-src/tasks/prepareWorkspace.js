@@ -60,6 +60,7 @@ export const runPrepareWorkspace = async (ctx, task) => {
 };
 
 export default createTask({
+  name: 'prepareWorkspace',
   title: initial.title,
   steps: [transitionTo(pending), runPrepareWorkspace, transitionTo(success, true)],
 });
@@ -1,6 +1,8 @@
+import fs from 'fs-extra';
 import reportBuilder from 'junit-report-builder';
 import path from 'path';
 
+import { getReportData, reportFormats } from '../lib/reportFormats';
 import { createTask, transitionTo } from '../lib/tasks';
 import { baseStorybookUrl } from '../lib/utils';
 import wroteReport from '../ui/messages/info/wroteReport';
@@ -36,21 +38,10 @@ const ReportQuery = `
   }
 `;
 
-export const generateReport = async (ctx) => {
-  const { client, log } = ctx;
+const writeJUnitReport = (ctx, build) => {
   const { junitReport } = ctx.options;
-  const { number: buildNumber, reportToken } = ctx.build;
-
   const file = junitReport === true ? 'chromatic-build-{buildNumber}.xml' : junitReport;
-  ctx.reportPath = path.resolve(file.replace(/{buildNumber}/g, buildNumber));
-
-  const {
-    app: { build },
-  } = await client.runQuery(
-    ReportQuery,
-    { buildNumber },
-    { headers: { Authorization: `Bearer ${reportToken}` } }
-  );
+  const reportPath = path.resolve(file.replace(/{buildNumber}/g, build.number));
   const buildTime = (build.completedAt || Date.now()) - build.createdAt;
 
   const suite = reportBuilder
@@ -91,11 +82,50 @@ export const generateReport = async (ctx) => {
     }
   });
 
-  reportBuilder.writeTo(ctx.reportPath);
-  log.info(wroteReport(ctx.reportPath, 'JUnit XML'));
+  reportBuilder.writeTo(reportPath);
+  ctx.log.info(wroteReport(reportPath, 'JUnit XML'));
+  return reportPath;
+};
+
+// Reports are written relative to the project directory, so those of multiple projects don't
+// overwrite each other
+const writeFormattedReport = async (ctx, build, format) => {
+  const { label, extension, render } = reportFormats[format];
+  const { reportFile = 'chromatic-build-{buildNumber}.{extension}', workingDir = '.' } =
+    ctx.options;
+  const file = reportFile
+    .replace(/{buildNumber}/g, build.number)
+    .replace(/{extension}/g, extension);
+  const reportPath = path.resolve(workingDir, file);
+  await fs.outputFile(reportPath, render(getReportData(build)));
+  ctx.log.info(wroteReport(reportPath, label));
+  return reportPath;
+};
+
+export const generateReport = async (ctx) => {
+  const { client } = ctx;
+  const { junitReport, reportFormats: formats = [] } = ctx.options;
+  const { number: buildNumber, reportToken } = ctx.build;
+
+  const {
+    app: { build },
+  } = await client.runQuery(
+    ReportQuery,
+    { buildNumber },
+    { headers: { Authorization: `Bearer ${reportToken}` } }
+  );
+
+  ctx.reportPaths = [];
+  if (junitReport) ctx.reportPaths.push(writeJUnitReport(ctx, build));
+  // eslint-disable-next-line no-restricted-syntax
+  for (const format of formats) {
+    // eslint-disable-next-line no-await-in-loop
+    ctx.reportPaths.push(await writeFormattedReport(ctx, build, format));
+  }
 };
 
 export default createTask({
+  name: 'report',
   title: initial.title,
   skip: (ctx) => ctx.skip,
   steps: [transitionTo(pending), generateReport, transitionTo(success, true)],
@@ -0,0 +1,51 @@
+import { outputFile } from 'fs-extra';
+import path from 'path';
+
+import { generateReport } from './report';
+
+jest.mock('fs-extra');
+
+const log = { info: jest.fn(), warn: jest.fn(), debug: jest.fn() };
+const build = {
+  number: 1,
+  status: 'PENDING',
+  webUrl: 'https://www.chromatic.com/build?appId=123&number=1',
+  cachedUrl: 'https://5d67dc0374b2e300209c41e7-pfkaemtlit.chromatic.com/iframe.html',
+  createdAt: 0,
+  completedAt: 1000,
+  tests: [],
+};
+
+const getContext = (options) => ({
+  log,
+  options,
+  build: { number: 1, reportToken: 'report-token' },
+  client: { runQuery: jest.fn(async () => ({ app: { build } })) },
+});
+
+afterEach(() => {
+  outputFile.mockReset();
+});
+
+describe('generateReport', () => {
+  it('writes report files named after the build number in the working directory', async () => {
+    const ctx = getContext({ reportFormats: ['markdown', 'json'], workingDir: '/project/one' });
+    await generateReport(ctx);
+
+    expect(ctx.reportPaths).toEqual([
+      path.resolve('/project/one/chromatic-build-1.md'),
+      path.resolve('/project/one/chromatic-build-1.json'),
+    ]);
+    expect(outputFile).toHaveBeenCalledWith(ctx.reportPaths[0], expect.any(String));
+  });
+
+  it('writes report files to the path given by --report-file', async () => {
+    const ctx = getContext({
+      reportFormats: ['html'],
+      reportFile: 'reports/build-{buildNumber}-report.{extension}',
+    });
+    await generateReport(ctx);
+
+    expect(ctx.reportPaths).toEqual([path.resolve('reports/build-1-report.html')]);
+  });
+});
@@ -36,7 +36,12 @@ export const takeSnapshots = async (ctx, task) => {
   const { client, log, options } = ctx;
   const { number: buildNumber, tests, testCount, actualTestCount } = ctx.build;
 
-  if (ctx.build.app.repository && ctx.uploadedBytes && !options.junitReport) {
+  if (
+    ctx.build.app.repository &&
+    ctx.uploadedBytes &&
+    !options.junitReport &&
+    !options.reportFormats
+  ) {
     log.info(speedUpCI(ctx.build.app.repository.provider));
   }
 
@@ -109,6 +114,7 @@ export const takeSnapshots = async (ctx, task) => {
 };
 
 export default createTask({
+  name: 'snapshot',
   title: initial.title,
   skip: (ctx) => {
     if (ctx.skip) return true;
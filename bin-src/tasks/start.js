@@ -31,6 +31,7 @@ export const startStorybook = async (ctx) => {
 };
 
 export default createTask({
+  name: 'start',
   title: initial.title,
   skip: async (ctx) => {
     if (ctx.skip) return true;
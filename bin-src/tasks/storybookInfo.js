@@ -7,6 +7,7 @@ export const setStorybookInfo = async (ctx) => {
 };
 
 export default createTask({
+  name: 'storybookInfo',
   title: initial.title,
   skip: (ctx) => ctx.skip,
   steps: [transitionTo(pending), setStorybookInfo, transitionTo(success, true)],
@@ -58,6 +58,7 @@ export const testConnection = async (ctx) => {
 };
 
 export default createTask({
+  name: 'tunnel',
   title: initial.title,
   skip: (ctx) => ctx.skip || !ctx.options.createTunnel,
   steps: [transitionTo(pending), createTunnel, testConnection, transitionTo(success, true)],
@@ -1,15 +1,20 @@
 /* eslint-disable no-param-reassign */
 import fs from 'fs-extra';
-import { join } from 'path';
-import slash from 'slash';
+import { join, resolve } from 'path';
+import picomatch from 'picomatch';
+import stripAnsi from 'strip-ansi';
 import { URL } from 'url';
 
 import { getDependentStoryFiles } from '../lib/getDependentStoryFiles';
+import getFileHashes from '../lib/getFileHashes';
+import scanDirectory from '../lib/scanDirectory';
 import { createTask, transitionTo } from '../lib/tasks';
 import makeZipFile from '../lib/compress';
 import uploadFiles from '../lib/uploadFiles';
 import { rewriteErrorMessage } from '../lib/utils';
 import { uploadZip, waitForUnpack } from '../lib/uploadZip';
+import tracedPaths from '../ui/messages/info/tracedPaths';
+import wroteReport from '../ui/messages/info/wroteReport';
 import deviatingOutputDir from '../ui/messages/warnings/deviatingOutputDir';
 import missingStatsFile from '../ui/messages/warnings/missingStatsFile';
 import {
@@ -29,8 +34,8 @@ import {
 } from '../ui/tasks/upload';
 
 const TesterGetUploadUrlsMutation = `
-  mutation TesterGetUploadUrlsMutation($paths: [String!]!) {
-    getUploadUrls(paths: $paths) {
+  mutation TesterGetUploadUrlsMutation($paths: [String!]!, $hashes: [String!]) {
+    getUploadUrls(paths: $paths, hashes: $hashes) {
       domain
       urls {
         path
@@ -51,28 +56,6 @@ const TesterGetZipUploadUrlMutation = `
   }
 `;
 
-// Get all paths in rootDir, starting at dirname.
-// We don't want the paths to include rootDir -- so if rootDir = storybook-static,
-// paths will be like iframe.html rather than storybook-static/iframe.html
-function getPathsInDir(ctx, rootDir, dirname = '.') {
-  try {
-    return fs
-      .readdirSync(join(rootDir, dirname))
-      .map((p) => join(dirname, p))
-      .map((pathname) => {
-        const stats = fs.statSync(join(rootDir, pathname));
-        if (stats.isDirectory()) {
-          return getPathsInDir(ctx, rootDir, pathname);
-        }
-        return [{ pathname, contentLength: stats.size }];
-      })
-      .reduce((a, b) => [...a, ...b], []); // flatten
-  } catch (e) {
-    ctx.log.debug(e);
-    throw new Error(invalid({ sourceDir: rootDir }, e).output);
-  }
-}
-
 function getOutputDir(buildLog) {
   const outputString = 'Output directory: ';
   const outputIndex = buildLog.lastIndexOf(outputString);
@@ -83,24 +66,49 @@ function getOutputDir(buildLog) {
   return outputDir.trim();
 }
 
-function getFileInfo(ctx, sourceDir) {
-  const lengths = getPathsInDir(ctx, sourceDir).map((o) => ({ ...o, knownAs: slash(o.pathname) }));
-  const total = lengths.map(({ contentLength }) => contentLength).reduce((a, b) => a + b, 0);
+// Files matching --upload-exclude are counted, but not published. Globs without a slash (e.g.
+// `*.map`) match files in any directory, like in a .gitignore file.
+async function getFileInfo(ctx, sourceDir) {
+  const { uploadExclude } = ctx.options || {};
+  const isExcluded = uploadExclude
+    ? picomatch(uploadExclude, { dot: true, basename: true })
+    : () => false;
+  const lengths = [];
   const paths = [];
+  const excluded = { count: 0, bytes: 0 };
   let statsPath;
-  // eslint-disable-next-line no-restricted-syntax
-  for (const { knownAs } of lengths) {
-    if (knownAs.endsWith('preview-stats.json')) statsPath = knownAs;
-    else if (!knownAs.endsWith('manager-stats.json')) paths.push(knownAs);
+  let total = 0;
+  try {
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const file of scanDirectory(sourceDir)) {
+      const { knownAs, contentLength } = file;
+      lengths.push(file);
+      total += contentLength;
+      if (knownAs.endsWith('preview-stats.json')) {
+        statsPath = knownAs;
+      } else if (isExcluded(knownAs)) {
+        excluded.count += 1;
+        excluded.bytes += contentLength;
+      } else if (!knownAs.endsWith('manager-stats.json')) {
+        paths.push(knownAs);
+      }
+    }
+  } catch (e) {
+    ctx.log.debug(e);
+    throw new Error(invalid({ sourceDir }, e).output);
   }
-  return { lengths, paths, statsPath, total };
+  // Files are found in no particular order, but we want the order to be stable
+  const byPath = (a, b) => (a < b ? -1 : Number(a > b));
+  lengths.sort((a, b) => byPath(a.knownAs, b.knownAs));
+  paths.sort(byPath);
+  return { lengths, paths, statsPath, total, excluded };
 }
 
 const isValidStorybook = ({ paths, total }) =>
   total > 0 && paths.includes('iframe.html') && paths.includes('index.html');
 
 export const validateFiles = async (ctx, task) => {
-  ctx.fileInfo = getFileInfo(ctx, ctx.sourceDir);
+  ctx.fileInfo = await getFileInfo(ctx, ctx.sourceDir);
 
   if (!isValidStorybook(ctx.fileInfo) && ctx.buildLogFile) {
     try {
@@ -109,7 +117,7 @@ export const validateFiles = async (ctx, task) => {
       if (outputDir && outputDir !== ctx.sourceDir) {
         ctx.log.warn(deviatingOutputDir(ctx, outputDir));
         ctx.sourceDir = outputDir;
-        ctx.fileInfo = getFileInfo(ctx, ctx.sourceDir);
+        ctx.fileInfo = await getFileInfo(ctx, ctx.sourceDir);
       }
     } catch (e) {
       ctx.log.debug(e);
@@ -121,6 +129,19 @@ export const validateFiles = async (ctx, task) => {
   }
 };
 
+// Prints the traced import chains for --trace-changed, or writes them to the given file
+const reportTracedPaths = async (ctx) => {
+  const { traceChanged } = ctx.options;
+  const tree = tracedPaths(ctx.turboSnap.tracedPaths);
+  if (traceChanged === true) {
+    ctx.log.info(tree);
+    return;
+  }
+  const tracePath = resolve(traceChanged);
+  await fs.outputFile(tracePath, `${stripAnsi(tree)}\n`);
+  ctx.log.info(wroteReport(tracePath, 'TurboSnap trace'));
+};
+
 export const traceChangedFiles = async (ctx, task) => {
   if (!ctx.git.changedFiles) return;
   if (!ctx.fileInfo.statsPath) {
@@ -152,6 +173,7 @@ export const traceChangedFiles = async (ctx, task) => {
           );
         }
       }
+      if (ctx.options.traceChanged) await reportTracedPaths(ctx);
       transitionTo(traced)(ctx, task);
     } else {
       transitionTo(bailed)(ctx, task);
@@ -164,16 +186,32 @@ export const traceChangedFiles = async (ctx, task) => {
   }
 };
 
+// Files are identified by the hash of their contents, so we only have to upload the files which the
+// server doesn't already have (e.g. from a previous build). It only returns URLs for those files.
 async function uploadAsIndividualFiles(ctx, task) {
-  const { lengths, paths, total } = ctx.fileInfo;
-  const { getUploadUrls } = await ctx.client.runQuery(TesterGetUploadUrlsMutation, { paths });
+  const { lengths, paths } = ctx.fileInfo;
+  const hashes = await getFileHashes(paths, ctx.sourceDir);
+  const { getUploadUrls } = await ctx.client.runQuery(TesterGetUploadUrlsMutation, {
+    paths,
+    hashes,
+  });
   const { domain, urls } = getUploadUrls;
+  const contentLengths = new Map(
+    lengths.map(({ knownAs, contentLength }) => [knownAs, contentLength])
+  );
+  const getLength = (path) => contentLengths.get(path);
   const files = urls.map(({ path, url, contentType }) => ({
     path: join(ctx.sourceDir, path),
     url,
     contentType,
-    contentLength: lengths.find(({ knownAs }) => knownAs === path).contentLength,
+    contentLength: getLength(path),
   }));
+  const total = files.reduce((sum, { contentLength }) => sum + contentLength, 0);
+
+  const uploadPaths = new Set(urls.map(({ path }) => path));
+  const skippedPaths = paths.filter((path) => !uploadPaths.has(path));
+  ctx.uploadedFiles = { count: files.length, total: paths.length };
+  ctx.skippedBytes = skippedPaths.reduce((sum, path) => sum + getLength(path), 0);
 
   task.output = starting(ctx).output;
 
@@ -242,6 +280,7 @@ export const uploadStorybook = async (ctx, task) => {
 };
 
 export default createTask({
+  name: 'upload',
   title: initial.title,
   skip: (ctx) => {
     if (ctx.skip) return true;
@@ -1,12 +1,45 @@
-import { createReadStream, readdirSync, readFileSync, statSync } from 'fs-extra';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { createReadStream, outputFile, readdir, readFileSync, stat } from 'fs-extra';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import progress from 'progress-stream';
 
+import GraphQLClient from '../io/GraphQLClient';
+import HTTPClient from '../io/HTTPClient';
 import { getDependentStoryFiles } from '../lib/getDependentStoryFiles';
+import getFileHashes from '../lib/getFileHashes';
 import { validateFiles, traceChangedFiles, uploadStorybook } from './upload';
 
 jest.mock('fs-extra');
 jest.mock('progress-stream');
 jest.mock('../lib/getDependentStoryFiles');
+jest.mock('../lib/getFileHashes');
+
+// node-fetch is an ES module, so we substitute a minimal implementation on top of Node's http module
+jest.mock('node-fetch', () =>
+  jest.fn(
+    (url, { method = 'GET', headers, body } = {}) =>
+      new Promise((resolve, reject) => {
+        const req = jest.requireActual('http').request(url, { method, headers }, (res) => {
+          let data = '';
+          res.on('data', (chunk) => {
+            data += chunk;
+          });
+          res.on('end', () =>
+            resolve({
+              ok: res.statusCode < 400,
+              status: res.statusCode,
+              json: async () => JSON.parse(data),
+            })
+          );
+        });
+        req.on('error', reject);
+        if (body && body.pipe) body.pipe(req);
+        else req.end(body);
+      })
+  )
+);
 
 const env = { CHROMATIC_RETRIES: 2 };
 const log = { info: jest.fn(), warn: jest.fn(), debug: jest.fn() };
@@ -14,8 +47,8 @@ const http = { fetch: jest.fn() };
 
 describe('validateFiles', () => {
   it('sets fileInfo on context', async () => {
-    readdirSync.mockReturnValue(['iframe.html', 'index.html']);
-    statSync.mockReturnValue({ isDirectory: () => false, size: 42 });
+    readdir.mockResolvedValue(['iframe.html', 'index.html']);
+    stat.mockResolvedValue({ isDirectory: () => false, size: 42 });
 
     const ctx = { env, log, http, sourceDir: '/static/' };
     await validateFiles(ctx, {});
@@ -32,17 +65,67 @@ describe('validateFiles', () => {
     );
   });
 
+  it('leaves out files matching --upload-exclude, keeping track of their size', async () => {
+    readdir.mockResolvedValue(['iframe.html', 'index.html', 'main.js.map', 'preview-stats.json']);
+    stat.mockResolvedValue({ isDirectory: () => false, size: 42 });
+
+    const ctx = {
+      env,
+      log,
+      http,
+      sourceDir: '/static/',
+      options: { uploadExclude: ['*.map', '*.json'] },
+    };
+    await validateFiles(ctx, {});
+
+    expect(ctx.fileInfo).toEqual(
+      expect.objectContaining({
+        paths: ['iframe.html', 'index.html'],
+        statsPath: 'preview-stats.json',
+        excluded: { count: 1, bytes: 42 },
+      })
+    );
+  });
+
+  it('matches --upload-exclude globs without a slash against files in nested directories', async () => {
+    readdir.mockImplementation(async (path) =>
+      path.endsWith('sb-addons')
+        ? ['x.js.map', '.DS_Store', 'x.js']
+        : ['iframe.html', 'index.html', 'sb-addons']
+    );
+    stat.mockImplementation(async (path) => ({
+      isDirectory: () => path.endsWith('sb-addons'),
+      size: 42,
+    }));
+
+    const ctx = {
+      env,
+      log,
+      http,
+      sourceDir: '/static/',
+      options: { uploadExclude: ['*.map', '.DS_Store'] },
+    };
+    await validateFiles(ctx, {});
+
+    expect(ctx.fileInfo).toEqual(
+      expect.objectContaining({
+        paths: ['iframe.html', 'index.html', 'sb-addons/x.js'],
+        excluded: { count: 2, bytes: 84 },
+      })
+    );
+  });
+
   it("throws when index.html doesn't exist", async () => {
-    readdirSync.mockReturnValue(['iframe.html']);
-    statSync.mockReturnValue({ isDirectory: () => false, size: 42 });
+    readdir.mockResolvedValue(['iframe.html']);
+    stat.mockResolvedValue({ isDirectory: () => false, size: 42 });
 
     const ctx = { env, log, http, sourceDir: '/static/' };
     await expect(validateFiles(ctx, {})).rejects.toThrow('Invalid Storybook build at /static/');
   });
 
   it("throws when iframe.html doesn't exist", async () => {
-    readdirSync.mockReturnValue(['index.html']);
-    statSync.mockReturnValue({ isDirectory: () => false, size: 42 });
+    readdir.mockResolvedValue(['index.html']);
+    stat.mockResolvedValue({ isDirectory: () => false, size: 42 });
 
     const ctx = { env, log, http, sourceDir: '/static/' };
     await expect(validateFiles(ctx, {})).rejects.toThrow('Invalid Storybook build at /static/');
@@ -50,9 +133,9 @@ describe('validateFiles', () => {
 
   describe('with buildLogFile', () => {
     it('retries using outputDir from build-storybook.log', async () => {
-      readdirSync.mockReturnValueOnce([]);
-      readdirSync.mockReturnValueOnce(['iframe.html', 'index.html']);
-      statSync.mockReturnValue({ isDirectory: () => false, size: 42 });
+      readdir.mockResolvedValueOnce([]);
+      readdir.mockResolvedValueOnce(['iframe.html', 'index.html']);
+      stat.mockResolvedValue({ isDirectory: () => false, size: 42 });
       readFileSync.mockReturnValue('info => Output directory: /var/storybook-static');
 
       const ctx = {
@@ -100,6 +183,30 @@ describe('traceChangedFiles', () => {
 
     expect(ctx.onlyStoryFiles).toEqual(deps);
   });
+
+  it('writes the traced paths to a file with --trace-changed', async () => {
+    getDependentStoryFiles.mockImplementationOnce(async (ctx) => {
+      ctx.turboSnap.tracedPaths = [['example.js', 'example.stories.js']];
+      return { 123: './example.stories.js' };
+    });
+
+    const ctx = {
+      env,
+      log,
+      http,
+      options: { traceChanged: 'trace.txt' },
+      sourceDir: '/static/',
+      fileInfo: { statsPath: '/static/preview-stats.json' },
+      git: { changedFiles: ['./example.js'] },
+      turboSnap: {},
+    };
+    await traceChangedFiles(ctx, {});
+
+    expect(outputFile).toHaveBeenCalledWith(
+      expect.stringMatching(/trace\.txt$/),
+      expect.stringContaining('example.js\n└─ example.stories.js\n')
+    );
+  });
 });
 
 describe('uploadStorybook', () => {
@@ -123,6 +230,7 @@ describe('uploadStorybook', () => {
       },
     });
 
+    getFileHashes.mockResolvedValue(['iframehash', 'indexhash']);
     createReadStream.mockReturnValue({ pipe: jest.fn() });
     http.fetch.mockReturnValue({ ok: true });
     progress.mockReturnValue({ on: jest.fn() });
@@ -140,7 +248,7 @@ describe('uploadStorybook', () => {
 
     expect(client.runQuery).toHaveBeenCalledWith(
       expect.stringMatching(/TesterGetUploadUrlsMutation/),
-      { paths: ['iframe.html', 'index.html'] }
+      { paths: ['iframe.html', 'index.html'], hashes: ['iframehash', 'indexhash'] }
     );
     expect(http.fetch).toHaveBeenCalledWith(
       'https://asdqwe.chromatic.com/iframe.html',
@@ -167,6 +275,98 @@ describe('uploadStorybook', () => {
       expect.objectContaining({ retries: 0 })
     );
     expect(ctx.uploadedBytes).toBe(84);
+    expect(ctx.uploadedFiles).toEqual({ count: 2, total: 2 });
+    expect(ctx.skippedBytes).toBe(0);
     expect(ctx.isolatorUrl).toBe('https://asdqwe.chromatic.com/iframe.html');
   });
+
+  describe('with a server which already has some of the files', () => {
+    const files = { 'iframe.html': '<html>iframe</html>', 'index.html': '<html>index</html>' };
+    const requests = [];
+    let server;
+    let sourceDir;
+    let knownHashes;
+
+    // Stand-in for the GraphQL API and the upload target, which only hands out upload URLs for
+    // files (hashes) it hasn't seen before
+    const handleRequest = (req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, body });
+        if (req.method === 'PUT') {
+          res.end();
+          return;
+        }
+        const { paths, hashes } = JSON.parse(body).variables;
+        const domain = `http://localhost:${server.address().port}`;
+        const urls = paths
+          .filter((path, index) => !knownHashes.includes(hashes[index]))
+          .map((path) => ({ path, url: `${domain}/upload/${path}`, contentType: 'text/html' }));
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({ data: { getUploadUrls: { domain, urls } } }));
+      });
+    };
+
+    beforeAll(async () => {
+      sourceDir = mkdtempSync(join(tmpdir(), 'chromatictest-'));
+      Object.entries(files).forEach(([path, contents]) =>
+        writeFileSync(join(sourceDir, path), contents)
+      );
+      server = createServer(handleRequest);
+      await new Promise((resolve) => server.listen(0, resolve));
+    });
+
+    afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+    beforeEach(() => {
+      const fs = jest.requireActual('fs-extra');
+      createReadStream.mockImplementation(fs.createReadStream);
+      progress.mockImplementation(jest.requireActual('progress-stream'));
+      getFileHashes.mockImplementation(jest.requireActual('../lib/getFileHashes').default);
+      requests.length = 0;
+    });
+
+    it('sends the file hashes and only uploads the files the server does not have', async () => {
+      const hashes = await jest
+        .requireActual('../lib/getFileHashes')
+        .default(Object.keys(files), sourceDir);
+      knownHashes = [hashes[1]];
+
+      const uri = `http://localhost:${server.address().port}/graphql`;
+      const client = new GraphQLClient({ uri, env: {}, log });
+      const fileInfo = {
+        lengths: Object.entries(files).map(([knownAs, contents]) => ({
+          knownAs,
+          contentLength: contents.length,
+        })),
+        paths: Object.keys(files),
+        total: 37,
+      };
+      const ctx = {
+        client,
+        env,
+        log,
+        http: new HTTPClient({ env: {}, log }),
+        sourceDir,
+        options: {},
+        fileInfo,
+      };
+      await uploadStorybook(ctx, {});
+
+      expect(JSON.parse(requests[0].body).variables).toEqual({
+        paths: ['iframe.html', 'index.html'],
+        hashes,
+      });
+      expect(requests.slice(1)).toEqual([
+        { method: 'PUT', url: '/upload/iframe.html', body: '<html>iframe</html>' },
+      ]);
+      expect(ctx.uploadedBytes).toBe(19);
+      expect(ctx.uploadedFiles).toEqual({ count: 1, total: 2 });
+      expect(ctx.skippedBytes).toBe(18);
+      expect(ctx.isolatorUrl).toBe(`http://localhost:${server.address().port}/iframe.html`);
+    });
+  });
 });
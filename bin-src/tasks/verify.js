@@ -1,3 +1,4 @@
+import compareStoriesManifest from '../lib/storiesManifest';
 import { createTask, transitionTo } from '../lib/tasks';
 import listingStories from '../ui/messages/info/listingStories';
 import storybookPublished from '../ui/messages/info/storybookPublished';
@@ -76,7 +77,8 @@ export const setEnvironment = async (ctx) => {
 
 export const createBuild = async (ctx, task) => {
   const { list, only, patchBaseRef, patchHeadRef, preserveMissingSpecs } = ctx.options;
-  const { version, matchesBranch, changedFiles, ...commitInfo } = ctx.git; // omit some fields
+  // omit some fields
+  const { version, matchesBranch, changedFiles, isMergeQueue, ...commitInfo } = ctx.git;
   const { isolatorUrl, rebuildForBuildId, onlyStoryFiles, turboSnap } = ctx;
   const autoAcceptChanges = matchesBranch(ctx.options.autoAcceptChanges);
 
@@ -125,6 +127,10 @@ export const createBuild = async (ctx, task) => {
     ctx.log.info(listingStories(build.tests));
   }
 
+  if (ctx.options.storiesManifest) {
+    await compareStoriesManifest(ctx);
+  }
+
   if (!ctx.isOnboarding && !ctx.git.parentCommits) {
     ctx.log.warn(noAncestorBuild(ctx));
   }
@@ -158,6 +164,7 @@ export const createBuild = async (ctx, task) => {
 };
 
 export default createTask({
+  name: 'verify',
   title: initial.title,
   skip: (ctx) => {
     if (ctx.skip) return true;
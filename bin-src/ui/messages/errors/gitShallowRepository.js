@@ -0,0 +1,21 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { error, info } from '../../components/icons';
+import link from '../../components/link';
+
+const githubActionNote = dedent`
+  In {bold GitHub Actions}, you can enable this by setting \`fetch-depth: 0\` on the checkout step.
+  ${info} Read more at ${link('https://www.chromatic.com/docs/github-actions')}
+`;
+const genericNote = dedent`
+  Configure your CI provider to fetch the full history (e.g. \`GIT_DEPTH: 0\` on GitLab CI), or run \`git fetch --unshallow\` before running Chromatic.
+`;
+
+export default (isGithubAction) =>
+  dedent(chalk`
+    ${error} {bold Could not find ancestor builds in a shallow clone}
+    This repository is a shallow clone, and we failed to fetch enough of its history to find the commits of previous builds.
+    In order for Chromatic to correctly determine baseline commits, we need access to the full Git history graph.
+    ${isGithubAction ? githubActionNote : genericNote}
+  `);
@@ -0,0 +1,9 @@
+import gitShallowRepository from './gitShallowRepository';
+
+export default {
+  title: 'CLI/Messages/Errors',
+};
+
+export const GitShallowRepository = () => gitShallowRepository();
+
+export const GitShallowRepositoryGitHubAction = () => gitShallowRepository(true);
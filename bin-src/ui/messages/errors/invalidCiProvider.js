@@ -0,0 +1,10 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { error } from '../../components/icons';
+
+export default (provider, supportedProviders) =>
+  dedent(chalk`
+    ${error} Invalid value for {bold --ci-provider}: ${provider}
+    Supported CI providers are: ${supportedProviders.join(', ')}
+  `);
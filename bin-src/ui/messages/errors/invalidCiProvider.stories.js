@@ -0,0 +1,8 @@
+import invalidCiProvider from './invalidCiProvider';
+
+export default {
+  title: 'CLI/Messages/Errors',
+};
+
+export const InvalidCiProvider = () =>
+  invalidCiProvider('travis', ['github', 'gitlab', 'circleci', 'azure']);
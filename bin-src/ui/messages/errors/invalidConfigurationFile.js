@@ -0,0 +1,11 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { error } from '../../components/icons';
+
+export default (configFile, err) =>
+  dedent(chalk`
+    ${error} {bold Invalid configuration file}
+    Found invalid configuration file at {bold ${configFile}}
+    ${err ? err.message : 'Make sure it is a valid JSON file containing an object.'}
+  `);
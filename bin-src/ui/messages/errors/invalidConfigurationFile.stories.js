@@ -0,0 +1,14 @@
+import invalidConfigurationFile from './invalidConfigurationFile';
+
+export default {
+  title: 'CLI/Messages/Errors',
+};
+
+export const InvalidConfigurationFile = () =>
+  invalidConfigurationFile(
+    '/path/to/chromatic.config.json',
+    new Error('Unexpected token } in JSON at position 42')
+  );
+
+export const InvalidConfigurationFileContents = () =>
+  invalidConfigurationFile('/path/to/chromatic.config.json');
@@ -0,0 +1,10 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { error } from '../../components/icons';
+
+export default (configFile, key, expectedType) =>
+  dedent(chalk`
+    ${error} Invalid value for {bold ${key}} in {bold ${configFile}}
+    Expected ${expectedType}.
+  `);
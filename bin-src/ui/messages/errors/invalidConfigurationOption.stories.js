@@ -0,0 +1,12 @@
+import invalidConfigurationOption from './invalidConfigurationOption';
+
+export default {
+  title: 'CLI/Messages/Errors',
+};
+
+export const InvalidConfigurationOption = () =>
+  invalidConfigurationOption(
+    '/path/to/chromatic.config.json',
+    'externals',
+    'a string or an array of strings'
+  );
@@ -0,0 +1,10 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { error } from '../../components/icons';
+
+export default (format, supportedFormats) =>
+  dedent(chalk`
+    ${error} Invalid value for {bold --report-format}: ${format}
+    Supported report formats are: ${supportedFormats.join(', ')}
+  `);
@@ -0,0 +1,7 @@
+import invalidReportFormat from './invalidReportFormat';
+
+export default {
+  title: 'CLI/Messages/Errors',
+};
+
+export const InvalidReportFormat = () => invalidReportFormat('pdf', ['markdown', 'html', 'json']);
@@ -0,0 +1,10 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { error } from '../../components/icons';
+
+export default (filename, globs) =>
+  dedent(chalk`
+    ${error} Invalid value for {bold --upload-exclude}: ${globs.join(', ')}
+    These globs exclude {bold ${filename}}, which is required to publish your Storybook.
+  `);
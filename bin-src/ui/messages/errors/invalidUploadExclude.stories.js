@@ -0,0 +1,7 @@
+import invalidUploadExclude from './invalidUploadExclude';
+
+export default {
+  title: 'CLI/Messages/Errors',
+};
+
+export const InvalidUploadExclude = () => invalidUploadExclude('index.html', ['*.map', '*.html']);
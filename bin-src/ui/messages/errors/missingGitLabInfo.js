@@ -0,0 +1,14 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { error, info } from '../../components/icons';
+import link from '../../components/link';
+
+export default ({ CI_MERGE_REQUEST_EVENT_TYPE, commitVariable }) =>
+  dedent(chalk`
+    ${error} {bold Missing GitLab environment variable}
+    This appears to be a merge request pipeline${
+      CI_MERGE_REQUEST_EVENT_TYPE ? ` of type '${CI_MERGE_REQUEST_EVENT_TYPE}'` : ''
+    }, but \`${commitVariable}\` and \`CI_MERGE_REQUEST_SOURCE_BRANCH_NAME\` are not both set.
+    ${info} Read more at ${link('https://www.chromatic.com/docs/gitlab')}
+  `);
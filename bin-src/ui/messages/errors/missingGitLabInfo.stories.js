@@ -0,0 +1,11 @@
+import missingGitLabInfo from './missingGitLabInfo';
+
+export default {
+  title: 'CLI/Messages/Errors',
+};
+
+export const MissingGitLabInfo = () =>
+  missingGitLabInfo({
+    CI_MERGE_REQUEST_EVENT_TYPE: 'merged_result',
+    commitVariable: 'CI_MERGE_REQUEST_SOURCE_BRANCH_SHA',
+  });
@@ -0,0 +1,11 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { error, info } from '../../components/icons';
+
+export default (command, availableCommands) =>
+  dedent(chalk`
+    ${error} Unknown command {bold ${command}}
+    Available commands are: ${availableCommands.map((name) => chalk.bold(name)).join(', ')}
+    ${info} Run {bold chromatic help} to list all commands, or {bold chromatic --help} for build options.
+  `);
@@ -0,0 +1,8 @@
+import unknownCommand from './unknownCommand';
+
+export default {
+  title: 'CLI/Messages/Errors',
+};
+
+export const UnknownCommand = () =>
+  unknownCommand('trcae', ['stories', 'trace', 'trim-stats-file']);
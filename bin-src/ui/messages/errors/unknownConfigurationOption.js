@@ -0,0 +1,12 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { error, info } from '../../components/icons';
+import link from '../../components/link';
+
+export default (configFile, key) =>
+  dedent(chalk`
+    ${error} Unknown option {bold ${key}} in {bold ${configFile}}
+    Configuration options use the camelCased name of the CLI flag, e.g. {bold onlyChanged} for {bold --only-changed}.
+    ${info} Read more at ${link('https://www.chromatic.com/docs/cli')}
+  `);
@@ -0,0 +1,8 @@
+import unknownConfigurationOption from './unknownConfigurationOption';
+
+export default {
+  title: 'CLI/Messages/Errors',
+};
+
+export const UnknownConfigurationOption = () =>
+  unknownConfigurationOption('/path/to/chromatic.config.json', 'only-changed');
@@ -0,0 +1,26 @@
+import chalk from 'chalk';
+import pluralize from 'pluralize';
+import { dedent } from 'ts-dedent';
+
+import { error, success, warning } from '../../components/icons';
+
+const icons = { pass: success, warn: warning, fail: error };
+
+export default (checks) => {
+  const count = (status) => checks.filter((check) => check.status === status).length;
+  const rows = checks.map(
+    ({ status, title, message }) => chalk`${icons[status]} {bold ${title}}: ${message}`
+  );
+  const summary = [
+    `${count('pass')} passed`,
+    pluralize('warning', count('warn'), true),
+    `${count('fail')} failed`,
+  ].join(', ');
+
+  return dedent(chalk`
+    {bold Chromatic doctor}
+    ${rows.join('\n')}
+
+    ${summary}
+  `);
+};
@@ -0,0 +1,29 @@
+import doctorReport from './doctorReport';
+
+export default {
+  title: 'CLI/Messages/Info',
+};
+
+const checks = [
+  {
+    title: 'Options',
+    status: 'pass',
+    message: "Building Storybook with the 'build-storybook' script",
+  },
+  { title: 'Project token', status: 'fail', message: 'Missing project token' },
+  { title: 'Git', status: 'pass', message: 'Using git 2.34.1' },
+  { title: 'Git history', status: 'pass', message: 'Found more than one commit' },
+  { title: 'CI', status: 'pass', message: 'Running on GitHub Actions' },
+  {
+    title: 'Branch',
+    status: 'warn',
+    message: "Detached HEAD, using branch 'HEAD' at commit 8e1e2f1",
+  },
+  { title: 'Storybook', status: 'pass', message: 'Found react 6.4.9, supported addons: viewport' },
+  { title: 'Proxy', status: 'pass', message: 'No proxy configured' },
+];
+
+export const DoctorReport = () => doctorReport(checks);
+
+export const DoctorReportPassed = () =>
+  doctorReport(checks.map((check) => ({ ...check, status: 'pass' })));
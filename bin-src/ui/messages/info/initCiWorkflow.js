@@ -0,0 +1,10 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { info, success } from '../../components/icons';
+
+export default ({ name, secrets }, filePath) =>
+  dedent(chalk`
+    ${success} Wrote ${name} workflow to {bold ${filePath}}
+    ${info} Add your project token to your CI environment as {bold CHROMATIC_PROJECT_TOKEN} (${secrets}).
+  `);
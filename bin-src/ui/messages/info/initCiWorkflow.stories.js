@@ -0,0 +1,11 @@
+import initCiWorkflow from './initCiWorkflow';
+
+export default {
+  title: 'CLI/Messages/Info',
+};
+
+export const InitCiWorkflow = () =>
+  initCiWorkflow(
+    { name: 'GitHub Actions', secrets: 'Settings → Secrets → Actions' },
+    '/path/to/.github/workflows/chromatic.yml'
+  );
@@ -0,0 +1,16 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { info } from '../../components/icons';
+
+export default ({ buildScriptName, storybook, ciProvider }) => {
+  const viewLayer = storybook.viewLayer
+    ? `${storybook.viewLayer} ${storybook.version}`
+    : 'unknown (make sure your dependencies are installed)';
+  return dedent(chalk`
+    ${info} {bold Setting up Chromatic}
+    Storybook build script: {bold ${buildScriptName}}
+    Storybook view layer: {bold ${viewLayer}}
+    CI provider: {bold ${ciProvider ? ciProvider.name : 'none detected'}}
+  `);
+};
@@ -0,0 +1,15 @@
+import initDetected from './initDetected';
+
+export default {
+  title: 'CLI/Messages/Info',
+};
+
+export const InitDetected = () =>
+  initDetected({
+    buildScriptName: 'build-storybook',
+    storybook: { viewLayer: 'react', version: '6.4.9' },
+    ciProvider: { name: 'GitHub Actions' },
+  });
+
+export const InitDetectedNothing = () =>
+  initDetected({ buildScriptName: 'build-storybook', storybook: {} });
@@ -0,0 +1,5 @@
+import chalk from 'chalk';
+
+import { success } from '../../components/icons';
+
+export default (filePath, label) => chalk`${success} Wrote ${label} to {bold ${filePath}}`;
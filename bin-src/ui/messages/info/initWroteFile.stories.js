@@ -0,0 +1,7 @@
+import initWroteFile from './initWroteFile';
+
+export default {
+  title: 'CLI/Messages/Info',
+};
+
+export const InitWroteFile = () => initWroteFile('/path/to/chromatic.config.json', 'options');
@@ -0,0 +1,29 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { error, success, warning } from '../../components/icons';
+import link from '../../components/link';
+
+const getStatus = ({ build, exitCode }) => {
+  if (exitCode === 0) {
+    return build ? `${success} Build ${build.number} passed` : `${success} Skipped build`;
+  }
+  if (exitCode === 1 && build) return `${warning} Build ${build.number} has changes`;
+  return `${error} Failed with exit code ${exitCode}`;
+};
+
+export default (projects) => {
+  const passed = projects.filter(({ exitCode }) => exitCode === 0).length;
+  const rows = projects.map((project) => {
+    const { name, build } = project;
+    const url = build && build.webUrl ? ` ${link(build.webUrl)}` : '';
+    return chalk`${getStatus(project)} for {bold ${name}}${url}`;
+  });
+
+  return dedent(chalk`
+    {bold Chromatic projects}
+    ${rows.join('\n')}
+
+    ${passed} of ${projects.length} projects passed
+  `);
+};
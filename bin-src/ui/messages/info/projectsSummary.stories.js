@@ -0,0 +1,24 @@
+import projectsSummary from './projectsSummary';
+
+export default {
+  title: 'CLI/Messages/Info',
+};
+
+const build = (number) => ({
+  number,
+  webUrl: `https://www.chromatic.com/build?appId=59c59bd0183bd100364e1d57&number=${number}`,
+});
+
+export const ProjectsSummary = () =>
+  projectsSummary([
+    { name: 'packages/design-system', exitCode: 0, build: build(42) },
+    { name: 'packages/web-app', exitCode: 1, build: build(18) },
+    { name: 'packages/admin', exitCode: 0 },
+    { name: 'packages/marketing', exitCode: 201 },
+  ]);
+
+export const ProjectsSummaryPassed = () =>
+  projectsSummary([
+    { name: 'packages/design-system', exitCode: 0, build: build(42) },
+    { name: 'packages/web-app', exitCode: 0, build: build(18) },
+  ]);
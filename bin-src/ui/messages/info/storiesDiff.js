@@ -0,0 +1,31 @@
+import chalk from 'chalk';
+import pluralize from 'pluralize';
+import { dedent } from 'ts-dedent';
+
+import { info } from '../../components/icons';
+
+const storyLabel = ({ component, name, viewport }) => `${component}:${name} [${viewport}px]`;
+
+export default ({ added, removed, renamed }, buildNumber, manifestPath) => {
+  const rows = [
+    ...added.map((story) => chalk`{green + ${storyLabel(story)}}`),
+    ...removed.map((story) => chalk`{red - ${storyLabel(story)}}`),
+    ...renamed.map(({ from, to }) => chalk`{yellow ~ ${storyLabel(from)} → ${storyLabel(to)}}`),
+  ];
+  const summary = [
+    `${pluralize('story', added.length, true)} added`,
+    `${pluralize('story', removed.length, true)} removed`,
+    `${pluralize('story', renamed.length, true)} renamed`,
+  ].join(', ');
+
+  return rows.length
+    ? dedent(chalk`
+      ${info} {bold Stories changed since build ${buildNumber}}: ${summary}
+      ${rows.join('\n')}
+      Compared against ${manifestPath}, which now lists the stories in this build.
+    `)
+    : dedent(chalk`
+      ${info} {bold No stories changed since build ${buildNumber}}
+      Compared against ${manifestPath}, which now lists the stories in this build.
+    `);
+};
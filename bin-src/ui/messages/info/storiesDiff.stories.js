@@ -0,0 +1,21 @@
+import storiesDiff from './storiesDiff';
+
+export default {
+  title: 'CLI/Messages/Info',
+};
+
+const diff = {
+  added: [{ component: 'Path/To/MyComponent', name: 'NewStory', viewport: 1200 }],
+  removed: [{ component: 'Path/To/OldComponent', name: 'Default', viewport: 320 }],
+  renamed: [
+    {
+      from: { component: 'Path/To/MyComponent', name: 'Story', viewport: 1200 },
+      to: { component: 'Path/To/MyComponent', name: 'RenamedStory', viewport: 1200 },
+    },
+  ],
+};
+
+export const StoriesDiff = () => storiesDiff(diff, 42, 'chromatic-stories.json');
+
+export const StoriesDiffUnchanged = () =>
+  storiesDiff({ added: [], removed: [], renamed: [] }, 42, 'chromatic-stories.json');
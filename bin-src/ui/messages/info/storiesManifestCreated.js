@@ -0,0 +1,12 @@
+import chalk from 'chalk';
+import pluralize from 'pluralize';
+import { dedent } from 'ts-dedent';
+
+import { info } from '../../components/icons';
+
+export default (manifestPath, storyCount) =>
+  dedent(chalk`
+    ${info} {bold Saved stories manifest}
+    Wrote ${pluralize('story', storyCount, true)} to {bold ${manifestPath}}.
+    Subsequent runs will list the stories added, removed or renamed since this build.
+  `);
@@ -0,0 +1,7 @@
+import storiesManifestCreated from './storiesManifestCreated';
+
+export default {
+  title: 'CLI/Messages/Info',
+};
+
+export const StoriesManifestCreated = () => storiesManifestCreated('chromatic-stories.json', 42);
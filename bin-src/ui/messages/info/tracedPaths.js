@@ -0,0 +1,39 @@
+import chalk from 'chalk';
+import pluralize from 'pluralize';
+import { dedent } from 'ts-dedent';
+
+import { info } from '../../components/icons';
+
+// Merges the import chains into a tree, rooted at the changed files
+const toTree = (paths) => {
+  const root = { children: {} };
+  paths.forEach((chain) => {
+    let node = root;
+    chain.forEach((name) => {
+      node.children[name] = node.children[name] || { children: {} };
+      node = node.children[name];
+    });
+    node.isStoryFile = true;
+  });
+  return root;
+};
+
+const renderTree = ({ children }, indent = '') =>
+  Object.entries(children).flatMap(([name, node], index, entries) => {
+    const isLast = index === entries.length - 1;
+    const label = node.isStoryFile ? chalk.bold(name) : name;
+    if (indent === null) return [label, ...renderTree(node, '')];
+    return [
+      `${indent}${isLast ? '└─' : '├─'} ${label}`,
+      ...renderTree(node, `${indent}${isLast ? '   ' : '│  '}`),
+    ];
+  });
+
+export default (paths) => {
+  const rows = renderTree(toTree(paths), null);
+  return dedent(chalk`
+    ${info} {bold Traced ${pluralize('affected story file', paths.length, true)}}
+    Showing the shortest chain of imports from a changed file to each affected story file:
+    ${rows.join('\n')}
+  `);
+};
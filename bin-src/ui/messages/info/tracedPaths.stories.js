@@ -0,0 +1,18 @@
+import tracedPaths from './tracedPaths';
+
+export default {
+  title: 'CLI/Messages/Info',
+};
+
+export const TracedPaths = () =>
+  tracedPaths([
+    ['src/utils/format.js', 'src/components/Price.js', 'src/components/Price.stories.js'],
+    [
+      'src/utils/format.js',
+      'src/components/Price.js',
+      'src/components/Cart.js',
+      'src/components/Cart.stories.js',
+    ],
+    ['src/utils/format.js', 'src/components/Date.stories.js'],
+    ['src/components/Button.stories.js'],
+  ]);
@@ -0,0 +1,33 @@
+import chalk from 'chalk';
+import semver from 'semver';
+import { dedent } from 'ts-dedent';
+
+import { info, success, warning } from '../../components/icons';
+import link from '../../components/link';
+
+const storybookRequirement = 'Storybook 6.2 or later, to generate a webpack stats file';
+
+const checkVersion = (storybookVersion) => {
+  const version = storybookVersion && semver.coerce(storybookVersion);
+  if (!version) return `${warning} ${storybookRequirement}`;
+  return semver.gte(version, '6.2.0')
+    ? `${success} ${storybookRequirement} (found ${storybookVersion})`
+    : `${warning} ${storybookRequirement} (found ${storybookVersion}, please upgrade)`;
+};
+
+const checkScript = (buildScriptName, buildScript) => {
+  const requirement = `Your '${buildScriptName}' script must pass extra arguments (i.e. --webpack-stats-json) to build-storybook`;
+  return buildScript.startsWith('build-storybook')
+    ? `${success} ${requirement}`
+    : `${warning} ${requirement}, please verify that "${buildScript}" does`;
+};
+
+export default ({ buildScriptName, buildScript, storybookVersion }) =>
+  dedent(chalk`
+    ${info} {bold Speed up your builds with TurboSnap}
+    Pass {bold --only-changed} (or set {bold "onlyChanged": true}) to only test stories affected by your changes. This requires:
+    ${checkVersion(storybookVersion)}
+    ${checkScript(buildScriptName, buildScript)}
+    ${info} Full git history in CI (e.g. {bold fetch-depth: 0} for actions/checkout), so Chromatic can find baseline builds
+    Read more at ${link('https://www.chromatic.com/docs/turbosnap')}
+  `);
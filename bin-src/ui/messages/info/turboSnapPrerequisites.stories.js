@@ -0,0 +1,19 @@
+import turboSnapPrerequisites from './turboSnapPrerequisites';
+
+export default {
+  title: 'CLI/Messages/Info',
+  args: {
+    buildScriptName: 'build-storybook',
+    buildScript: 'build-storybook -s public',
+    storybookVersion: '6.4.9',
+  },
+};
+
+export const TurboSnapPrerequisites = (args) => turboSnapPrerequisites(args);
+
+export const TurboSnapPrerequisitesUnmet = (args) =>
+  turboSnapPrerequisites({
+    ...args,
+    buildScript: 'yarn build:icons && build-storybook',
+    storybookVersion: '6.1.21',
+  });
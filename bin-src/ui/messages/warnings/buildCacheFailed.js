@@ -0,0 +1,11 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { warning } from '../../components/icons';
+
+export default (action, cacheDir, { message }) =>
+  dedent(chalk`
+    ${warning} {bold Failed to ${action} the build cache}
+    Could not use the build cache at {bold ${cacheDir}}, continuing without it.
+    {dim ${message}}
+  `);
@@ -0,0 +1,10 @@
+import buildCacheFailed from './buildCacheFailed';
+
+export default {
+  title: 'CLI/Messages/Warnings',
+};
+
+export const BuildCacheFailed = () =>
+  buildCacheFailed('write to', '/ci/cache/storybook', {
+    message: "ENOSPC: no space left on device, mkdir '/ci/cache/storybook'",
+  });
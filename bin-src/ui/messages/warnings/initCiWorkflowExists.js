@@ -0,0 +1,12 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { warning } from '../../components/icons';
+
+export default ({ name, secrets }, filePath, workflow) =>
+  dedent(chalk`
+    ${warning} {bold Not overwriting ${filePath}}
+    You can add Chromatic to your ${name} configuration yourself, for example:
+    {dim ${workflow.trim()}}
+    Make sure to add your project token to your CI environment as {bold CHROMATIC_PROJECT_TOKEN} (${secrets}).
+  `);
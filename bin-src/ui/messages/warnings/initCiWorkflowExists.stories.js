@@ -0,0 +1,21 @@
+import initCiWorkflowExists from './initCiWorkflowExists';
+
+export default {
+  title: 'CLI/Messages/Warnings',
+};
+
+const workflow = `chromatic:
+  image: node:16
+  variables:
+    GIT_DEPTH: 0 # Required to retrieve git history
+  script:
+    - npm ci
+    - npx chromatic
+`;
+
+export const InitCiWorkflowExists = () =>
+  initCiWorkflowExists(
+    { name: 'GitLab CI', secrets: 'Settings → CI/CD → Variables' },
+    '/path/to/.gitlab-ci.yml',
+    workflow
+  );
@@ -0,0 +1,15 @@
+import chalk from 'chalk';
+import { dedent } from 'ts-dedent';
+
+import { warning } from '../../components/icons';
+
+export default (refs, mergeCommit) =>
+  dedent(chalk`
+    ${warning} {bold Could not find the head commit of this pull request}
+    We looked for ${refs.map((ref) => chalk.bold(ref)).join(' and ')} in your Git history.
+    Continuing with the merge commit ${mergeCommit.substr(
+      0,
+      7
+    )} instead, which is temporary and won't be usable as a baseline for future builds.
+    Make sure the source branch is fetched, or that the merge commit's parents are part of the clone.
+  `);
@@ -0,0 +1,11 @@
+import pullRequestHeadNotFound from './pullRequestHeadNotFound';
+
+export default {
+  title: 'CLI/Messages/Warnings',
+};
+
+export const PullRequestHeadNotFound = () =>
+  pullRequestHeadNotFound(
+    ['origin/feature', '57745fe300dfee73c8c068154867c9366ad5ab99^2'],
+    '57745fe300dfee73c8c068154867c9366ad5ab99'
+  );
@@ -8,18 +8,27 @@ export const initial = {
   title: 'Build Storybook',
 };
 
+// Only shown with --build-cache-dir
+const cacheMiss = (ctx) => (ctx.buildCache ? ' [cache miss]' : '');
+
 export const pending = (ctx) => ({
   status: 'pending',
-  title: `Building your Storybook`,
+  title: `Building your Storybook${cacheMiss(ctx)}`,
   output: `Running command: ${fullCommand(ctx.spawnParams)}`,
 });
 
 export const success = (ctx) => ({
   status: 'success',
-  title: `Storybook built in ${getDuration(ctx)}`,
+  title: `Storybook built in ${getDuration(ctx)}${cacheMiss(ctx)}`,
   output: `View build log at ${ctx.buildLogFile}`,
 });
 
+export const restored = (ctx) => ({
+  status: 'success',
+  title: 'Build Storybook [cache hit]',
+  output: `Using cached build from ${ctx.buildCache.dir}`,
+});
+
 export const skipped = (ctx) => ({
   status: 'skipped',
   title: 'Build Storybook [skipped]',
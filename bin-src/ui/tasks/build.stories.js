@@ -1,5 +1,5 @@
 import task from '../components/task';
-import { initial, pending, skipped, success, failed } from './build';
+import { initial, pending, restored, skipped, success, failed } from './build';
 
 export default {
   title: 'CLI/Tasks/Build',
@@ -23,6 +23,17 @@ export const Built = () =>
     buildLogFile: '/users/me/project/build-storybook.log',
   });
 
+export const BuiltCacheMiss = () =>
+  success({
+    now: 0,
+    startedAt: -32100,
+    buildLogFile: '/users/me/project/build-storybook.log',
+    buildCache: { dir: '/ci/cache/storybook', key: 'abc123', hit: false },
+  });
+
+export const Restored = () =>
+  restored({ buildCache: { dir: '/ci/cache/storybook', key: 'abc123', hit: true } });
+
 export const Skipped = () =>
   skipped({
     options: { storybookBuildDir: '/users/me/project/storybook-static' },
@@ -40,6 +40,16 @@ export const skippedForCommit = (ctx) => ({
   output: `Skipped build for commit ${ctx.git.commit.substr(0, 7)} due to --skip`,
 });
 
+export const skippedUnchanged = (ctx) => ({
+  status: 'success',
+  title: 'Skipping build',
+  output: `Skipped build for commit ${ctx.git.commit.substr(0, 7)} because none of the ${pluralize(
+    'changed file',
+    ctx.git.changedFiles.length,
+    true
+  )} match --skip-unchanged`,
+});
+
 export const skipFailed = (ctx) => ({
   status: 'error',
   title: 'Skipping build',
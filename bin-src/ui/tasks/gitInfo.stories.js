@@ -5,6 +5,7 @@ import {
   skipFailed,
   skippedForCommit,
   skippedRebuild,
+  skippedUnchanged,
   skippingBuild,
   success,
 } from './gitInfo';
@@ -25,5 +26,7 @@ export const NoBaselines = () => success({ git: { ...git, parentCommits: [] }, o
 export const TurboSnapDisabled = () => success({ git, options, turboSnap: { bailReason: {} } });
 export const Skipping = () => skippingBuild({ git });
 export const Skipped = () => skippedForCommit({ git });
+export const SkippedUnchanged = () =>
+  skippedUnchanged({ git: { ...git, changedFiles: ['packages/api/index.js'] } });
 export const SkippedRebuild = () => skippedRebuild();
 export const SkipFailed = () => skipFailed();
@@ -1,3 +1,5 @@
+import pluralize from 'pluralize';
+
 export const initial = {
   status: 'initial',
   title: 'Generate build report',
@@ -12,5 +14,5 @@ export const pending = (ctx) => ({
 export const success = (ctx) => ({
   status: 'success',
   title: `Generated build report`,
-  output: `View report at ${ctx.reportPath}`,
+  output: `View ${pluralize('report', ctx.reportPaths.length)} at ${ctx.reportPaths.join(', ')}`,
 });
@@ -10,4 +10,7 @@ export const Initial = () => initial;
 
 export const Pending = () => pending();
 
-export const Success = () => success({ reportPath: './chromatic-test-report.xml' });
+export const Success = () => success({ reportPaths: ['./chromatic-test-report.xml'] });
+
+export const SuccessMultiple = () =>
+  success({ reportPaths: ['./chromatic-build-1.xml', './chromatic-build-1.md'] });
@@ -1,7 +1,7 @@
 import pluralize from 'pluralize';
 
 import { getDuration } from '../../lib/tasks';
-import { baseStorybookUrl, progress as progressBar } from '../../lib/utils';
+import { baseStorybookUrl, formatBytes, progress as progressBar } from '../../lib/utils';
 
 export const initial = {
   status: 'initial',
@@ -70,10 +70,22 @@ export const preparing = (ctx) => ({
   output: `Retrieving target location`,
 });
 
+// Only set when uploading individual files, some of which may be skipped
+const uploadedFiles = ({ uploadedFiles: { count, total }, skippedBytes }) =>
+  `${count} of ${pluralize('file', total, true)} (${formatBytes(skippedBytes)} skipped)`;
+
+// Files left out through --upload-exclude, if any
+const excludedFiles = ({ fileInfo }) => {
+  const { count = 0, bytes = 0 } = (fileInfo && fileInfo.excluded) || {};
+  return count ? `, ${pluralize('file', count, true)} (${formatBytes(bytes)}) excluded` : '';
+};
+
 export const starting = (ctx) => ({
   status: 'pending',
   title: 'Publishing your built Storybook',
-  output: `Starting publish`,
+  output: ctx.uploadedFiles
+    ? `Uploading ${uploadedFiles(ctx)}${excludedFiles(ctx)}`
+    : `Starting publish${excludedFiles(ctx)}`,
 });
 
 export const uploading = (ctx) => ({
@@ -84,7 +96,9 @@ export const uploading = (ctx) => ({
 
 export const success = (ctx) => ({
   status: 'success',
-  title: `Publish complete in ${getDuration(ctx)}`,
+  title: ctx.uploadedFiles
+    ? `Publish complete in ${getDuration(ctx)}, uploaded ${uploadedFiles(ctx)}${excludedFiles(ctx)}`
+    : `Publish complete in ${getDuration(ctx)}${excludedFiles(ctx)}`,
   output: `View your Storybook at ${baseStorybookUrl(ctx.isolatorUrl)}`,
 });
 
@@ -47,10 +47,39 @@ export const Traced = () =>
 
 export const Preparing = () => preparing();
 
-export const Starting = () => starting();
+export const Starting = () => starting({});
+
+export const StartingIncremental = () =>
+  starting({ uploadedFiles: { count: 3, total: 120 }, skippedBytes: 207618048 });
+
+export const StartingExcluded = () =>
+  starting({
+    uploadedFiles: { count: 3, total: 120 },
+    skippedBytes: 207618048,
+    fileInfo: { excluded: { count: 12, bytes: 36175872 } },
+  });
 
 export const Uploading = () => uploading({ percentage: 42 });
 
 export const Success = () => success({ now: 0, startedAt: -54321, isolatorUrl });
 
+export const SuccessIncremental = () =>
+  success({
+    now: 0,
+    startedAt: -54321,
+    isolatorUrl,
+    uploadedFiles: { count: 3, total: 120 },
+    skippedBytes: 207618048,
+  });
+
+export const SuccessExcluded = () =>
+  success({
+    now: 0,
+    startedAt: -54321,
+    isolatorUrl,
+    uploadedFiles: { count: 3, total: 120 },
+    skippedBytes: 207618048,
+    fileInfo: { excluded: { count: 12, bytes: 36175872 } },
+  });
+
 export const Failed = () => failed({ path: 'main.9e3e453142da82719bf4.bundle.js' });